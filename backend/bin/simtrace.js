@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { setTimeout as sleep } from "node:timers/promises";
+import WebSocket from "ws";
+import { importBag, listBagTopics } from "../importers/rosbag.js";
+import { createCollectionStore } from "../lib/jsonStore.js";
+import { collectRunFiles, evaluateFiles, summarize, toJUnit } from "../lib/evaluate.js";
+import { createMapStore } from "../lib/mapStore.js";
+import { DEFAULT_SCENARIOS } from "../../shared/scenarios.js";
+import { parseRunText } from "../../shared/validateRun.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/* -------------------------------------------------------
+   simtrace CLI
+------------------------------------------------------- */
+
+const USAGE = `Usage: simtrace <command> [options]
+
+Commands:
+  import-bag <bag>    Convert a ROS 2 bag (.mcap, .db3 or rosbag2 folder) into a run
+    --topics            List topics and exit
+    --pose-topic <t>    Odometry / pose / TF topic (auto-detected if omitted)
+    --vel-topic <t>     Twist, TwistStamped or Odometry topic for velocity
+    --child-frame <f>   Robot frame when reading TF (default base_link)
+    --world-frame <f>   Fixed frame when reading TF (default: TF root)
+    --dt <s>            Minimum frame spacing in seconds (default 0.1)
+    --run-id <id>       run_id to write (default: bag file name)
+    -o, --out <file>    Write the run JSON here (default: stdout)
+    --upload <url>      POST the run to a SimTrace backend, e.g. http://localhost:8000
+    --label <s>         Label for --upload
+    --tags <a,b>        Tags for --upload
+
+  eval <runs...>      Score run files / folders against a scenario (exit 1 on FAIL or regression)
+    --scenario <key>    Scenario key (default warehouse)
+    --api <url>         Read the scenario from a SimTrace backend instead of the local store
+    --scenarios <file>  Scenario store file (default: backend data dir, else built-in defaults)
+    --maps <dir>        Map store folder, for the zones of the maps runs name (e.g. backend/data/maps)
+    --baseline <name>   Compare with a saved baseline: <baseline-dir>/<name>.json or a .json path
+    --baseline-dir <d>  Where named baselines live (default ./simtrace-baselines)
+    --update-baseline   Write this evaluation as the --baseline instead of gating on it
+    --tolerance <n>     Score increase allowed before it counts as a regression (default 0)
+    --fail-on <level>   fail (default) or warn
+    --junit <file>      Write JUnit XML
+    --json <file>       Write a JSON summary (usable as a baseline)
+
+  live-push <run>     Replay a run file into a backend's live ingest socket, as a simulator would
+    --url <url>         Backend URL (default http://localhost:8000)
+    --rate <x>          Playback speed; 0 sends everything at once (default 1)
+    --label <s>         Label for the stored run
+    --tags <a,b>        Tags for the stored run
+`;
+
+function fail(msg) {
+  process.stderr.write(`simtrace: ${msg}\n`);
+  process.exit(1);
+}
+
+async function importBagCmd(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      topics: { type: "boolean" },
+      "pose-topic": { type: "string" },
+      "vel-topic": { type: "string" },
+      "child-frame": { type: "string" },
+      "world-frame": { type: "string" },
+      dt: { type: "string" },
+      "run-id": { type: "string" },
+      out: { type: "string", short: "o" },
+      upload: { type: "string" },
+      label: { type: "string" },
+      tags: { type: "string" }
+    }
+  });
+
+  const bagPath = positionals[0];
+  if (!bagPath) fail("import-bag needs a bag path\n\n" + USAGE);
+
+  if (values.topics) {
+    const { format, topics } = await listBagTopics(bagPath);
+    process.stdout.write(`${format}\n`);
+    for (const t of topics) {
+      process.stdout.write(`${t.supported ? "*" : " "} ${t.name}  ${t.type}  (${t.count ?? "?"} msgs)\n`);
+    }
+    process.stdout.write("\n* = usable for poses/velocity\n");
+    return;
+  }
+
+  const run = await importBag(bagPath, {
+    poseTopic: values["pose-topic"],
+    velTopic: values["vel-topic"],
+    childFrame: values["child-frame"],
+    worldFrame: values["world-frame"],
+    dt: values.dt != null ? Number(values.dt) : undefined,
+    runId: values["run-id"] || path.basename(bagPath).replace(/\.(mcap|db3)$/i, "")
+  });
+
+  process.stderr.write(
+    `Imported ${run.frames.length} frames (${run.stats.duration_s}s, ${run.stats.distance_m}m) ` +
+      `from ${run.meta.source.pose_topic}\n`
+  );
+
+  if (values.upload) {
+    const resp = await fetch(new URL("/api/runs", values.upload), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        run,
+        label: values.label,
+        tags: values.tags ? values.tags.split(",") : ["rosbag"]
+      })
+    });
+    const data = await resp.json().catch(() => null);
+    if (!resp.ok) fail(`upload failed: ${data?.details || data?.error || resp.status}`);
+    process.stderr.write(`Uploaded as ${data.id}\n`);
+  }
+
+  const json = JSON.stringify(run, null, 2) + "\n";
+  if (values.out) await fs.writeFile(values.out, json);
+  else if (!values.upload) process.stdout.write(json);
+}
+
+async function loadScenario(key, values) {
+  if (values.api) {
+    const resp = await fetch(new URL(`/api/scenarios/${encodeURIComponent(key)}`, values.api));
+    const data = await resp.json().catch(() => null);
+    if (!resp.ok) fail(`scenario '${key}': ${data?.details || data?.error || resp.status}`);
+    return data;
+  }
+  const dataDir = process.env.SIMTRACE_DATA_DIR || path.join(__dirname, "..", "data");
+  const file = values.scenarios || path.join(dataDir, "scenarios.json");
+  const store = createCollectionStore(file, { seed: DEFAULT_SCENARIOS });
+  const sc = await store.get(key);
+  if (!sc) fail(`no scenario '${key}' in ${file}`);
+  return sc;
+}
+
+function baselinePath(values) {
+  const name = values.baseline;
+  if (name.endsWith(".json")) return name;
+  return path.join(values["baseline-dir"] || "simtrace-baselines", `${name}.json`);
+}
+
+function printTable(summary) {
+  const rows = summary.results.map((r) => [
+    r.id,
+    r.status + (r.regression ? "*" : ""),
+    r.score ?? "—",
+    r.counts ? `${r.counts.near}/${r.counts.collision}/${r.counts.stuck}/${r.counts.replan}` : "—",
+    r.baseline ? `${r.baseline.status} ${r.baseline.score}` : "—",
+    r.reasons.join("; ")
+  ]);
+  const head = ["RUN", "STATUS", "SCORE", "N/C/S/R", "BASELINE", "NOTES"];
+  const widths = head.map((h, i) => Math.max(h.length, ...rows.map((row) => String(row[i]).length)));
+  const line = (cells) =>
+    cells.map((c, i) => (i === cells.length - 1 ? String(c) : String(c).padEnd(widths[i]))).join("  ").trimEnd();
+
+  process.stdout.write(`Scenario: ${summary.scenario.name} (${summary.scenario.key})\n\n`);
+  process.stdout.write(line(head) + "\n");
+  for (const row of rows) process.stdout.write(line(row) + "\n");
+
+  const t = summary.totals;
+  process.stdout.write(
+    `\n${t.runs} run(s): ${t.pass} PASS, ${t.warn} WARN, ${t.fail} FAIL, ${t.error} ERROR` +
+      (summary.baseline ? `, ${t.regressions} regression(s) vs ${summary.baseline}` : "") +
+      (t.regressions ? "  (* = regressed)" : "") +
+      "\n"
+  );
+}
+
+async function evalCmd(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      scenario: { type: "string", default: "warehouse" },
+      api: { type: "string" },
+      scenarios: { type: "string" },
+      maps: { type: "string" },
+      baseline: { type: "string" },
+      "baseline-dir": { type: "string" },
+      "update-baseline": { type: "boolean" },
+      tolerance: { type: "string", default: "0" },
+      "fail-on": { type: "string", default: "fail" },
+      junit: { type: "string" },
+      json: { type: "string" }
+    }
+  });
+
+  if (!positionals.length) fail("eval needs run files or folders\n\n" + USAGE);
+  if (!["fail", "warn"].includes(values["fail-on"])) fail("--fail-on must be 'fail' or 'warn'");
+  const tolerance = Number(values.tolerance);
+  if (!Number.isFinite(tolerance) || tolerance < 0) fail("--tolerance must be a number ≥ 0");
+  if (values["update-baseline"] && !values.baseline) fail("--update-baseline needs --baseline <name>");
+
+  const scenario = await loadScenario(values.scenario, values);
+  const files = await collectRunFiles(positionals);
+  if (!files.length) fail("no run files found");
+
+  let baseline = null;
+  if (values.baseline && !values["update-baseline"]) {
+    try {
+      baseline = JSON.parse(await fs.readFile(baselinePath(values), "utf8"));
+    } catch (err) {
+      fail(`cannot read baseline '${values.baseline}': ${err.message}`);
+    }
+    if (baseline.scenario?.key && baseline.scenario.key !== scenario.key) {
+      process.stderr.write(`simtrace: warning: baseline was scored with scenario '${baseline.scenario.key}'\n`);
+    }
+  }
+
+  const failOn = values["fail-on"];
+  const maps = values.maps ? createMapStore(values.maps) : null;
+  const results = await evaluateFiles(files, scenario, { baseline, tolerance, maps });
+  for (const r of results) {
+    for (const w of r.warnings) process.stderr.write(`simtrace: warning: ${r.id}: ${w}\n`);
+  }
+  const summary = summarize(results, scenario, { baselineName: baseline ? values.baseline : null, failOn });
+
+  printTable(summary);
+  if (values.json) await fs.writeFile(values.json, JSON.stringify(summary, null, 2) + "\n");
+  if (values.junit) await fs.writeFile(values.junit, toJUnit(summary, { failOn }));
+
+  if (values["update-baseline"]) {
+    const file = baselinePath(values);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(summary, null, 2) + "\n");
+    process.stderr.write(`Baseline '${values.baseline}' written to ${file}\n`);
+    return;
+  }
+
+  if (!summary.ok) process.exitCode = 1;
+}
+
+function openSocket(url) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    ws.once("open", () => resolve(ws));
+    ws.once("error", reject);
+  });
+}
+
+function nextMessage(ws, type) {
+  return new Promise((resolve, reject) => {
+    const onMessage = (data) => {
+      const msg = JSON.parse(String(data));
+      if (msg.type !== type && msg.type !== "error") return;
+      ws.off("message", onMessage);
+      if (msg.type === "error") reject(new Error(msg.details || msg.error));
+      else resolve(msg);
+    };
+    ws.on("message", onMessage);
+    ws.once("close", () => reject(new Error(`socket closed before '${type}'`)));
+  });
+}
+
+async function livePushCmd(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      url: { type: "string", default: "http://localhost:8000" },
+      rate: { type: "string", default: "1" },
+      label: { type: "string" },
+      tags: { type: "string" }
+    }
+  });
+
+  if (!positionals[0]) fail("live-push needs a run file\n\n" + USAGE);
+  const rate = Number(values.rate);
+  if (!Number.isFinite(rate) || rate < 0) fail("--rate must be a number ≥ 0");
+
+  const { run } = parseRunText(await fs.readFile(positionals[0], "utf8"));
+  const frames = Array.isArray(run?.frames) ? run.frames : [];
+  const events = (Array.isArray(run?.events) ? run.events : []).slice().sort((a, b) => a.t - b.t);
+  if (!frames.length) fail("run has no frames");
+
+  const url = new URL("/api/live/ingest", values.url);
+  url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+  const ws = await openSocket(url);
+
+  const send = (msg) => ws.send(JSON.stringify(msg));
+  const started = nextMessage(ws, "started");
+  send({
+    type: "start",
+    run_id: run.run_id,
+    dt: run.dt,
+    meta: run.meta,
+    map: run.map,
+    label: values.label,
+    tags: values.tags ? values.tags.split(",") : undefined
+  });
+  const { id } = await started;
+  process.stderr.write(`Streaming ${frames.length} frames as live run ${id}\n`);
+
+  // Events go out once the frame at their time has been sent, as a simulator would report them.
+  const t0 = Number(frames[0].t) || 0;
+  const wall0 = Date.now();
+  let ei = 0;
+  for (const frame of frames) {
+    if (rate > 0) {
+      const due = wall0 + ((Number(frame.t) - t0) * 1000) / rate;
+      if (due > Date.now()) await sleep(due - Date.now());
+    }
+    send({ type: "frame", frame });
+    const upTo = [];
+    while (ei < events.length && events[ei].t <= frame.t) upTo.push(events[ei++]);
+    if (upTo.length) send({ type: "events", events: upTo });
+  }
+  if (ei < events.length) send({ type: "events", events: events.slice(ei) });
+  if (run.stats) send({ type: "stats", stats: run.stats });
+
+  const finalized = nextMessage(ws, "finalized");
+  send({ type: "end" });
+  const { record } = await finalized;
+  process.stderr.write(`Stored as ${record.id}\n`);
+}
+
+const COMMANDS = {
+  "import-bag": importBagCmd,
+  eval: evalCmd,
+  "live-push": livePushCmd
+};
+
+const [cmd, ...rest] = process.argv.slice(2);
+if (!cmd || cmd === "-h" || cmd === "--help") {
+  process.stdout.write(USAGE);
+  process.exit(cmd ? 0 : 1);
+}
+if (!COMMANDS[cmd]) fail(`unknown command '${cmd}'\n\n${USAGE}`);
+
+COMMANDS[cmd](rest).catch((err) => fail(err?.message || String(err)));
@@ -0,0 +1,148 @@
+import { summaryCounts } from "../../shared/scenarios.js";
+
+/* -------------------------------------------------------
+   Grounding checks on a provider's diagnosis. Every claim
+   we can verify against the run summary is checked:
+   - evidence[].t / type must match an event in
+     runSummary.events_evidence
+   - verdict must equal the scenario policy result
+   - counts quoted in the text must equal runSummary.counts
+   Ungrounded evidence is removed from `evidence`; the
+   verdict is replaced with the policy result.
+------------------------------------------------------- */
+
+// Models round timestamps; anything closer than this cites the same event.
+const T_TOLERANCE_S = 0.5;
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+// "4 near-collisions", "two stuck events", "1 collision(s)", "3 replanning events"
+const COUNT_RE = new RegExp(
+  `\\b(\\d+|${Object.keys(NUMBER_WORDS).join("|")})\\s+` +
+    `(near[- _]?collision|collision|stuck|replan(?:ning)?)(?:s|\\(s\\))?\\b`,
+  "gi"
+);
+
+const COUNT_LABELS = {
+  near: "near-collision(s)",
+  collision: "collision(s)",
+  stuck: "stuck event(s)",
+  replan: "replan(s)"
+};
+
+function countKey(word) {
+  const w = word.toLowerCase();
+  if (w.startsWith("near")) return "near";
+  if (w.startsWith("replan")) return "replan";
+  return w;
+}
+
+// Models without a strict schema sometimes send a lone string where the schema has a list.
+function asList(v) {
+  if (Array.isArray(v)) return v;
+  return typeof v === "string" && v ? [v] : [];
+}
+
+function textFields(out) {
+  const fields = [["operator_summary", out.operator_summary]];
+  out.root_causes.forEach((s, i) => fields.push([`root_causes[${i}]`, s]));
+  out.recommendations.forEach((s, i) => fields.push([`recommendations[${i}]`, s]));
+  out.evidence.forEach((e, i) => fields.push([`evidence[${i}].why_it_matters`, e?.why_it_matters]));
+  // compare_insights talks about the other run's counts too, so it isn't checked.
+  return fields.filter(([, s]) => typeof s === "string" && s);
+}
+
+function checkEvidence(evidence, events) {
+  const grounded = [];
+  const ungrounded = [];
+  for (const item of Array.isArray(evidence) ? evidence : []) {
+    const t = Number(item?.t);
+    const type = String(item?.type || "");
+    const near = events.filter((e) => Number.isFinite(t) && Math.abs(e.t - t) <= T_TOLERANCE_S);
+    const match = near.find((e) => e.type === type);
+    if (match) {
+      grounded.push(item);
+      continue;
+    }
+    ungrounded.push({
+      ...item,
+      reason: near.length
+        ? `no '${type}' event near t=${item?.t}s (found ${[...new Set(near.map((e) => e.type))].join(", ")})`
+        : `no recorded event within ${T_TOLERANCE_S}s of t=${item?.t}s`
+    });
+  }
+  return { grounded, ungrounded };
+}
+
+function checkCounts(out, counts) {
+  const cited = [];
+  for (const [field, text] of textFields(out)) {
+    for (const m of text.matchAll(COUNT_RE)) {
+      const raw = m[1].toLowerCase();
+      const claimed = NUMBER_WORDS[raw] ?? Number(raw);
+      const key = countKey(m[2]);
+      cited.push({ field, text: m[0], count: key, claimed, actual: counts[key] });
+    }
+  }
+  return cited;
+}
+
+/**
+ * Returns the diagnosis with ungrounded evidence removed and a `grounding`
+ * block: { score, checked, held, verdict, issues, ungrounded_evidence }.
+ * `score` is the share of checked claims that held (1 = fully grounded).
+ * root_causes, recommendations and evidence come back as lists.
+ */
+export function groundDiagnosis(model, { runSummary, policyResult }) {
+  const out = {
+    ...model,
+    root_causes: asList(model.root_causes),
+    recommendations: asList(model.recommendations),
+    evidence: Array.isArray(model.evidence) ? model.evidence : []
+  };
+  const events = (Array.isArray(runSummary?.events_evidence) ? runSummary.events_evidence : [])
+    .map((e) => ({ t: Number(e?.t), type: String(e?.type || "") }))
+    .filter((e) => Number.isFinite(e.t) && e.type);
+  const counts = summaryCounts(runSummary);
+  const issues = [];
+
+  const { grounded, ungrounded } = checkEvidence(out.evidence, events);
+  for (const e of ungrounded) {
+    issues.push({ kind: "ungrounded_evidence", t: e.t, type: e.type, detail: e.reason });
+  }
+
+  const verdictOk = out.verdict === policyResult.status;
+  if (!verdictOk) {
+    issues.push({
+      kind: "verdict_mismatch",
+      detail: `Model said ${out.verdict}; the scenario policy scores ${policyResult.score} → ${policyResult.status}.`
+    });
+  }
+
+  const cited = checkCounts(out, counts);
+  for (const c of cited) {
+    if (c.claimed === c.actual) continue;
+    issues.push({
+      kind: "count_mismatch",
+      field: c.field,
+      detail: `"${c.text}" but the run has ${c.actual} ${COUNT_LABELS[c.count]}.`
+    });
+  }
+
+  const checked = grounded.length + ungrounded.length + 1 + cited.length;
+  const held = grounded.length + (verdictOk ? 1 : 0) + cited.filter((c) => c.claimed === c.actual).length;
+
+  return {
+    ...out,
+    verdict: policyResult.status,
+    evidence: grounded,
+    grounding: {
+      score: Math.round((held / checked) * 100) / 100,
+      checked,
+      held,
+      verdict: { model: out.verdict ?? null, policy: policyResult.status, score: policyResult.score },
+      issues,
+      ungrounded_evidence: ungrounded
+    }
+  };
+}
@@ -0,0 +1,84 @@
+import { createHash, randomUUID } from "node:crypto";
+
+/* -------------------------------------------------------
+   Diagnosis history + cache. Each stored diagnosis is
+   keyed by a content hash of everything that shapes the
+   answer, so the same question is only paid for once.
+------------------------------------------------------- */
+
+// JSON with sorted keys, so equal content always hashes the same.
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v)
+      .filter((k) => v[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+/**
+ * Cache key: run summary + scoring-relevant scenario fields + compare summary +
+ * provider/model. Editing a policy's name or blurb doesn't invalidate it.
+ */
+export function diagnosisKey({ runSummary, scenario, compareSummary, provider, model }) {
+  const policy = {
+    key: scenario.key,
+    weights: scenario.weights,
+    thresholds: scenario.thresholds,
+    limits: scenario.limits,
+    // Left out when empty so keys from before rules existed still match.
+    rules: scenario.rules?.length ? scenario.rules : undefined
+  };
+  const body = stableStringify({ runSummary, policy, compareSummary: compareSummary || null, provider, model });
+  return createHash("sha256").update(body).digest("hex");
+}
+
+// What history listings show; the full record adds `result`.
+function brief(rec) {
+  const { result, ...rest } = rec;
+  return {
+    ...rest,
+    verdict: result?.verdict ?? null,
+    grounding_score: result?.grounding?.score ?? null,
+    operator_summary: result?.operator_summary ?? ""
+  };
+}
+
+export function createDiagnosisHistory(store) {
+  async function findCached(key) {
+    const hits = (await store.list()).filter((r) => r.key === key);
+    hits.sort((a, b) => b.created_at.localeCompare(a.created_at));
+    return hits[0] || null;
+  }
+
+  async function add({ key, runId, compareRunId, range, scenarioKey, provider, model, controller, result }) {
+    const rec = {
+      id: randomUUID().slice(0, 8),
+      key,
+      run_id: runId || null,
+      compare_run_id: compareRunId || null,
+      range: range || null,
+      scenario_key: scenarioKey,
+      provider,
+      model,
+      controller: controller ?? null,
+      created_at: new Date().toISOString(),
+      result
+    };
+    return store.put(rec.id, rec);
+  }
+
+  // Filters: run, scenario, provider. Newest first.
+  async function list({ run, scenario, provider } = {}) {
+    return (await store.list())
+      .filter((r) => (!run || r.run_id === run) && (!scenario || r.scenario_key === scenario))
+      .filter((r) => !provider || r.provider === provider)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .map(brief);
+  }
+
+  return { findCached, add, list, get: store.get, remove: store.remove };
+}
@@ -0,0 +1,58 @@
+import { DiagnosisError } from "./schema.js";
+import { createGeminiProvider } from "./providers/gemini.js";
+import { createOpenAIProvider } from "./providers/openai.js";
+import { createRulesProvider } from "./providers/rules.js";
+
+/* -------------------------------------------------------
+   Diagnosis provider registry.
+
+   A provider is { name, label, model, available, diagnose(input) }
+   where input = { scenarioKey, scenario, policyResult,
+   runSummary, compareSummary } and diagnose() resolves to an
+   object matching DIAGNOSIS_SCHEMA or throws DiagnosisError.
+   LLM providers also have stream(input), an async generator
+   of the raw JSON text as it is generated.
+------------------------------------------------------- */
+
+export function createProviders(env = process.env) {
+  const providers = [
+    createGeminiProvider({
+      apiKey: env.GEMINI_API_KEY || env.GOOGLE_API_KEY,
+      model: env.GEMINI_MODEL
+    }),
+    createOpenAIProvider({
+      baseUrl: env.OPENAI_BASE_URL,
+      apiKey: env.OPENAI_API_KEY,
+      model: env.OPENAI_MODEL
+    }),
+    createRulesProvider()
+  ];
+  const byName = new Map(providers.map((p) => [p.name, p]));
+
+  // DIAGNOSIS_PROVIDER wins; otherwise the first configured LLM, else rules.
+  const defaultName =
+    (env.DIAGNOSIS_PROVIDER && byName.has(env.DIAGNOSIS_PROVIDER) && env.DIAGNOSIS_PROVIDER) ||
+    providers.find((p) => p.available)?.name;
+
+  return {
+    defaultName,
+
+    list() {
+      return providers.map((p) => ({
+        name: p.name,
+        label: p.label,
+        model: p.model,
+        available: p.available,
+        default: p.name === defaultName
+      }));
+    },
+
+    get(name) {
+      const p = byName.get(name || defaultName);
+      if (!p) throw new DiagnosisError(`Unknown provider '${name}'.`, { status: 400, code: "unknown_provider" });
+      return p;
+    }
+  };
+}
+
+export { DiagnosisError } from "./schema.js";
@@ -0,0 +1,66 @@
+import { GoogleGenAI } from "@google/genai";
+import { DIAGNOSIS_SCHEMA, DiagnosisError, buildPrompt, parseModelJson } from "../schema.js";
+
+/* -------------------------------------------------------
+   Google Gemini (structured JSON output)
+------------------------------------------------------- */
+export function createGeminiProvider({ apiKey, model } = {}) {
+  let ai = null;
+
+  function client() {
+    if (!apiKey) {
+      throw new DiagnosisError("GEMINI_API_KEY is not set.", { status: 503, code: "provider_unavailable" });
+    }
+    return (ai ??= new GoogleGenAI({ apiKey }));
+  }
+
+  const modelError = (err) =>
+    new DiagnosisError(err?.error?.message || err?.message || String(err), { status: err?.status || 502 });
+
+  return {
+    name: "gemini",
+    label: "Gemini",
+    // Start with gemini-3-flash-preview (works great for JSON schema + speed).
+    // If you hit model access issues, change to "gemini-2.5-flash".
+    model: model || "gemini-3-flash-preview",
+    available: Boolean(apiKey),
+
+    request(input) {
+      return {
+        model: this.model,
+        contents: buildPrompt(input),
+        config: {
+          responseMimeType: "application/json",
+          responseJsonSchema: DIAGNOSIS_SCHEMA
+        }
+      };
+    },
+
+    async diagnose(input) {
+      let response;
+      try {
+        response = await client().models.generateContent(this.request(input));
+      } catch (err) {
+        throw err instanceof DiagnosisError ? err : modelError(err);
+      }
+      return parseModelJson(response?.text);
+    },
+
+    // Yields raw JSON text as the model writes it.
+    async *stream(input) {
+      let chunks;
+      try {
+        chunks = await client().models.generateContentStream(this.request(input));
+      } catch (err) {
+        throw err instanceof DiagnosisError ? err : modelError(err);
+      }
+      try {
+        for await (const chunk of chunks) {
+          if (chunk?.text) yield chunk.text;
+        }
+      } catch (err) {
+        throw modelError(err);
+      }
+    }
+  };
+}
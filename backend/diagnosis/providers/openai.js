@@ -0,0 +1,85 @@
+import { DIAGNOSIS_SCHEMA, DiagnosisError, buildPrompt, parseModelJson } from "../schema.js";
+
+/* -------------------------------------------------------
+   OpenAI-compatible chat completions endpoint
+   (vLLM, llama.cpp server, Ollama, LM Studio, ...)
+------------------------------------------------------- */
+export function createOpenAIProvider({ baseUrl, apiKey, model, timeoutMs = 120000 } = {}) {
+  const url = baseUrl ? baseUrl.replace(/\/+$/, "") + "/chat/completions" : null;
+
+  async function post(body) {
+    if (!url) {
+      throw new DiagnosisError("OPENAI_BASE_URL is not set.", { status: 503, code: "provider_unavailable" });
+    }
+    let resp;
+    try {
+      resp = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (err) {
+      throw new DiagnosisError(`Cannot reach ${url}: ${err?.message || err}`, { status: 502 });
+    }
+    if (!resp.ok) {
+      const data = await resp.json().catch(() => null);
+      throw new DiagnosisError(data?.error?.message || data?.error || `HTTP ${resp.status} from ${url}`, {
+        status: 502
+      });
+    }
+    return resp;
+  }
+
+  return {
+    name: "openai",
+    label: "OpenAI-compatible",
+    model: model || "local-model",
+    available: Boolean(baseUrl),
+
+    request(input) {
+      return {
+        model: this.model,
+        temperature: 0.2,
+        messages: [{ role: "user", content: buildPrompt(input) }],
+        response_format: {
+          type: "json_schema",
+          json_schema: { name: "simtrace_diagnosis", schema: DIAGNOSIS_SCHEMA }
+        }
+      };
+    },
+
+    async diagnose(input) {
+      const resp = await post(this.request(input));
+      const data = await resp.json().catch(() => null);
+      return parseModelJson(data?.choices?.[0]?.message?.content);
+    },
+
+    // Yields raw JSON text from the `data:` chunks of a streamed completion.
+    async *stream(input) {
+      const resp = await post({ ...this.request(input), stream: true });
+      const decoder = new TextDecoder();
+      let pending = "";
+      for await (const bytes of resp.body) {
+        pending += decoder.decode(bytes, { stream: true });
+        const lines = pending.split("\n");
+        pending = lines.pop();
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, "").trim();
+          if (!line.startsWith("data:") || !data || data === "[DONE]") continue;
+          let msg;
+          try {
+            msg = JSON.parse(data);
+          } catch {
+            continue;
+          }
+          const text = msg?.choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,182 @@
+import { scoreCounts, summaryCounts } from "../../../shared/scenarios.js";
+
+/* -------------------------------------------------------
+   Deterministic rule-based diagnosis. Server-side port of
+   diagnoseRun() in frontend/index.html; needs no network,
+   so it works on air-gapped clusters.
+------------------------------------------------------- */
+
+const WHY = {
+  collision: "Physical contact: the safety layer did not stop the robot in time.",
+  near_collision: "Clearance dropped below the safety margin; avoidance reacted late.",
+  stuck: "No progress: the robot entered a deadlock and recovery did not free it.",
+  replan: "The planner had to re-plan, often a sign of a blocked or oscillating path.",
+  oscillation: "Heading reversed repeatedly; the controller is fighting itself.",
+  spin_in_place: "Rotated in place without progress, a typical failed-recovery pattern.",
+  speed_spike: "Speed or acceleration exceeded the expected envelope."
+};
+
+// Evidence order: the most severe event types first, then by time.
+const SEVERITY = ["collision", "stuck", "near_collision", "oscillation", "spin_in_place", "speed_spike", "replan"];
+const MAX_EVIDENCE = 10;
+
+function pickEvidence(summary) {
+  const events = Array.isArray(summary?.events_evidence) ? summary.events_evidence : [];
+  const rank = (type) => {
+    const i = SEVERITY.indexOf(type);
+    return i < 0 ? SEVERITY.length : i;
+  };
+  return events
+    .filter((e) => Number.isFinite(Number(e.t)) && e.type)
+    .slice()
+    .sort((a, b) => rank(a.type) - rank(b.type) || a.t - b.t)
+    .slice(0, MAX_EVIDENCE)
+    .sort((a, b) => a.t - b.t)
+    .map((e) => ({
+      t: Number(e.t),
+      type: String(e.type),
+      why_it_matters: (WHY[e.type] || "Recorded event during the run.") + (e.detail ? ` (${e.detail})` : "")
+    }));
+}
+
+export function diagnoseByRules({ scenario, policyResult, runSummary, compareSummary }) {
+  const sc = scenario;
+  const c = summaryCounts(runSummary);
+  const result = policyResult || scoreCounts(c, sc);
+  const near = c.near;
+  const stuck = c.stuck;
+  const duration = Number(runSummary?.duration_s) || 0;
+  const distance = Number(runSummary?.distance_m) || 0;
+
+  // A missing limit never triggers.
+  const nearLimit = sc.limits?.near ?? Infinity;
+  const stuckLimit = sc.limits?.stuck ?? Infinity;
+
+  // MEDIUM once a count sits at its limit; a zero count never does, so a limit of 0 only breaches (HIGH).
+  let severity = "LOW";
+  if ((near > 0 && near >= nearLimit) || (stuck > 0 && stuck >= stuckLimit)) severity = "MEDIUM";
+  if (near > nearLimit || stuck > stuckLimit) severity = "HIGH";
+
+  let cause = "No major behavioral issues detected.";
+  let fixes = ["Keep current parameters; expand stress tests."];
+
+  if (stuck > 0) {
+    cause =
+      "Robot enters a deadlock state and fails to recover. This usually indicates missing recovery logic or over-aggressive turning.";
+    fixes = [
+      "Add recovery behavior: reverse → rotate → retry.",
+      "Detect oscillation and force a larger escape turn.",
+      "Add timeout-based recovery when no progress is made."
+    ];
+  }
+
+  if (near > nearLimit) {
+    cause = "Obstacle avoidance triggers too late, causing repeated near-collisions.";
+    fixes = [
+      "Increase obstacle clearance threshold.",
+      "Reduce speed near obstacles.",
+      "Apply smoothing to distance sensor readings."
+    ];
+  }
+
+  if (stuck > 0 && near > nearLimit) {
+    cause = "Compound failure: late avoidance combined with no recovery creates collision-deadlock loops.";
+    fixes = [
+      "Increase clearance distance AND add recovery behavior.",
+      "Cap angular velocity to reduce oscillation.",
+      "Introduce a wall-follow fallback in tight spaces."
+    ];
+  }
+
+  const root_causes = [cause];
+  if (c.collision > 0) {
+    root_causes.push(`${c.collision} collision(s): the safety stop or footprint inflation is insufficient.`);
+  }
+  if (c.replan >= 3) {
+    root_causes.push(`${c.replan} replans: the global path keeps getting invalidated (costmap or goal tolerance).`);
+  }
+
+  if (c.no_go > 0) {
+    root_causes.push(`${c.no_go} no-go zone entry(ies): the planner doesn't see the zone as a keep-out area.`);
+  }
+  if (c.speeding > 0) {
+    root_causes.push(`${c.speeding} speed-limit violation(s) in slow zones: the speed cap isn't applied there.`);
+  }
+  if (c.dwell > 0) root_causes.push(`${c.dwell} overstay(s): the robot stays in a zone longer than it allows.`);
+  const mission = runSummary?.mission;
+  if (c.missed > 0) {
+    root_causes.push(
+      mission?.reached
+        ? `Goal reached only after ${mission.time_to_goal_s}s, over the mission timeout.`
+        : "Mission goal not reached: the robot stalls, gives up or ends the run short of it."
+    );
+  }
+  if (c.detour > 0) {
+    root_causes.push(`${c.detour} detour(s) off the planned route: avoidance or replanning goes the long way round.`);
+  }
+  for (const v of result.violations || []) root_causes.push(`Scenario rule broken: ${v.message}.`);
+
+  const recommendations = fixes.slice();
+  if (c.collision > 0) recommendations.push("Enable an emergency stop on the closest-obstacle distance.");
+  if (c.no_go > 0) recommendations.push("Load the no-go zones into the costmap as a keep-out filter.");
+  if (c.speeding > 0) recommendations.push("Apply a speed filter mask matching the slow zones.");
+  if (c.missed > 0) recommendations.push("Check goal tolerances and the progress checker before tuning speed.");
+  if (recommendations.length < 3) {
+    recommendations.push(
+      "Log clearance and commanded velocity per frame to confirm margins.",
+      "Add this run to the regression set for the scenario."
+    );
+  }
+
+  const next_tests = [
+    `Re-run under "${sc.name}" and compare PASS/WARN/FAIL + score before/after tuning.`,
+    stuck > 0
+      ? "Replay the deadlock location with a narrower corridor and a recovery timeout."
+      : "Repeat with a different seed to check the result is not noise."
+  ];
+
+  let compare_insights = "";
+  if (compareSummary) {
+    const other = scoreCounts(summaryCounts(compareSummary), sc);
+    const delta = other.score - result.score;
+    compare_insights =
+      `Compare run scores ${other.score} (${other.status}) vs ${result.score} (${result.status}); ` +
+      `delta ${delta > 0 ? "+" : ""}${delta} (compare - primary). ` +
+      (delta === 0 ? "Same score; look at event timing and path shape." : delta < 0 ? "Compare run is better." : "Compare run is worse.");
+  }
+
+  const breaches = result.breaches.map((b) => `${b.count} ${b.value} > ${b.limit}`);
+  const win = runSummary?.window;
+  const operator_summary =
+    (win ? `t=${win.t0}–${win.t1}s only: ` : "") +
+    `${result.status} under ${sc.name} (score ${result.score}, severity ${severity}). ` +
+    `${duration.toFixed(1)}s, ${distance.toFixed(1)}m, ${near} near-collision(s), ${stuck} stuck event(s).` +
+    (mission ? ` Goal ${mission.reached ? `reached in ${mission.time_to_goal_s}s` : "not reached"}.` : "") +
+    (breaches.length ? ` Limits exceeded: ${breaches.join(", ")}.` : "") +
+    (result.violations?.length ? ` Rules broken: ${result.violations.map((v) => v.expr).join(", ")}.` : "");
+
+  return {
+    verdict: result.status,
+    // Rules only see counts; say so instead of pretending to model certainty.
+    confidence: runSummary?.events_evidence?.length ? 0.7 : 0.5,
+    operator_summary,
+    root_causes,
+    evidence: pickEvidence(runSummary),
+    recommendations,
+    next_tests,
+    compare_insights
+  };
+}
+
+export function createRulesProvider() {
+  return {
+    name: "rules",
+    label: "Rule-based (offline)",
+    model: "rules-v1",
+    available: true,
+
+    async diagnose(input) {
+      return diagnoseByRules(input);
+    }
+  };
+}
@@ -0,0 +1,137 @@
+import { describePolicy } from "../../shared/scenarios.js";
+
+/* -------------------------------------------------------
+   Structured diagnosis: output schema + LLM prompt.
+   Every provider returns an object matching this schema.
+------------------------------------------------------- */
+
+export const DIAGNOSIS_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    verdict: { type: "string", enum: ["PASS", "WARN", "FAIL"] },
+    confidence: { type: "number", minimum: 0, maximum: 1 },
+    operator_summary: { type: "string" },
+    root_causes: {
+      type: "array",
+      items: { type: "string" },
+      minItems: 1,
+      maxItems: 6
+    },
+    evidence: {
+      type: "array",
+      minItems: 2,
+      maxItems: 10,
+      items: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          t: { type: "number" },
+          type: { type: "string" },
+          why_it_matters: { type: "string" }
+        },
+        required: ["t", "type", "why_it_matters"]
+      }
+    },
+    recommendations: {
+      type: "array",
+      items: { type: "string" },
+      minItems: 3,
+      maxItems: 10
+    },
+    next_tests: {
+      type: "array",
+      items: { type: "string" },
+      minItems: 2,
+      maxItems: 8
+    },
+    // Always required (empty string if no compare run)
+    compare_insights: { type: "string" }
+  },
+  required: [
+    "verdict",
+    "confidence",
+    "operator_summary",
+    "root_causes",
+    "evidence",
+    "recommendations",
+    "next_tests",
+    "compare_insights"
+  ]
+};
+
+const SYSTEM = `
+You are SimTrace Copilot, an expert robotics debugging assistant.
+
+You analyze simulation run summaries and return ONLY valid JSON matching the provided schema.
+
+Rules:
+- Be specific + actionable (tuning, planner, controller, sensor fusion, safety layers, map, costmaps, recovery behaviors).
+- Ground your claims in the events evidence and counts.
+- Evidence items must cite events from runSummary.events_evidence with their exact t and type; uncited claims are dropped.
+- Judge the run against the given scenario policy; policyResult is the deterministic score under it.
+- policyResult.rule_violations name the scenario rules the run broke and when; explain them in root_causes.
+- If runSummary.mission is set, the run had a goal: say whether it was reached, how fast and how directly.
+- If runSummary.meta.agent_count is set, the run is a fleet: events name their robot (agent), and
+  near_collision events are two robots too close to each other. Name the robots involved.
+- If runSummary.window is set, the summaries cover only t0..t1 seconds of the run; diagnose that stretch.
+- If compareSummary is missing, set compare_insights to "".
+`;
+
+export class DiagnosisError extends Error {
+  constructor(message, { status = 502, code = "diagnose_failed", raw } = {}) {
+    super(message);
+    this.name = "DiagnosisError";
+    this.status = status;
+    this.code = code;
+    if (raw !== undefined) this.raw = raw;
+  }
+}
+
+/** Model output is JSON text, sometimes wrapped in a ```json fence by local models. */
+export function parseModelJson(text) {
+  const body = String(text || "").trim().replace(/^```(?:json)?\s*|\s*```$/g, "");
+  let out;
+  try {
+    out = JSON.parse(body);
+  } catch {
+    throw new DiagnosisError("Model did not return valid JSON.", { code: "bad_model_json", raw: body.slice(0, 2000) });
+  }
+  if (!out || typeof out !== "object" || Array.isArray(out)) {
+    throw new DiagnosisError("Model returned an unexpected shape", {
+      code: "bad_model_json",
+      raw: body.slice(0, 2000)
+    });
+  }
+  // Safety: ensure compare_insights exists even if model forgets (shouldn't happen w/schema)
+  if (typeof out.compare_insights !== "string") out.compare_insights = "";
+  return out;
+}
+
+/** Prompt text shared by the LLM providers. */
+export function buildPrompt({ scenarioKey, scenario, policyResult, runSummary, compareSummary }) {
+  const promptObj = {
+    scenarioKey,
+    scenario: {
+      name: scenario.name,
+      blurb: scenario.blurb,
+      policy: describePolicy(scenario)
+    },
+    policyResult: {
+      score: policyResult.score,
+      status: policyResult.status,
+      breaches: policyResult.breaches,
+      rule_violations: (policyResult.violations || []).map((v) => v.message)
+    },
+    runSummary,
+    compareSummary: compareSummary || null
+  };
+
+  return `${SYSTEM}
+
+INPUT (JSON):
+${JSON.stringify(promptObj, null, 2)}
+
+TASK:
+Return a structured diagnosis.`;
+}
@@ -0,0 +1,53 @@
+/* -------------------------------------------------------
+   Incremental reader for a streamed JSON object. Calls
+   onSection(key, value) as soon as each top-level member
+   is complete, so partial diagnoses can be shown while
+   the model is still writing the rest.
+------------------------------------------------------- */
+export function createSectionParser(onSection) {
+  let buf = "";
+  let pos = 0; // next char to scan
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let memberStart = -1; // index of the current top-level member (at depth 1)
+
+  function emit(end) {
+    const slice = buf.slice(memberStart, end).trim();
+    memberStart = -1;
+    if (!slice) return;
+    try {
+      const obj = JSON.parse(`{${slice}}`);
+      for (const [k, v] of Object.entries(obj)) onSection(k, v);
+    } catch {
+      // Not a complete member (e.g. a fenced preamble); the final parse decides.
+    }
+  }
+
+  function push(chunk) {
+    buf += chunk;
+    for (; pos < buf.length; pos++) {
+      const c = buf[pos];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (c === "\\") escaped = true;
+        else if (c === '"') inString = false;
+        continue;
+      }
+      if (c === '"') {
+        inString = true;
+        if (depth === 1 && memberStart < 0) memberStart = pos;
+      } else if (c === "{" || c === "[") {
+        depth++;
+        if (depth === 1) memberStart = -1;
+      } else if (c === "}" || c === "]") {
+        if (depth === 1 && memberStart >= 0) emit(pos);
+        depth--;
+      } else if (c === "," && depth === 1 && memberStart >= 0) {
+        emit(pos);
+      }
+    }
+  }
+
+  return { push, text: () => buf };
+}
@@ -0,0 +1,110 @@
+import { CdrReader } from "@foxglove/cdr";
+
+/* -------------------------------------------------------
+   Minimal CDR decoders for the ROS 2 messages the bag
+   importer cares about. Only the fields SimTrace needs are
+   returned; everything else is read and dropped.
+------------------------------------------------------- */
+
+function time(r) {
+  const sec = r.int32();
+  const nanosec = r.uint32();
+  return sec + nanosec / 1e9;
+}
+
+function header(r) {
+  const stamp = time(r);
+  const frame_id = r.string();
+  return { stamp, frame_id };
+}
+
+function vector3(r) {
+  return { x: r.float64(), y: r.float64(), z: r.float64() };
+}
+
+function quaternion(r) {
+  return { x: r.float64(), y: r.float64(), z: r.float64(), w: r.float64() };
+}
+
+function pose(r) {
+  return { position: vector3(r), orientation: quaternion(r) };
+}
+
+function twist(r) {
+  return { linear: vector3(r), angular: vector3(r) };
+}
+
+function covariance(r) {
+  r.float64Array(36);
+}
+
+function odometry(r) {
+  const h = header(r);
+  const child_frame_id = r.string();
+  const p = pose(r);
+  covariance(r);
+  const tw = twist(r);
+  covariance(r);
+  return { header: h, child_frame_id, pose: p, twist: tw };
+}
+
+function transformStamped(r) {
+  const h = header(r);
+  const child_frame_id = r.string();
+  return { header: h, child_frame_id, translation: vector3(r), rotation: quaternion(r) };
+}
+
+function tfMessage(r) {
+  const n = r.sequenceLength();
+  const transforms = [];
+  for (let i = 0; i < n; i++) transforms.push(transformStamped(r));
+  return { transforms };
+}
+
+// Normalized shapes: { kind: "pose", pose, twist? } | { kind: "twist", twist } | { kind: "tf", transforms }
+const DECODERS = {
+  "nav_msgs/msg/Odometry": (r) => {
+    const m = odometry(r);
+    return { kind: "pose", stamp: m.header.stamp, pose: m.pose, twist: m.twist };
+  },
+  "geometry_msgs/msg/PoseStamped": (r) => {
+    const h = header(r);
+    return { kind: "pose", stamp: h.stamp, pose: pose(r) };
+  },
+  "geometry_msgs/msg/PoseWithCovarianceStamped": (r) => {
+    const h = header(r);
+    const p = pose(r);
+    covariance(r);
+    return { kind: "pose", stamp: h.stamp, pose: p };
+  },
+  "geometry_msgs/msg/Twist": (r) => ({ kind: "twist", twist: twist(r) }),
+  "geometry_msgs/msg/TwistStamped": (r) => {
+    const h = header(r);
+    return { kind: "twist", stamp: h.stamp, twist: twist(r) };
+  },
+  "tf2_msgs/msg/TFMessage": (r) => ({ kind: "tf", transforms: tfMessage(r).transforms })
+};
+
+// rosbag2 sqlite stores "pkg/msg/Type"; some MCAP writers use "pkg/Type".
+export function normalizeType(type) {
+  const s = String(type || "");
+  const parts = s.split("/");
+  return parts.length === 2 ? `${parts[0]}/msg/${parts[1]}` : s;
+}
+
+export function isSupportedType(type) {
+  return Object.prototype.hasOwnProperty.call(DECODERS, normalizeType(type));
+}
+
+export const SUPPORTED_TYPES = Object.keys(DECODERS);
+
+export function decodeCdr(type, data) {
+  const decode = DECODERS[normalizeType(type)];
+  if (!decode) throw new Error(`Unsupported message type '${type}'`);
+  return decode(new CdrReader(data));
+}
+
+export function quaternionToYaw(q) {
+  const { x = 0, y = 0, z = 0, w = 1 } = q || {};
+  return Math.atan2(2 * (w * z + x * y), 1 - 2 * (y * y + z * z));
+}
@@ -0,0 +1,456 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { McapIndexedReader, McapStreamReader, hasMcapPrefix } from "@mcap/core";
+import { FileHandleReadable } from "@mcap/nodejs";
+import { loadDecompressHandlers } from "@mcap/support";
+import initSqlJs from "sql.js";
+import { decodeCdr, isSupportedType, normalizeType, quaternionToYaw } from "./ros2msgs.js";
+
+/* -------------------------------------------------------
+   ROS 2 bag importer (MCAP or sqlite3 storage)
+
+   Converts a recording into the SimTrace run format:
+   { run_id, dt, meta, stats, events, frames: [{ t, x, y, yaw, v }] }
+------------------------------------------------------- */
+
+const SQLITE_MAGIC = Buffer.from("SQLite format 3\0", "latin1");
+
+let decompressHandlers = null;
+function getDecompressHandlers() {
+  if (!decompressHandlers) decompressHandlers = loadDecompressHandlers();
+  return decompressHandlers;
+}
+
+let sqlModule = null;
+function getSql() {
+  if (!sqlModule) sqlModule = initSqlJs();
+  return sqlModule;
+}
+
+export class BagImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "BagImportError";
+    this.status = status;
+  }
+}
+
+function sniffFormat(head) {
+  if (hasMcapPrefix(new DataView(head.buffer, head.byteOffset, head.byteLength))) return "mcap";
+  if (head.length >= SQLITE_MAGIC.length && SQLITE_MAGIC.equals(head.subarray(0, SQLITE_MAGIC.length)))
+    return "sqlite3";
+  return null;
+}
+
+/* ---------------- storage backends ---------------- */
+
+// Each backend exposes { format, topics, messages(topics?), close() }, where
+// messages() yields { topic, type, ns, data } in log-time order (`ns` is a bigint).
+
+// IReadable over an in-memory upload.
+function bufferReadable(buf) {
+  return {
+    size: async () => BigInt(buf.byteLength),
+    read: async (offset, length) => buf.subarray(Number(offset), Number(offset + length))
+  };
+}
+
+async function openMcap(source) {
+  const handlers = await getDecompressHandlers();
+  let handle = null;
+  let reader = null;
+
+  try {
+    if (Buffer.isBuffer(source)) {
+      reader = await McapIndexedReader.Initialize({ readable: bufferReadable(source), decompressHandlers: handlers });
+    } else {
+      handle = await fs.open(source, "r");
+      reader = await McapIndexedReader.Initialize({ readable: new FileHandleReadable(handle), decompressHandlers: handlers });
+    }
+  } catch {
+    // Unindexed (e.g. truncated recording): fall back to a linear scan.
+    await handle?.close();
+    const buf = Buffer.isBuffer(source) ? source : await fs.readFile(source);
+    return openMcapStream(buf, handlers);
+  }
+
+  const topics = [];
+  for (const ch of reader.channelsById.values()) {
+    const schema = reader.schemasById.get(ch.schemaId);
+    topics.push({ name: ch.topic, type: normalizeType(schema?.name), encoding: ch.messageEncoding });
+  }
+  const counts = reader.statistics?.channelMessageCounts;
+  for (const [id, ch] of reader.channelsById) {
+    const t = topics.find((x) => x.name === ch.topic);
+    if (t && counts?.has(id)) t.count = (t.count || 0) + Number(counts.get(id));
+  }
+
+  async function* messages(wanted) {
+    for await (const msg of reader.readMessages({ topics: wanted })) {
+      const ch = reader.channelsById.get(msg.channelId);
+      const schema = ch ? reader.schemasById.get(ch.schemaId) : null;
+      yield { topic: ch?.topic, type: normalizeType(schema?.name), ns: msg.logTime, data: msg.data };
+    }
+  }
+
+  return { format: "mcap", topics, messages, close: async () => handle?.close() };
+}
+
+function openMcapStream(buf, handlers) {
+  const schemas = new Map();
+  const channels = new Map();
+  const records = [];
+  const stream = new McapStreamReader({ decompressHandlers: handlers });
+  stream.append(buf);
+
+  for (let rec; (rec = stream.nextRecord()); ) {
+    if (rec.type === "Schema") schemas.set(rec.id, rec);
+    else if (rec.type === "Channel") channels.set(rec.id, rec);
+    else if (rec.type === "Message") records.push(rec);
+  }
+  records.sort((a, b) => (a.logTime < b.logTime ? -1 : a.logTime > b.logTime ? 1 : 0));
+
+  const topics = [...channels.values()].map((ch) => ({
+    name: ch.topic,
+    type: normalizeType(schemas.get(ch.schemaId)?.name),
+    encoding: ch.messageEncoding,
+    count: records.filter((m) => m.channelId === ch.id).length
+  }));
+
+  async function* messages(wanted) {
+    for (const msg of records) {
+      const ch = channels.get(msg.channelId);
+      if (!ch || (wanted && !wanted.includes(ch.topic))) continue;
+      yield { topic: ch.topic, type: normalizeType(schemas.get(ch.schemaId)?.name), ns: msg.logTime, data: msg.data };
+    }
+  }
+
+  return { format: "mcap", topics, messages, close: async () => {} };
+}
+
+async function openSqlite(source) {
+  const SQL = await getSql();
+  const buf = Buffer.isBuffer(source) ? source : await fs.readFile(source);
+  const db = new SQL.Database(new Uint8Array(buf.buffer, buf.byteOffset, buf.byteLength));
+
+  let rows;
+  try {
+    rows = db.exec(
+      "SELECT t.id, t.name, t.type, t.serialization_format, COUNT(m.id) " +
+        "FROM topics t LEFT JOIN messages m ON m.topic_id = t.id GROUP BY t.id"
+    );
+  } catch (err) {
+    db.close();
+    throw new BagImportError(`Not a rosbag2 sqlite3 database: ${err?.message || err}`);
+  }
+
+  const byId = new Map();
+  const topics = [];
+  for (const [id, name, type, encoding, count] of rows[0]?.values || []) {
+    const t = { name, type: normalizeType(type), encoding, count: Number(count) };
+    byId.set(id, t);
+    topics.push(t);
+  }
+
+  async function* messages(wanted) {
+    const ids = [...byId].filter(([, t]) => !wanted || wanted.includes(t.name)).map(([id]) => id);
+    if (!ids.length) return;
+    const stmt = db.prepare(
+      `SELECT topic_id, timestamp, data FROM messages WHERE topic_id IN (${ids.map(() => "?").join(",")}) ORDER BY timestamp`
+    );
+    try {
+      stmt.bind(ids);
+      while (stmt.step()) {
+        const [topicId, ns, data] = stmt.get(null, { useBigInt: true });
+        const t = byId.get(Number(topicId));
+        yield { topic: t.name, type: t.type, ns: BigInt(ns), data };
+      }
+    } finally {
+      stmt.free();
+    }
+  }
+
+  return { format: "sqlite3", topics, messages, close: async () => db.close() };
+}
+
+// A rosbag2 directory holds metadata.yaml plus one or more storage files.
+async function resolveStorageFiles(p) {
+  const st = await fs.stat(p);
+  if (!st.isDirectory()) return [p];
+  const names = (await fs.readdir(p)).filter((n) => /\.(mcap|db3)$/i.test(n)).sort();
+  if (!names.length) throw new BagImportError(`No .mcap or .db3 files in ${p}`);
+  return names.map((n) => path.join(p, n));
+}
+
+async function openOne(source) {
+  let head;
+  if (Buffer.isBuffer(source)) {
+    head = source.subarray(0, 16);
+  } else {
+    const fh = await fs.open(source, "r");
+    try {
+      head = Buffer.alloc(16);
+      await fh.read(head, 0, 16, 0);
+    } finally {
+      await fh.close();
+    }
+  }
+
+  const format = sniffFormat(head);
+  if (format === "mcap") return openMcap(source);
+  if (format === "sqlite3") return openSqlite(source);
+  throw new BagImportError("Unrecognized bag format (expected MCAP or rosbag2 sqlite3).");
+}
+
+/**
+ * Opens a bag from a Buffer, a single .mcap/.db3 file, or a rosbag2 directory.
+ * Split recordings are exposed as one message stream in file order.
+ */
+export async function openBag(source) {
+  const parts = Buffer.isBuffer(source)
+    ? [await openOne(source)]
+    : await Promise.all((await resolveStorageFiles(source)).map(openOne));
+
+  const topics = [];
+  for (const part of parts) {
+    for (const t of part.topics) {
+      const seen = topics.find((x) => x.name === t.name);
+      if (seen) seen.count = (seen.count || 0) + (t.count || 0);
+      else topics.push({ ...t, supported: isSupportedType(t.type) });
+    }
+  }
+
+  async function* messages(wanted) {
+    for (const part of parts) yield* part.messages(wanted);
+  }
+
+  return {
+    format: parts[0]?.format,
+    topics,
+    messages,
+    close: async () => {
+      for (const part of parts) await part.close();
+    }
+  };
+}
+
+export async function listBagTopics(source) {
+  const bag = await openBag(source);
+  try {
+    return { format: bag.format, topics: bag.topics };
+  } finally {
+    await bag.close();
+  }
+}
+
+/* ---------------- frame building ---------------- */
+
+const POSE_TYPE_PREFERENCE = [
+  "nav_msgs/msg/Odometry",
+  "geometry_msgs/msg/PoseWithCovarianceStamped",
+  "geometry_msgs/msg/PoseStamped",
+  "tf2_msgs/msg/TFMessage"
+];
+
+function pickPoseTopic(topics) {
+  for (const type of POSE_TYPE_PREFERENCE) {
+    const hit = topics.find((t) => t.type === type && t.name !== "/tf_static");
+    if (hit) return hit.name;
+  }
+  return null;
+}
+
+function compose(a, b) {
+  const c = Math.cos(a.yaw);
+  const s = Math.sin(a.yaw);
+  return { x: a.x + c * b.x - s * b.y, y: a.y + s * b.x + c * b.y, yaw: a.yaw + b.yaw };
+}
+
+function wrapAngle(a) {
+  return Math.atan2(Math.sin(a), Math.cos(a));
+}
+
+// Walks the TF tree from `child` up to `world` (or the root when world is unset).
+function lookupTf(tree, child, world) {
+  let edge = tree.get(child);
+  if (!edge) return null;
+  let pose = { x: edge.x, y: edge.y, yaw: edge.yaw };
+  let cur = edge.parent;
+  for (let guard = 0; guard < 64; guard++) {
+    if (world && cur === world) return pose;
+    edge = tree.get(cur);
+    if (!edge) return world ? null : pose;
+    pose = compose(edge, pose);
+    cur = edge.parent;
+  }
+  return null;
+}
+
+function stripSlash(frame) {
+  return String(frame || "").replace(/^\//, "");
+}
+
+const round = (n, d = 4) => Math.round(n * 10 ** d) / 10 ** d;
+
+/**
+ * Converts a bag into a SimTrace run.
+ *
+ * options:
+ *   poseTopic   odometry / pose / TF topic (auto-detected when omitted)
+ *   velTopic    Twist, TwistStamped or Odometry topic for `v` (defaults to the
+ *               pose topic's twist when it is Odometry, else finite differences)
+ *   childFrame  robot frame when reading TF (default "base_link")
+ *   worldFrame  fixed frame when reading TF (default: root of the TF tree)
+ *   dt          minimum frame spacing in seconds (default 0.1)
+ *   runId, meta copied into the run
+ */
+export async function importBag(source, options = {}) {
+  const bag = await openBag(source);
+  try {
+    return await buildRun(bag, options);
+  } finally {
+    await bag.close();
+  }
+}
+
+async function buildRun(bag, options) {
+  const topicByName = new Map(bag.topics.map((t) => [t.name, t]));
+  const poseTopic = options.poseTopic || pickPoseTopic(bag.topics);
+  if (!poseTopic) throw new BagImportError("No odometry, pose or TF topic found; pass poseTopic.");
+
+  const pose = topicByName.get(poseTopic);
+  if (!pose) throw new BagImportError(`Topic '${poseTopic}' is not in the bag.`);
+  if (!isSupportedType(pose.type)) throw new BagImportError(`Topic '${poseTopic}' has unsupported type '${pose.type}'.`);
+
+  const velTopic = options.velTopic || null;
+  if (velTopic) {
+    const vel = topicByName.get(velTopic);
+    if (!vel) throw new BagImportError(`Topic '${velTopic}' is not in the bag.`);
+    if (!isSupportedType(vel.type)) throw new BagImportError(`Topic '${velTopic}' has unsupported type '${vel.type}'.`);
+  }
+
+  const usesTf = pose.type === "tf2_msgs/msg/TFMessage";
+  const childFrame = stripSlash(options.childFrame || "base_link");
+  const worldFrame = options.worldFrame ? stripSlash(options.worldFrame) : null;
+  const minDt = Number(options.dt) > 0 ? Number(options.dt) : 0.1;
+
+  const wanted = [poseTopic];
+  if (velTopic && velTopic !== poseTopic) wanted.push(velTopic);
+  if (usesTf && topicByName.has("/tf_static")) wanted.push("/tf_static");
+
+  const tree = new Map();
+  const raw = [];
+  let twist = null;
+  let t0 = null;
+  let skipped = 0;
+
+  for await (const msg of bag.messages(wanted)) {
+    let m;
+    try {
+      m = decodeCdr(msg.type, msg.data);
+    } catch {
+      skipped++;
+      continue;
+    }
+
+    if (msg.topic === velTopic && m.twist) twist = m.twist;
+
+    if (msg.topic !== poseTopic && msg.topic !== "/tf_static") continue;
+
+    let p = null;
+    if (m.kind === "tf") {
+      for (const tf of m.transforms) {
+        tree.set(stripSlash(tf.child_frame_id), {
+          parent: stripSlash(tf.header.frame_id),
+          x: tf.translation.x,
+          y: tf.translation.y,
+          yaw: quaternionToYaw(tf.rotation)
+        });
+      }
+      if (msg.topic !== poseTopic) continue;
+      p = lookupTf(tree, childFrame, worldFrame);
+    } else if (m.kind === "pose") {
+      p = { x: m.pose.position.x, y: m.pose.position.y, yaw: quaternionToYaw(m.pose.orientation) };
+      if (!velTopic && m.twist) twist = m.twist;
+    }
+    if (!p) continue;
+
+    if (t0 == null) t0 = msg.ns;
+    raw.push({
+      t: Number(msg.ns - t0) / 1e9,
+      x: p.x,
+      y: p.y,
+      yaw: wrapAngle(p.yaw),
+      twist
+    });
+  }
+
+  if (!raw.length) {
+    throw new BagImportError(
+      usesTf
+        ? `No transform chain to '${childFrame}'${worldFrame ? ` from '${worldFrame}'` : ""} on ${poseTopic}.`
+        : `No decodable messages on ${poseTopic}.`
+    );
+  }
+
+  // Downsample to the requested spacing, always keeping the last pose.
+  const kept = [];
+  for (let i = 0; i < raw.length; i++) {
+    const last = kept[kept.length - 1];
+    if (!last || raw[i].t - last.t >= minDt - 1e-9 || i === raw.length - 1) kept.push(raw[i]);
+  }
+
+  let distance = 0;
+  const frames = kept.map((f, i) => {
+    const prev = kept[i - 1];
+    if (prev) distance += Math.hypot(f.x - prev.x, f.y - prev.y);
+
+    let v;
+    let w;
+    if (f.twist) {
+      const lx = f.twist.linear.x;
+      v = Math.hypot(lx, f.twist.linear.y) * (lx < 0 ? -1 : 1);
+      w = f.twist.angular.z;
+    } else {
+      const next = kept[i + 1] || f;
+      const base = kept[i + 1] ? f : prev || f;
+      const span = next.t - base.t;
+      v = span > 0 ? Math.hypot(next.x - base.x, next.y - base.y) / span : 0;
+    }
+
+    const frame = { t: round(f.t, 3), x: round(f.x), y: round(f.y), yaw: round(f.yaw), v: round(v) };
+    if (w != null) frame.w = round(w);
+    return frame;
+  });
+
+  const source = {
+    format: bag.format,
+    pose_topic: poseTopic,
+    vel_topic: velTopic || (pose.type === "nav_msgs/msg/Odometry" ? poseTopic : null)
+  };
+  if (usesTf) {
+    source.child_frame = childFrame;
+    if (worldFrame) source.world_frame = worldFrame;
+  }
+  if (skipped) source.skipped_messages = skipped;
+
+  return {
+    run_id: options.runId || "rosbag_import",
+    started_at: Number(t0) / 1e9,
+    dt: minDt,
+    meta: {
+      sim: "rosbag2",
+      world: null,
+      robot: null,
+      controller: null,
+      ...(options.meta || {}),
+      source
+    },
+    stats: {
+      duration_s: frames[frames.length - 1].t,
+      distance_m: round(distance, 2)
+    },
+    events: [],
+    frames
+  };
+}
@@ -0,0 +1,136 @@
+import { OCC_UNKNOWN } from "../../shared/maps.js";
+
+/* -------------------------------------------------------
+   ROS map_server maps: map.yaml + PGM occupancy image
+
+   Produces { resolution, origin: [x, y, yaw], width, height }
+   and the grid bytes described in shared/maps.js.
+------------------------------------------------------- */
+
+export class MapImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "MapImportError";
+    this.status = status;
+  }
+}
+
+function parseScalar(v) {
+  const s = v.trim().replace(/^(["'])(.*)\1$/, "$2");
+  if (/^\[.*\]$/.test(s)) return s.slice(1, -1).split(",").map((x) => Number(x.trim()));
+  if (s !== "" && Number.isFinite(Number(s))) return Number(s);
+  return s;
+}
+
+/**
+ * The flat `key: value` subset of YAML that map_server writes
+ * (image, resolution, origin, negate, occupied_thresh, free_thresh, mode).
+ */
+export function parseMapYaml(text) {
+  const out = {};
+  for (const raw of String(text).split(/\r?\n/)) {
+    const line = raw.replace(/\s+#.*$/, "").replace(/^#.*$/, "");
+    const m = /^([A-Za-z_]+)\s*:\s*(.*)$/.exec(line.trim());
+    if (m) out[m[1]] = parseScalar(m[2]);
+  }
+
+  const resolution = Number(out.resolution);
+  if (!(resolution > 0)) throw new MapImportError("map.yaml needs a positive 'resolution'.");
+  const origin = Array.isArray(out.origin) ? out.origin : [0, 0, 0];
+  if (origin.length < 2 || origin.some((n) => !Number.isFinite(n))) {
+    throw new MapImportError("map.yaml 'origin' must be [x, y, yaw].");
+  }
+
+  return {
+    image: typeof out.image === "string" ? out.image : null,
+    resolution,
+    origin: [origin[0], origin[1], origin[2] ?? 0],
+    negate: Number(out.negate) === 1,
+    occupied_thresh: out.occupied_thresh != null ? Number(out.occupied_thresh) : 0.65,
+    free_thresh: out.free_thresh != null ? Number(out.free_thresh) : 0.196,
+    mode: typeof out.mode === "string" ? out.mode : "trinary"
+  };
+}
+
+/** Binary (P5) or ASCII (P2) PGM, 8- or 16-bit. Pixels are returned scaled to 0..255. */
+export function parsePgm(buf) {
+  const bytes = buf instanceof Uint8Array ? buf : new Uint8Array(buf);
+  let pos = 0;
+
+  function token() {
+    for (;;) {
+      while (pos < bytes.length && /\s/.test(String.fromCharCode(bytes[pos]))) pos++;
+      if (bytes[pos] !== 0x23) break; // '#' comment to end of line
+      while (pos < bytes.length && bytes[pos] !== 0x0a) pos++;
+    }
+    const start = pos;
+    while (pos < bytes.length && !/\s/.test(String.fromCharCode(bytes[pos]))) pos++;
+    return String.fromCharCode(...bytes.subarray(start, pos));
+  }
+
+  const magic = token();
+  if (magic !== "P5" && magic !== "P2") {
+    throw new MapImportError(
+      "Map image must be a PGM file (P5 or P2); convert PNG maps first, e.g. `convert map.png map.pgm`."
+    );
+  }
+  const width = Number(token());
+  const height = Number(token());
+  const maxval = Number(token());
+  if (!(width > 0 && height > 0 && maxval > 0 && maxval < 65536)) throw new MapImportError("Bad PGM header.");
+
+  const n = width * height;
+  const pixels = new Uint8Array(n);
+  const scale = 255 / maxval;
+
+  if (magic === "P5") {
+    pos++; // single whitespace after maxval
+    const wide = maxval > 255;
+    if (bytes.length - pos < n * (wide ? 2 : 1)) throw new MapImportError("PGM file is truncated.");
+    for (let i = 0; i < n; i++) {
+      const v = wide ? (bytes[pos + 2 * i] << 8) | bytes[pos + 2 * i + 1] : bytes[pos + i];
+      pixels[i] = Math.round(v * scale);
+    }
+  } else {
+    for (let i = 0; i < n; i++) {
+      const v = Number(token());
+      if (!Number.isFinite(v)) throw new MapImportError("PGM file is truncated.");
+      pixels[i] = Math.round(v * scale);
+    }
+  }
+  return { width, height, pixels };
+}
+
+/** Pixels → occupancy bytes following map_server's trinary / scale / raw modes. */
+export function occupancyFromPgm({ width, height, pixels }, meta) {
+  const data = new Uint8Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    const px = pixels[i];
+    if (meta.mode === "raw") {
+      data[i] = px <= 100 ? px : OCC_UNKNOWN;
+      continue;
+    }
+    const p = meta.negate ? px / 255 : (255 - px) / 255;
+    if (p > meta.occupied_thresh) data[i] = 100;
+    else if (p < meta.free_thresh) data[i] = 0;
+    else if (meta.mode === "scale") {
+      data[i] = Math.round((99 * (p - meta.free_thresh)) / (meta.occupied_thresh - meta.free_thresh));
+    } else data[i] = OCC_UNKNOWN;
+  }
+  return data;
+}
+
+export function importRosMap(yamlText, pgmBytes) {
+  const meta = parseMapYaml(yamlText);
+  const pgm = parsePgm(pgmBytes);
+  return {
+    map: {
+      resolution: meta.resolution,
+      origin: meta.origin,
+      width: pgm.width,
+      height: pgm.height,
+      image: meta.image
+    },
+    grid: occupancyFromPgm(pgm, meta)
+  };
+}
@@ -0,0 +1,341 @@
+/* -------------------------------------------------------
+   CSV / JSON-lines trajectory importer
+
+   A mapping profile says which column feeds each frame
+   field, in which unit, and which columns produce events:
+
+   {
+     id, name, format: "auto" | "csv" | "jsonl",
+     columns: {
+       t:   { column: "time_ms", unit: "ms" },
+       x:   { column: "pos.x" },
+       y:   { column: "pos.y" },
+       yaw: { column: "heading", unit: "deg" },
+       v:   { column: "speed", unit: "km/h" }
+     },
+     events: [
+       { column: "event", mode: "type", detail_column: "info" },
+       { column: "bumper", mode: "flag", type: "collision", detail: "bumper" }
+     ],
+     zero_time: true,
+     meta: { sim: "webots" }
+   }
+------------------------------------------------------- */
+
+export class TableImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "TableImportError";
+    this.status = status;
+  }
+}
+
+// Multipliers into SimTrace units (s, m, rad, m/s).
+export const UNITS = {
+  t: { s: 1, ms: 1e-3, us: 1e-6, ns: 1e-9 },
+  x: { m: 1, cm: 1e-2, mm: 1e-3 },
+  y: { m: 1, cm: 1e-2, mm: 1e-3 },
+  yaw: { rad: 1, deg: Math.PI / 180 },
+  v: { "m/s": 1, "km/h": 1 / 3.6, "mm/s": 1e-3 }
+};
+
+export const FIELDS = ["t", "x", "y", "yaw", "v"];
+
+/* ---------------- parsing ---------------- */
+
+function detectFormat(text) {
+  const first = text.trimStart()[0];
+  return first === "{" ? "jsonl" : "csv";
+}
+
+function detectDelimiter(headerLine) {
+  const counts = [",", ";", "\t"].map((d) => [d, headerLine.split(d).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+// RFC 4180-ish: quoted fields, doubled quotes, CRLF.
+function parseCsv(text) {
+  const src = text.replace(/^\uFEFF/, "");
+  const headerEnd = src.search(/\r?\n/);
+  const delim = detectDelimiter(headerEnd === -1 ? src : src.slice(0, headerEnd));
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else quoted = false;
+      } else field += ch;
+    } else if (ch === '"' && field === "") quoted = true;
+    else if (ch === delim) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      field = "";
+      if (row.length > 1 || row[0] !== "") rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.length > 1 || row[0] !== "") rows.push(row);
+
+  if (!rows.length) throw new TableImportError("CSV file is empty.");
+  const columns = rows[0].map((c) => c.trim());
+  const records = rows.slice(1).map((r) => {
+    const o = {};
+    columns.forEach((c, j) => (o[c] = r[j]));
+    return o;
+  });
+  return { columns, rows: records };
+}
+
+// Nested JSON becomes dotted columns: { pos: { x } } -> "pos.x", { p: [1, 2] } -> "p.0", "p.1".
+function flatten(obj, prefix, out) {
+  for (const [k, v] of Object.entries(obj)) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === "object") flatten(v, key, out);
+    else out[key] = v;
+  }
+  return out;
+}
+
+function parseJsonl(text) {
+  const rows = [];
+  const columns = [];
+  const seen = new Set();
+  const lines = text.split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    let obj;
+    try {
+      obj = JSON.parse(line);
+    } catch {
+      throw new TableImportError(`Line ${i + 1} is not valid JSON.`);
+    }
+    if (!obj || typeof obj !== "object") continue;
+    const flat = flatten(obj, "", {});
+    for (const k of Object.keys(flat)) {
+      if (!seen.has(k)) {
+        seen.add(k);
+        columns.push(k);
+      }
+    }
+    rows.push(flat);
+  }
+  if (!rows.length) throw new TableImportError("JSON-lines file has no records.");
+  return { columns, rows };
+}
+
+export function parseTable(text, format = "auto") {
+  const fmt = format === "auto" || !format ? detectFormat(String(text || "")) : format;
+  if (fmt === "jsonl") return { format: fmt, ...parseJsonl(String(text)) };
+  if (fmt === "csv") return { format: fmt, ...parseCsv(String(text)) };
+  throw new TableImportError(`Unknown format '${format}'.`);
+}
+
+/* ---------------- mapping ---------------- */
+
+// Same shapes extractXY() accepts in the UI, plus common simulator spellings.
+const GUESSES = {
+  t: ["t", "time", "timestamp", "stamp", "sim_time", "time_s", "time_ms", "t_ms"],
+  x: ["x", "pos.x", "p.0", "position.x", "pose.x", "pose.position.x", "translation.x"],
+  y: ["y", "pos.y", "p.1", "position.y", "pose.y", "pose.position.y", "translation.y"],
+  yaw: ["yaw", "theta", "heading", "yaw_deg", "heading_deg", "rotation.z", "pose.yaw"],
+  v: ["v", "speed", "vel", "velocity", "linear_velocity", "v_x", "twist.linear.x"]
+};
+
+export function suggestMapping(columns) {
+  const lower = new Map(columns.map((c) => [c.toLowerCase(), c]));
+  const mapping = { columns: {}, events: [] };
+
+  for (const field of FIELDS) {
+    const hit = GUESSES[field].find((g) => lower.has(g));
+    if (!hit) continue;
+    const spec = { column: lower.get(hit) };
+    if (field === "t" && /ms$/.test(hit)) spec.unit = "ms";
+    if (field === "yaw" && /deg/.test(hit)) spec.unit = "deg";
+    mapping.columns[field] = spec;
+  }
+
+  const evt = ["event", "events", "event_type", "type"].find((g) => lower.has(g));
+  if (evt) mapping.events.push({ column: lower.get(evt), mode: "type" });
+  return mapping;
+}
+
+/**
+ * Checks a profile submitted over the API and returns a clean copy.
+ * Column existence is checked later, against the actual file.
+ */
+export function normalizeProfile(body, id) {
+  const columns = {};
+  for (const f of FIELDS) {
+    const spec = body?.columns?.[f];
+    if (!spec?.column) continue;
+    const unit = spec.unit || Object.keys(UNITS[f])[0];
+    if (UNITS[f][unit] == null) throw new TableImportError(`Unknown unit '${unit}' for ${f}.`);
+    columns[f] = { column: String(spec.column), unit };
+    if (spec.scale != null) columns[f].scale = Number(spec.scale);
+    if (spec.offset != null) columns[f].offset = Number(spec.offset);
+  }
+  if (!columns.t || !columns.x || !columns.y) {
+    throw new TableImportError("Profile must map columns for t, x and y.");
+  }
+
+  const events = (Array.isArray(body.events) ? body.events : [])
+    .filter((e) => e?.column)
+    .map((e) => {
+      const mode = e.mode === "flag" ? "flag" : "type";
+      if (mode === "flag" && !e.type) throw new TableImportError(`Flag column '${e.column}' needs an event type.`);
+      const out = { column: String(e.column), mode };
+      if (e.type) out.type = String(e.type);
+      if (e.detail) out.detail = String(e.detail);
+      if (e.detail_column) out.detail_column = String(e.detail_column);
+      return out;
+    });
+
+  return {
+    id,
+    name: String(body.name || id),
+    format: ["csv", "jsonl"].includes(body.format) ? body.format : "auto",
+    columns,
+    events,
+    zero_time: body.zero_time !== false,
+    meta: body.meta && typeof body.meta === "object" ? body.meta : {},
+    updated_at: new Date().toISOString()
+  };
+}
+
+function toNumber(v) {
+  if (typeof v === "number") return v;
+  if (v == null) return NaN;
+  const s = String(v).trim();
+  return s === "" ? NaN : Number(s);
+}
+
+function truthy(v) {
+  if (typeof v === "boolean") return v;
+  const s = String(v ?? "").trim().toLowerCase();
+  return s !== "" && s !== "0" && s !== "false" && s !== "no";
+}
+
+function fieldReader(field, spec, columns) {
+  if (!spec?.column) return null;
+  if (!columns.includes(spec.column)) throw new TableImportError(`Column '${spec.column}' (for ${field}) not found.`);
+  const unit = spec.unit || Object.keys(UNITS[field])[0];
+  const factor = UNITS[field][unit];
+  if (factor == null) throw new TableImportError(`Unknown unit '${unit}' for ${field}.`);
+  const k = factor * (spec.scale != null ? Number(spec.scale) : 1);
+  const offset = Number(spec.offset) || 0;
+  return (row) => toNumber(row[spec.column]) * k + offset;
+}
+
+const round = (n, d = 4) => Math.round(n * 10 ** d) / 10 ** d;
+
+/**
+ * Builds a run from a parsed table and a mapping profile. Rows without a
+ * finite t/x/y are dropped and counted in meta.source.dropped_rows.
+ */
+export function tableToRun(table, mapping, { runId } = {}) {
+  const { columns, rows } = table;
+  const spec = mapping?.columns || {};
+  if (!spec.t?.column || !spec.x?.column || !spec.y?.column) {
+    throw new TableImportError("Mapping must name columns for t, x and y.");
+  }
+
+  const read = {};
+  for (const f of FIELDS) read[f] = fieldReader(f, spec[f], columns);
+
+  const eventSpecs = Array.isArray(mapping.events) ? mapping.events : [];
+  for (const e of eventSpecs) {
+    if (!columns.includes(e.column)) throw new TableImportError(`Event column '${e.column}' not found.`);
+    if (e.mode === "flag" && !e.type) throw new TableImportError(`Flag column '${e.column}' needs an event type.`);
+  }
+
+  const frames = [];
+  const events = [];
+  const flagState = new Map();
+  // Rows in time order first: zero time starts at the earliest, and flags rise in order.
+  const timed = [];
+  for (const row of rows) {
+    const t = read.t(row);
+    const x = read.x(row);
+    const y = read.y(row);
+    if (Number.isFinite(t) && Number.isFinite(x) && Number.isFinite(y)) timed.push({ row, t, x, y });
+  }
+  const dropped = rows.length - timed.length;
+  timed.sort((a, b) => a.t - b.t);
+  const t0 = mapping.zero_time === false || !timed.length ? 0 : timed[0].t;
+
+  for (const { row, t, x, y } of timed) {
+    const tr = round(t - t0, 3);
+
+    const frame = { t: tr, x: round(x), y: round(y) };
+    const yaw = read.yaw ? read.yaw(row) : NaN;
+    const v = read.v ? read.v(row) : NaN;
+    if (Number.isFinite(yaw)) frame.yaw = round(yaw);
+    if (Number.isFinite(v)) frame.v = round(v);
+    frames.push(frame);
+
+    for (const e of eventSpecs) {
+      const raw = row[e.column];
+      if (e.mode === "flag") {
+        const on = truthy(raw);
+        if (on && !flagState.get(e.column)) {
+          events.push({ t: tr, type: e.type, detail: e.detail || e.column });
+        }
+        flagState.set(e.column, on);
+      } else if (raw != null && String(raw).trim() !== "") {
+        events.push({
+          t: tr,
+          type: String(raw).trim(),
+          detail: e.detail_column ? String(row[e.detail_column] ?? "") : e.detail || ""
+        });
+      }
+    }
+  }
+
+  if (!frames.length) throw new TableImportError("No rows had numeric t, x and y after mapping.");
+
+  let distance = 0;
+  for (let i = 1; i < frames.length; i++) {
+    distance += Math.hypot(frames[i].x - frames[i - 1].x, frames[i].y - frames[i - 1].y);
+  }
+  const spacing = frames.length > 1 ? (frames[frames.length - 1].t - frames[0].t) / (frames.length - 1) : 0.1;
+
+  const source = { format: table.format, profile: mapping.id || null, rows: rows.length };
+  if (dropped) source.dropped_rows = dropped;
+
+  return {
+    run_id: runId || mapping.id || "table_import",
+    started_at: 0,
+    dt: round(spacing, 3) || 0.1,
+    meta: {
+      sim: null,
+      world: null,
+      robot: null,
+      controller: null,
+      ...(mapping.meta || {}),
+      source
+    },
+    stats: {
+      duration_s: frames[frames.length - 1].t,
+      distance_m: round(distance, 2),
+      near_collision_count: events.filter((e) => e.type === "near_collision").length,
+      stuck_count: events.filter((e) => e.type === "stuck").length
+    },
+    events,
+    frames
+  };
+}
@@ -0,0 +1,185 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { runTimeMax } from "../../shared/frames.js";
+import { runMapRef } from "../../shared/maps.js";
+import { scoreRun } from "../../shared/scenarios.js";
+import { withZones } from "../../shared/zones.js";
+import { validateRun } from "./validateRun.js";
+
+/* -------------------------------------------------------
+   Batch evaluation of run files against one scenario,
+   with an optional baseline (a previous eval summary) and
+   map store. Used by `simtrace eval`.
+------------------------------------------------------- */
+
+const STATUS_RANK = { PASS: 0, WARN: 1, FAIL: 2, ERROR: 3 };
+
+/**
+ * Expands files and directories into run files. Directories contribute their
+ * *.json files except index.json; non-runs are reported as errors later.
+ */
+export async function collectRunFiles(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    const st = await fs.stat(input);
+    if (!st.isDirectory()) {
+      files.push(input);
+      continue;
+    }
+    const names = (await fs.readdir(input)).filter((n) => n.endsWith(".json") && n !== "index.json").sort();
+    files.push(...names.map((n) => path.join(input, n)));
+  }
+  return files;
+}
+
+async function readRun(file) {
+  try {
+    return { run: JSON.parse(await fs.readFile(file, "utf8")) };
+  } catch (err) {
+    return { error: `cannot read: ${err.message}` };
+  }
+}
+
+function runKey(run, file) {
+  return run?.run_id != null && run.run_id !== "" ? String(run.run_id) : path.basename(file, ".json");
+}
+
+/** Why this result is worse than its baseline entry; empty when it isn't. */
+function regressionReasons(result, base, tolerance) {
+  const reasons = [];
+  if (!base) return reasons;
+  if ((STATUS_RANK[result.status] ?? 0) > (STATUS_RANK[base.status] ?? 0)) {
+    reasons.push(`status ${base.status} → ${result.status}`);
+  }
+  if (result.score != null && base.score != null && result.score - base.score > tolerance) {
+    reasons.push(`score ${base.score} → ${result.score} (tolerance ${tolerance})`);
+  }
+  return reasons;
+}
+
+/**
+ * The zones a run is scored with: its own, plus its stored map's when there is
+ * a map store (see mapStore.js), as the server scores it. `warning` says when
+ * a stored map's zones are left out.
+ */
+async function runZones(run, maps) {
+  const ref = runMapRef(run);
+  if (!ref.id) return { zones: ref.zones, warning: null };
+  if (!maps) return { zones: ref.zones, warning: `zones of stored map '${ref.id}' skipped (no map store)` };
+  if (!(await maps.get(ref.id))) return { zones: ref.zones, warning: `map '${ref.id}' not in the map store` };
+  return { zones: await maps.zonesFor(run), warning: null };
+}
+
+/**
+ * Scores every file. `baseline` is a previous summary (see summarize()), matched
+ * by run id; `maps` is a map store for the zones of the maps runs name. Returns
+ * one result per file, in input order; `warnings` lists what scoring had to skip.
+ */
+export async function evaluateFiles(files, scenario, { baseline = null, tolerance = 0, maps = null } = {}) {
+  const baseById = new Map((baseline?.results || []).map((r) => [r.id, r]));
+  const results = [];
+
+  for (const file of files) {
+    const { run, error } = await readRun(file);
+    const validation = run ? validateRun(run) : null;
+    const id = runKey(run, file);
+
+    if (error || !validation.valid) {
+      results.push({
+        id,
+        file,
+        status: "ERROR",
+        score: null,
+        reasons: [error || `invalid run: ${validation.errors[0]?.path} ${validation.errors[0]?.message}`],
+        regression: false,
+        baseline: null,
+        warnings: []
+      });
+      continue;
+    }
+
+    const { zones, warning } = await runZones(run, maps);
+    const out = scoreRun(withZones(run, zones), scenario);
+    const reasons = out.breaches.map((b) => `${b.count} ${b.value} > limit ${b.limit}`);
+    // Rules can fail a run whose score passes, so the score reason goes by the score itself.
+    const { pass, warn } = scenario.thresholds;
+    if (out.score > pass && !out.breaches.length) {
+      const [name, limit] = out.score > warn ? ["warn", warn] : ["pass", pass];
+      reasons.push(`score ${out.score} > ${name} threshold ${limit}`);
+    }
+    reasons.push(...out.violations.map((v) => `rule ${v.message}`));
+
+    const base = baseById.get(id) || null;
+    const result = {
+      id,
+      file,
+      status: out.status,
+      score: out.score,
+      counts: out.counts,
+      breaches: out.breaches,
+      duration_s: Number(run.stats?.duration_s ?? runTimeMax(run)) || 0,
+      reasons,
+      baseline: base ? { status: base.status, score: base.score } : null,
+      warnings: warning ? [warning] : []
+    };
+    const regressed = regressionReasons(result, base, tolerance);
+    result.regression = regressed.length > 0;
+    result.reasons.push(...regressed.map((r) => `regression: ${r}`));
+    results.push(result);
+  }
+  return results;
+}
+
+export function summarize(results, scenario, { baselineName = null, failOn = "fail" } = {}) {
+  const totals = { runs: results.length, pass: 0, warn: 0, fail: 0, error: 0, regressions: 0 };
+  for (const r of results) {
+    totals[r.status.toLowerCase()]++;
+    if (r.regression) totals.regressions++;
+  }
+  const failing = totals.fail + totals.error + totals.regressions + (failOn === "warn" ? totals.warn : 0);
+  return {
+    scenario: { key: scenario.key, name: scenario.name },
+    baseline: baselineName,
+    generated_at: new Date().toISOString(),
+    ok: failing === 0,
+    totals,
+    results
+  };
+}
+
+/** Whether a result fails the gate (and so becomes a JUnit <failure>). */
+export function isFailing(result, failOn = "fail") {
+  if (result.status === "FAIL" || result.status === "ERROR" || result.regression) return true;
+  return failOn === "warn" && result.status === "WARN";
+}
+
+function xmlEscape(s) {
+  const entities = { "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" };
+  return String(s).replace(/[<>&"']/g, (c) => entities[c]);
+}
+
+export function toJUnit(summary, { failOn = "fail" } = {}) {
+  const suite = `simtrace.${summary.scenario.key}`;
+  const failures = summary.results.filter((r) => r.status !== "ERROR" && isFailing(r, failOn)).length;
+  const lines = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<testsuites name="simtrace">`,
+    `  <testsuite name="${xmlEscape(suite)}" tests="${summary.totals.runs}" failures="${failures}" ` +
+      `errors="${summary.totals.error}" timestamp="${summary.generated_at}">`
+  ];
+  for (const r of summary.results) {
+    const attrs = `classname="${xmlEscape(suite)}" name="${xmlEscape(r.id)}" time="${r.duration_s ?? 0}"`;
+    const msg = xmlEscape(`${r.status}${r.score != null ? ` (score ${r.score})` : ""}: ${r.reasons.join("; ")}`);
+    if (r.status === "ERROR") {
+      lines.push(`    <testcase ${attrs}>`, `      <error message="${msg}"/>`, `    </testcase>`);
+    } else if (isFailing(r, failOn)) {
+      lines.push(`    <testcase ${attrs}>`, `      <failure message="${msg}" type="${r.status}"/>`, `    </testcase>`);
+    } else if (r.status === "WARN") {
+      lines.push(`    <testcase ${attrs}>`, `      <system-out>${msg}</system-out>`, `    </testcase>`);
+    } else {
+      lines.push(`    <testcase ${attrs}/>`);
+    }
+  }
+  lines.push(`  </testsuite>`, `</testsuites>`, "");
+  return lines.join("\n");
+}
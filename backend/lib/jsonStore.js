@@ -0,0 +1,68 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+
+/* -------------------------------------------------------
+   Small keyed collection persisted as one JSON file.
+   Used for things that are few and small (profiles,
+   scenarios, ...); runs have their own store.
+------------------------------------------------------- */
+
+export function createCollectionStore(file, { seed } = {}) {
+  let cache = null;
+  let queue = Promise.resolve();
+
+  async function load() {
+    if (cache) return cache;
+    try {
+      const data = JSON.parse(await fs.readFile(file, "utf8"));
+      cache = data && typeof data.items === "object" ? data.items : {};
+    } catch (err) {
+      if (err?.code !== "ENOENT") throw err;
+      cache = seed ? structuredClone(seed) : {};
+    }
+    return cache;
+  }
+
+  async function save(items) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ items }, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  function serialize(fn) {
+    const next = queue.then(fn, fn);
+    queue = next.catch(() => {});
+    return next;
+  }
+
+  async function list() {
+    return Object.values(await load());
+  }
+
+  async function get(id) {
+    const items = await load();
+    return Object.prototype.hasOwnProperty.call(items, id) ? items[id] : null;
+  }
+
+  function put(id, value) {
+    return serialize(async () => {
+      const items = await load();
+      items[id] = value;
+      await save(items);
+      return value;
+    });
+  }
+
+  function remove(id) {
+    return serialize(async () => {
+      const items = await load();
+      if (!Object.prototype.hasOwnProperty.call(items, id)) return false;
+      delete items[id];
+      await save(items);
+      return true;
+    });
+  }
+
+  return { list, get, put, remove };
+}
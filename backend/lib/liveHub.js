@@ -0,0 +1,261 @@
+import { randomUUID } from "node:crypto";
+import { WebSocketServer } from "ws";
+import { pathLength } from "../../shared/frames.js";
+import { validateRun } from "./validateRun.js";
+
+/* -------------------------------------------------------
+   Live runs: a simulator streams a run over a WebSocket
+   while browsers watch it grow.
+
+   Ingest  ws /api/live/ingest        (one socket = one run)
+     → { type: "start", run_id?, label?, tags?, dt?, meta?, map? }
+     ← { type: "started", id }
+     → { type: "frame", frame } | { type: "frames", frames }
+     → { type: "event", event } | { type: "events", events }
+     → { type: "stats", stats }          merged into run.stats
+     → { type: "end" }
+     ← { type: "finalized", record } | { type: "error", error, details }
+
+   Watch   ws /api/live/watch/:id
+     ← { type: "snapshot", session }     then the same frames /
+       events / stats messages as they arrive, and finally
+     ← { type: "end", record } or { type: "end", error }
+
+   A socket that drops without "end" is still stored (tagged
+   "incomplete") as long as it sent frames.
+------------------------------------------------------- */
+
+const INGEST_PATH = "/api/live/ingest";
+const WATCH_RE = /^\/api\/live\/watch\/([A-Za-z0-9_-]+)$/;
+
+function asList(one, many) {
+  if (Array.isArray(many)) return many;
+  return one !== undefined ? [one] : [];
+}
+
+function send(ws, msg) {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg));
+}
+
+// Frames must have a finite t; anything else in them is checked at finalize time.
+function acceptFrames(session, frames) {
+  let lastT = session.run.frames.length ? session.run.frames[session.run.frames.length - 1].t : -Infinity;
+  const ok = [];
+  for (const f of frames) {
+    const t = Number(f?.t);
+    if (!f || typeof f !== "object" || !Number.isFinite(t)) continue;
+    // Out-of-order frames are dropped so the path never doubles back in time.
+    if (t < lastT) continue;
+    lastT = t;
+    ok.push(f);
+  }
+  // A loop, not push(...ok): a huge batch would overflow the call's arguments.
+  for (const f of ok) session.run.frames.push(f);
+  return ok;
+}
+
+function acceptEvents(session, events) {
+  const ok = events.filter((e) => e && typeof e === "object" && Number.isFinite(Number(e.t)) && e.type);
+  for (const e of ok) session.run.events.push(e);
+  return ok;
+}
+
+// Fill in the stats a finished run file would carry, without overriding what the simulator sent.
+function finishStats(run) {
+  const frames = run.frames;
+  const stats = { ...run.stats };
+  if (stats.duration_s == null && frames.length) stats.duration_s = Number(frames[frames.length - 1].t) || 0;
+  if (stats.distance_m == null && frames.length > 1) stats.distance_m = Number(pathLength(frames).toFixed(2));
+  return stats;
+}
+
+function describeSession(s) {
+  const frames = s.run.frames;
+  return {
+    id: s.id,
+    run_id: s.run.run_id,
+    label: s.label,
+    tags: s.tags,
+    started_at: s.started_at,
+    frame_count: frames.length,
+    event_count: s.run.events.length,
+    last_t: frames.length ? frames[frames.length - 1].t : 0,
+    watchers: s.watchers.size
+  };
+}
+
+export function createLiveHub({ runs }) {
+  const sessions = new Map();
+  const wss = new WebSocketServer({ noServer: true });
+
+  function broadcast(session, msg) {
+    const text = JSON.stringify(msg);
+    for (const ws of session.watchers) {
+      if (ws.readyState === ws.OPEN) ws.send(text);
+    }
+  }
+
+  function start(msg) {
+    const runId = msg.run_id != null ? String(msg.run_id) : `live_${new Date().toISOString().replace(/[:.]/g, "-")}`;
+    const session = {
+      id: randomUUID().slice(0, 8),
+      label: String(msg.label || runId),
+      tags: Array.isArray(msg.tags) ? msg.tags.map(String) : [],
+      started_at: new Date().toISOString(),
+      run: {
+        run_id: runId,
+        ...(msg.dt != null ? { dt: Number(msg.dt) } : {}),
+        meta: msg.meta && typeof msg.meta === "object" ? msg.meta : {},
+        ...(msg.map ? { map: msg.map } : {}),
+        frames: [],
+        events: [],
+        stats: {}
+      },
+      watchers: new Set(),
+      done: false
+    };
+    sessions.set(session.id, session);
+    return session;
+  }
+
+  // The last message a watcher gets; the socket is closed cleanly after it.
+  function end(session, msg) {
+    broadcast(session, { type: "end", ...msg });
+    for (const ws of session.watchers) ws.close(1000);
+  }
+
+  async function finalize(session, { complete }) {
+    if (session.done) return null;
+    session.done = true;
+    sessions.delete(session.id);
+
+    const run = { ...session.run, stats: finishStats(session.run) };
+    if (!run.frames.length) {
+      end(session, { error: "Live run ended without frames; nothing was stored." });
+      return { error: "empty_run", details: "No frames were received." };
+    }
+
+    const validation = validateRun(run);
+    if (!validation.valid) {
+      const details = validation.errors[0]?.message || "Run failed validation.";
+      end(session, { error: details });
+      return { error: "invalid_run", details, validation };
+    }
+
+    const tags = session.tags.concat("live", complete ? [] : ["incomplete"]);
+    const record = await runs.put(run, { label: session.label, tags });
+    end(session, { record });
+    return { record };
+  }
+
+  function onIngest(ws) {
+    let session = null;
+
+    async function onMessage(data) {
+      let msg;
+      try {
+        msg = JSON.parse(String(data));
+      } catch {
+        return send(ws, { type: "error", error: "bad_json", details: "Messages must be JSON objects." });
+      }
+      if (!msg || typeof msg !== "object" || Array.isArray(msg)) {
+        return send(ws, { type: "error", error: "bad_message", details: "Messages must be JSON objects." });
+      }
+
+      if (msg.type === "start") {
+        if (session) {
+          return send(ws, { type: "error", error: "already_started", details: "Send one run per socket." });
+        }
+        session = start(msg);
+        return send(ws, { type: "started", id: session.id });
+      }
+      if (!session || session.done) {
+        return send(ws, { type: "error", error: "not_started", details: "Send { type: 'start' } first." });
+      }
+
+      switch (msg.type) {
+        case "frame":
+        case "frames": {
+          const frames = acceptFrames(session, asList(msg.frame, msg.frames));
+          if (frames.length) broadcast(session, { type: "frames", frames });
+          break;
+        }
+        case "event":
+        case "events": {
+          const events = acceptEvents(session, asList(msg.event, msg.events));
+          if (events.length) broadcast(session, { type: "events", events });
+          break;
+        }
+        case "stats":
+          if (msg.stats && typeof msg.stats === "object") {
+            Object.assign(session.run.stats, msg.stats);
+            broadcast(session, { type: "stats", stats: session.run.stats });
+          }
+          break;
+        case "end": {
+          try {
+            const out = await finalize(session, { complete: true });
+            send(ws, out.record ? { type: "finalized", record: out.record } : { type: "error", ...out });
+          } catch (err) {
+            send(ws, { type: "error", error: "server_error", details: err?.message || String(err) });
+          }
+          ws.close();
+          break;
+        }
+        default:
+          send(ws, { type: "error", error: "bad_message", details: `Unknown message type '${msg.type}'.` });
+      }
+    }
+
+    // One bad message must never become an unhandled rejection that takes the server down.
+    ws.on("message", (data) =>
+      onMessage(data).catch((err) =>
+        send(ws, { type: "error", error: "server_error", details: err?.message || String(err) })
+      )
+    );
+
+    ws.on("close", () => {
+      if (!session || session.done) return;
+      finalize(session, { complete: false }).catch((err) =>
+        console.warn(`Could not store live run ${session.id}: ${err?.message || err}`)
+      );
+    });
+  }
+
+  function onWatch(ws, session) {
+    session.watchers.add(ws);
+    send(ws, { type: "snapshot", session: { ...describeSession(session), run: session.run } });
+    ws.on("close", () => session.watchers.delete(ws));
+  }
+
+  // Hook for http.Server "upgrade"; anything outside /api/live is left to other handlers.
+  function handleUpgrade(req, socket, head) {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname === INGEST_PATH) {
+      wss.handleUpgrade(req, socket, head, onIngest);
+      return true;
+    }
+    const m = WATCH_RE.exec(pathname);
+    if (m) {
+      const session = sessions.get(m[1]);
+      if (!session) {
+        socket.end("HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n");
+        return true;
+      }
+      wss.handleUpgrade(req, socket, head, (ws) => onWatch(ws, session));
+      return true;
+    }
+    return false;
+  }
+
+  return {
+    handleUpgrade,
+    list() {
+      return [...sessions.values()].map(describeSession);
+    },
+    get(id) {
+      const s = sessions.get(id);
+      return s ? { ...describeSession(s), run: s.run } : null;
+    }
+  };
+}
@@ -0,0 +1,86 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { runMapRef } from "../../shared/maps.js";
+import { createCollectionStore } from "./jsonStore.js";
+import { isValidId, slugify } from "./runStore.js";
+
+/* -------------------------------------------------------
+   Stored maps: metadata, polygon obstacles and zones in
+   <dir>/index.json, occupancy grid bytes (if any) in
+   <dir>/<id>.grid so listing maps never reads the grids.
+------------------------------------------------------- */
+
+function brief(m) {
+  return {
+    id: m.id,
+    name: m.name,
+    resolution: m.resolution ?? null,
+    origin: m.origin ?? null,
+    width: m.width ?? null,
+    height: m.height ?? null,
+    has_grid: Boolean(m.has_grid),
+    obstacle_count: m.obstacles?.length || 0,
+    zone_count: m.zones?.length || 0,
+    created_at: m.created_at
+  };
+}
+
+export function createMapStore(dir) {
+  const index = createCollectionStore(path.join(dir, "index.json"));
+  const gridFile = (id) => path.join(dir, `${id}.grid`);
+
+  async function list() {
+    const maps = await index.list();
+    return maps.map(brief).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async function get(id) {
+    return isValidId(id) ? index.get(id) : null;
+  }
+
+  async function getGrid(id) {
+    const m = await get(id);
+    if (!m?.has_grid) return null;
+    return fs.readFile(gridFile(id));
+  }
+
+  // map: { name, resolution?, origin?, width?, height?, obstacles?, zones? }; grid: Uint8Array | null
+  async function put(map, grid) {
+    const taken = new Set((await index.list()).map((m) => m.id));
+    const base = slugify(map.name) || "map";
+    let id = base;
+    for (let i = 2; taken.has(id); i++) id = `${base}_${i}`;
+
+    const record = { ...map, id, has_grid: Boolean(grid), created_at: new Date().toISOString() };
+    if (grid) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(gridFile(id), grid);
+    }
+    await index.put(id, record);
+    return brief(record);
+  }
+
+  // zones: normalized (shared/zones.js); [] clears them.
+  async function setZones(id, zones) {
+    const m = await get(id);
+    if (!m) return null;
+    const record = { ...m, zones };
+    await index.put(id, record);
+    return record;
+  }
+
+  /** A run's zones: inline ones plus those of the stored map it names. */
+  async function zonesFor(run) {
+    const ref = runMapRef(run);
+    const stored = ref.id ? await get(ref.id) : null;
+    return ref.zones.concat(stored?.zones || []);
+  }
+
+  async function remove(id) {
+    if (!isValidId(id) || !(await index.remove(id))) return false;
+    await fs.rm(gridFile(id), { force: true });
+    return true;
+  }
+
+  return { list, get, getGrid, put, setZones, zonesFor, remove };
+}
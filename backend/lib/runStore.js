@@ -0,0 +1,196 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { fleetEvents, runAgents } from "../../shared/fleet.js";
+import { runTimeMax } from "../../shared/frames.js";
+
+/* -------------------------------------------------------
+   On-disk run store
+
+   Layout:
+     <dir>/index.json   -> { runs: [ <metadata record> ] }
+     <dir>/<id>.json    -> run body exactly as uploaded
+------------------------------------------------------- */
+
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,79}$/;
+
+export function slugify(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, "_")
+    .replace(/^[_-]+|[_-]+$/g, "")
+    .slice(0, 64);
+}
+
+export function isValidId(id) {
+  return typeof id === "string" && ID_RE.test(id);
+}
+
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : typeof tags === "string" ? tags.split(",") : [];
+  const out = [];
+  for (const t of list) {
+    const s = String(t || "").trim();
+    if (s && !out.includes(s)) out.push(s);
+  }
+  return out;
+}
+
+// Metadata is what GET /api/runs returns; keep it small so the list stays cheap.
+function describeRun(run) {
+  const frames = Array.isArray(run?.frames) ? run.frames : [];
+  const agents = runAgents(run);
+  const meta = run?.meta && typeof run.meta === "object" ? run.meta : {};
+
+  return {
+    run_id: run?.run_id != null ? String(run.run_id) : null,
+    meta: {
+      sim: meta.sim ?? null,
+      world: meta.world ?? null,
+      robot: meta.robot ?? null,
+      controller: meta.controller ?? null,
+      group: meta.group ?? null,
+      seed: meta.seed ?? null
+    },
+    duration_s: Number(run?.stats?.duration_s ?? runTimeMax(run)) || 0,
+    distance_m: run?.stats?.distance_m != null ? Number(run.stats.distance_m) : null,
+    frame_count: agents.reduce((n, a) => n + a.frames.length, frames.length),
+    event_count: fleetEvents(run).length,
+    agent_count: agents.length
+  };
+}
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err?.code === "ENOENT") return fallback;
+    throw err;
+  }
+}
+
+// Write to a temp file and rename so a crash never leaves half a JSON file behind.
+async function writeJsonAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data));
+  await fs.rename(tmp, file);
+}
+
+export function createRunStore(dir) {
+  const indexFile = path.join(dir, "index.json");
+  let ready = null;
+  // All mutations go through this chain so concurrent uploads can't clobber index.json.
+  let queue = Promise.resolve();
+
+  function init() {
+    if (!ready) ready = fs.mkdir(dir, { recursive: true });
+    return ready;
+  }
+
+  function serialize(fn) {
+    const next = queue.then(fn, fn);
+    queue = next.catch(() => {});
+    return next;
+  }
+
+  async function loadIndex() {
+    await init();
+    const data = await readJson(indexFile, { runs: [] });
+    return Array.isArray(data?.runs) ? data.runs : [];
+  }
+
+  function uniqueId(records, wanted) {
+    const base = slugify(wanted) || "run";
+    const taken = new Set(records.map((r) => r.id));
+    if (!taken.has(base)) return base;
+    for (let i = 2; ; i++) {
+      const candidate = `${base}_${i}`;
+      if (!taken.has(candidate)) return candidate;
+    }
+  }
+
+  async function list({ tag } = {}) {
+    const records = await loadIndex();
+    const out = tag ? records.filter((r) => (r.tags || []).includes(tag)) : records;
+    return out.slice().sort((a, b) => String(b.uploaded_at).localeCompare(String(a.uploaded_at)));
+  }
+
+  async function getMeta(id) {
+    if (!isValidId(id)) return null;
+    const records = await loadIndex();
+    return records.find((r) => r.id === id) || null;
+  }
+
+  async function get(id) {
+    if (!isValidId(id)) return null;
+    await init();
+    return readJson(path.join(dir, `${id}.json`), null);
+  }
+
+  function put(run, { id, label, tags, uploadedAt } = {}) {
+    return serialize(async () => {
+      const records = await loadIndex();
+      const newId = uniqueId(records, id || run?.run_id || label);
+      const record = {
+        id: newId,
+        label: String(label || run?.run_id || newId),
+        tags: normalizeTags(tags),
+        uploaded_at: uploadedAt || new Date().toISOString(),
+        ...describeRun(run)
+      };
+
+      await writeJsonAtomic(path.join(dir, `${newId}.json`), run);
+      records.push(record);
+      await writeJsonAtomic(indexFile, { runs: records });
+      return record;
+    });
+  }
+
+  function update(id, { label, tags } = {}) {
+    return serialize(async () => {
+      const records = await loadIndex();
+      const record = records.find((r) => r.id === id);
+      if (!record) return null;
+      if (label != null) record.label = String(label);
+      if (tags != null) record.tags = normalizeTags(tags);
+      await writeJsonAtomic(indexFile, { runs: records });
+      return record;
+    });
+  }
+
+  function remove(id) {
+    return serialize(async () => {
+      if (!isValidId(id)) return false;
+      const records = await loadIndex();
+      const idx = records.findIndex((r) => r.id === id);
+      if (idx === -1) return false;
+      records.splice(idx, 1);
+      await writeJsonAtomic(indexFile, { runs: records });
+      await fs.rm(path.join(dir, `${id}.json`), { force: true });
+      return true;
+    });
+  }
+
+  return { dir, list, getMeta, get, put, update, remove };
+}
+
+/**
+ * One-time import of a legacy static runs/ folder (index.json + files) into a
+ * fresh store, so existing sample runs keep showing up after the switch.
+ * A store that already has an index (even an emptied one) is left alone.
+ */
+export async function seedFromIndex(store, legacyDir) {
+  if (await readJson(path.join(store.dir, "index.json"), null)) return 0;
+
+  const index = await readJson(path.join(legacyDir, "index.json"), null);
+  const entries = Array.isArray(index?.runs) ? index.runs : [];
+
+  let n = 0;
+  for (const entry of entries) {
+    if (!entry?.file) continue;
+    const run = await readJson(path.join(legacyDir, path.basename(entry.file)), null);
+    if (!run) continue;
+    await store.put(run, { id: entry.id, label: entry.label, tags: ["sample"] });
+    n++;
+  }
+  return n;
+}
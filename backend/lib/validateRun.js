@@ -0,0 +1,68 @@
+import Ajv from "ajv";
+import { RUN_SCHEMA, RUN_SCHEMA_VERSION } from "../../shared/runSchema.js";
+import { checkRun } from "../../shared/validateRun.js";
+
+/* -------------------------------------------------------
+   Run validation: JSON Schema errors + semantic warnings
+------------------------------------------------------- */
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validateSchema = ajv.compile(RUN_SCHEMA);
+
+const MAX_ERRORS = 50;
+
+function schemaErrors(errors) {
+  const out = [];
+  for (const e of errors || []) {
+    // anyOf branches each report a "required" miss; one readable line is enough.
+    if (e.schemaPath.includes("/anyOf/")) continue;
+    const message =
+      e.keyword === "anyOf" && e.instancePath === ""
+        ? "A run needs frames, or agents each with their own frames."
+        : e.keyword === "anyOf" && e.instancePath.startsWith("/map")
+        ? "Map must be a map id or { id?, obstacles: [[[x, y], ...], ...] } with 3+ points per obstacle."
+        : e.keyword === "anyOf" && e.instancePath.includes("/mission")
+        ? "Mission poses are [x, y], [x, y, yaw] or { x, y, yaw? }; tolerance is metres or { xy, yaw }."
+        : e.keyword === "anyOf"
+        ? "Frame needs a position: x/y, pos {x, y} or p [x, y]."
+        : e.keyword === "required"
+        ? `Missing required field '${e.params.missingProperty}'.`
+        : e.keyword === "minItems" && /^(\/agents\/\d+)?\/frames$/.test(e.instancePath)
+        ? "Run has no frames."
+        : e.message;
+    out.push({ path: e.instancePath || "/", code: e.keyword, message });
+    if (out.length >= MAX_ERRORS) break;
+  }
+  return out;
+}
+
+/**
+ * Returns { valid, schema_version, errors, warnings }. `valid` only reflects
+ * errors; warnings never block an upload.
+ */
+export function validateRun(run) {
+  if (!run || typeof run !== "object" || Array.isArray(run)) {
+    return {
+      valid: false,
+      schema_version: RUN_SCHEMA_VERSION,
+      errors: [{ path: "/", code: "type", message: "A run must be a JSON object." }],
+      warnings: []
+    };
+  }
+
+  const errors = validateSchema(run) ? [] : schemaErrors(validateSchema.errors);
+
+  const declared = run.schema_version;
+  if (declared != null && String(declared).split(".")[0] !== RUN_SCHEMA_VERSION.split(".")[0]) {
+    errors.unshift({
+      path: "/schema_version",
+      code: "unsupported_version",
+      message: `schema_version ${declared} is not supported (server speaks ${RUN_SCHEMA_VERSION}).`
+    });
+  }
+
+  // Semantic checks assume the basic shape, so skip them when frames are unusable.
+  const warnings = Array.isArray(run.frames) || Array.isArray(run.agents) ? checkRun(run) : [];
+
+  return { valid: errors.length === 0, schema_version: RUN_SCHEMA_VERSION, errors, warnings };
+}
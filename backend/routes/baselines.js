@@ -0,0 +1,105 @@
+import express from "express";
+import { BaselineError, baselineReference, checkRegression, normalizeBaseline } from "../../shared/baselines.js";
+import { scoreRun } from "../../shared/scenarios.js";
+import { runMetrics } from "../../shared/stats.js";
+import { withZones } from "../../shared/zones.js";
+
+/* -------------------------------------------------------
+   /api/baselines — one baseline per scenario, and the
+   trend of every stored run checked against it
+------------------------------------------------------- */
+export function baselinesRouter({ baselines, runs, scenarios, maps }) {
+  const router = express.Router();
+
+  // A stored run with the events of its zones, so zone violations count.
+  async function loadRun(id) {
+    const run = await runs.get(id);
+    return run && withZones(run, await maps.zonesFor(run));
+  }
+
+  async function loadScenario(res, key) {
+    const scenario = await scenarios.get(key);
+    if (!scenario) res.status(404).json({ error: "not_found", details: `No scenario '${key}'.` });
+    return scenario;
+  }
+
+  // Baseline record plus its reference metrics; runs deleted since are listed as missing.
+  async function resolve(baseline, scenario) {
+    const loaded = await Promise.all(baseline.run_ids.map(loadRun));
+    const present = loaded.filter(Boolean);
+    return {
+      ...baseline,
+      missing: baseline.run_ids.filter((_, i) => !loaded[i]),
+      reference: present.length ? baselineReference(present, scenario) : null
+    };
+  }
+
+  router.get("/", async (req, res) => {
+    res.json({ baselines: await baselines.list() });
+  });
+
+  router.get("/:scenario", async (req, res) => {
+    const scenario = await loadScenario(res, req.params.scenario);
+    if (!scenario) return;
+    const baseline = await baselines.get(scenario.key);
+    if (!baseline) return res.status(404).json({ error: "not_found", details: `No baseline for '${scenario.key}'.` });
+    res.json(await resolve(baseline, scenario));
+  });
+
+  // Body: { run_ids, label?, tolerance? }
+  router.put("/:scenario", async (req, res) => {
+    const scenario = await loadScenario(res, req.params.scenario);
+    if (!scenario) return;
+    let baseline;
+    try {
+      baseline = normalizeBaseline(req.body, scenario.key);
+    } catch (err) {
+      if (!(err instanceof BaselineError)) throw err;
+      return res.status(400).json({ error: "bad_baseline", details: err.message });
+    }
+    const unknown = [];
+    for (const id of baseline.run_ids) if (!(await runs.getMeta(id))) unknown.push(id);
+    if (unknown.length) {
+      return res.status(400).json({ error: "bad_baseline", details: `Unknown run(s): ${unknown.join(", ")}.` });
+    }
+    await baselines.put(scenario.key, baseline);
+    res.json(await resolve(baseline, scenario));
+  });
+
+  router.delete("/:scenario", async (req, res) => {
+    const ok = await baselines.remove(req.params.scenario);
+    if (!ok) return res.status(404).json({ error: "not_found", details: `No baseline for '${req.params.scenario}'.` });
+    res.status(204).end();
+  });
+
+  // Every stored run scored under the scenario, oldest upload first, checked against the baseline if any.
+  router.get("/:scenario/trend", async (req, res) => {
+    const scenario = await loadScenario(res, req.params.scenario);
+    if (!scenario) return;
+    const stored = await baselines.get(scenario.key);
+    const baseline = stored ? await resolve(stored, scenario) : null;
+
+    const points = [];
+    for (const entry of await runs.list()) {
+      const run = await loadRun(entry.id);
+      if (!run) continue;
+      const metrics = runMetrics(run, scenario);
+      const check = baseline?.reference ? checkRegression(metrics, baseline.reference, baseline.tolerance) : null;
+      points.push({
+        id: entry.id,
+        label: entry.label,
+        uploaded_at: entry.uploaded_at,
+        controller: entry.meta?.controller ?? null,
+        status: scoreRun(run, scenario).status,
+        ...metrics,
+        in_baseline: Boolean(baseline?.run_ids.includes(entry.id)),
+        regression: check ? check.regression : null,
+        reasons: check ? check.reasons : []
+      });
+    }
+    points.sort((a, b) => String(a.uploaded_at).localeCompare(String(b.uploaded_at)));
+    res.json({ scenario: scenario.key, baseline, points });
+  });
+
+  return router;
+}
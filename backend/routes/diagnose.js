@@ -0,0 +1,205 @@
+import express from "express";
+import { agentRun, isFleet } from "../../shared/fleet.js";
+import { scoreCounts, scoreRun, summaryCounts } from "../../shared/scenarios.js";
+import { withMission } from "../../shared/mission.js";
+import { applyRules, evaluateRules } from "../../shared/rules.js";
+import { sliceRun } from "../../shared/timeline.js";
+import { withZones } from "../../shared/zones.js";
+import { DiagnosisError } from "../diagnosis/index.js";
+import { parseModelJson } from "../diagnosis/schema.js";
+import { createSectionParser } from "../diagnosis/stream.js";
+import { groundDiagnosis } from "../diagnosis/grounding.js";
+import { diagnosisKey } from "../diagnosis/history.js";
+
+function payload(rec, cached) {
+  return {
+    ...rec.result,
+    provider: rec.provider,
+    model: rec.model,
+    diagnosis_id: rec.id,
+    created_at: rec.created_at,
+    cached
+  };
+}
+
+// { t0, t1 } from a request body, or null for the whole run.
+function readRange(range) {
+  if (range == null) return null;
+  const t0 = Number(range.t0);
+  const t1 = Number(range.t1);
+  if (!Number.isFinite(t0) || !Number.isFinite(t1) || t1 <= t0) {
+    throw new DiagnosisError("range needs numbers t0 < t1.", { status: 400, code: "bad_request" });
+  }
+  return { t0, t1 };
+}
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+// A summary the scorer and grounding can read: an object with a `counts` object.
+function checkSummary(summary, name) {
+  if (!isObject(summary) || !isObject(summary.counts)) {
+    throw new DiagnosisError(`${name} must be an object with a counts object.`, { status: 400, code: "bad_request" });
+  }
+}
+
+function wantsStream(req) {
+  return req.query.stream === "1" || String(req.get("accept") || "").includes("text/event-stream");
+}
+
+/* -------------------------------------------------------
+   /api/diagnose — structured diagnosis via a provider
+------------------------------------------------------- */
+export function diagnoseRouter({ scenarios, providers, history, runs, maps }) {
+  const router = express.Router();
+
+  router.get("/providers", (req, res) => {
+    res.json({ default: providers.defaultName, providers: providers.list() });
+  });
+
+  /**
+   * Scores, checks the cache, asks the provider and grounds + stores the answer.
+   * `emit(event, data)` reports progress and sections; `stream` asks the
+   * provider to stream so sections arrive while the model is still writing.
+   */
+  async function runDiagnosis(body, { emit = () => {}, stream = false, isClosed = () => false } = {}) {
+    const { scenarioKey, runSummary, compareSummary, provider: providerName, runId, compareRunId, refresh } = body;
+    const range = readRange(body.range);
+
+    if (!scenarioKey || !runSummary) {
+      throw new DiagnosisError("Missing scenarioKey or runSummary", { status: 400, code: "bad_request" });
+    }
+    checkSummary(runSummary, "runSummary");
+    if (compareSummary != null) checkSummary(compareSummary, "compareSummary");
+    const scenario = await scenarios.get(scenarioKey);
+    if (!scenario) {
+      throw new DiagnosisError(`No scenario '${scenarioKey}'.`, { status: 404, code: "unknown_scenario" });
+    }
+    // Rules need frames, which the summary doesn't carry: evaluate them on the stored run (or its range).
+    // For a fleet, on the robot asked about, else on every robot (scoreRun names each).
+    let stored = runId && scenario.rules?.length ? await runs.get(String(runId)) : null;
+    if (stored) stored = withZones(stored, await maps.zonesFor(stored));
+    if (stored && body.agent != null) stored = agentRun(stored, String(body.agent));
+    if (stored) stored = withMission(stored);
+    const ruleRun = stored && range ? sliceRun(stored, range.t0, range.t1) : stored;
+    const policyResult = applyRules(
+      scoreCounts(summaryCounts(runSummary), scenario),
+      !ruleRun ? [] : isFleet(ruleRun) ? scoreRun(ruleRun, scenario).rules : evaluateRules(ruleRun, scenario)
+    );
+    const broken = policyResult.violations.length ? `, ${policyResult.violations.length} rule(s) broken` : "";
+    emit("progress", {
+      stage: "scored",
+      message: `Policy: ${policyResult.status} (score ${policyResult.score}${broken})`
+    });
+
+    const provider = providers.get(providerName);
+    const key = diagnosisKey({ runSummary, scenario, compareSummary, provider: provider.name, model: provider.model });
+
+    if (!refresh) {
+      const hit = await history.findCached(key);
+      if (hit) {
+        emit("progress", { stage: "cached", message: `Cached from ${hit.created_at}` });
+        return { rec: hit, cached: true };
+      }
+    }
+
+    emit("progress", { stage: "model", message: `Asking ${provider.label} (${provider.model})…` });
+    const input = { scenarioKey, scenario, policyResult, runSummary, compareSummary };
+    let out;
+    if (stream && provider.stream) {
+      const parser = createSectionParser((name, value) => emit("section", { name, value }));
+      for await (const chunk of provider.stream(input)) {
+        if (isClosed()) throw new DiagnosisError("Client went away.", { status: 499, code: "aborted" });
+        parser.push(chunk);
+      }
+      out = parseModelJson(parser.text());
+    } else {
+      out = await provider.diagnose(input);
+      for (const [name, value] of Object.entries(out)) emit("section", { name, value });
+    }
+
+    emit("progress", { stage: "grounding", message: "Checking evidence against the run…" });
+    // Never hand the model's claims to operators unchecked.
+    const checked = groundDiagnosis(out, { runSummary, policyResult });
+
+    const meta = runId ? await runs.getMeta(String(runId)) : null;
+    const rec = await history.add({
+      key,
+      runId,
+      compareRunId,
+      range,
+      scenarioKey,
+      provider: provider.name,
+      model: provider.model,
+      controller: meta?.meta?.controller,
+      result: checked
+    });
+    return { rec, cached: false };
+  }
+
+  // Body: { scenarioKey, runSummary, compareSummary?, provider?, runId?, compareRunId?, range?, refresh? }
+  // runId / compareRunId are run store ids, recorded so history can be browsed per run.
+  // range { t0, t1 } marks summaries of only that stretch (runSummary.window); rules are checked on it.
+  // With ?stream=1 or Accept: text/event-stream the answer is sent as SSE:
+  // progress* section* (result | error).
+  router.post("/", async (req, res) => {
+    const body = req.body || {};
+
+    if (!wantsStream(req)) {
+      try {
+        const { rec, cached } = await runDiagnosis(body);
+        return res.json(payload(rec, cached));
+      } catch (err) {
+        if (!(err instanceof DiagnosisError)) throw err;
+        return res.status(err.status).json({
+          error: err.code,
+          details: err.message,
+          ...(err.raw !== undefined ? { raw: err.raw } : {})
+        });
+      }
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive"
+    });
+    let closed = false;
+    res.on("close", () => {
+      closed = true;
+    });
+    const emit = (event, data) => {
+      if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+      const { rec, cached } = await runDiagnosis(body, { emit, stream: true, isClosed: () => closed });
+      emit("result", payload(rec, cached));
+    } catch (err) {
+      emit("error", {
+        error: err instanceof DiagnosisError ? err.code : "server_error",
+        details: err?.message || String(err)
+      });
+    }
+    res.end();
+  });
+
+  // Query: run, scenario, provider. Listing omits the full diagnosis.
+  router.get("/history", async (req, res) => {
+    const q = (k) => (typeof req.query[k] === "string" ? req.query[k] : undefined);
+    res.json({ diagnoses: await history.list({ run: q("run"), scenario: q("scenario"), provider: q("provider") }) });
+  });
+
+  router.get("/history/:id", async (req, res) => {
+    const rec = await history.get(req.params.id);
+    if (!rec) return res.status(404).json({ error: "not_found", details: `No diagnosis '${req.params.id}'.` });
+    res.json(rec);
+  });
+
+  router.delete("/history/:id", async (req, res) => {
+    const ok = await history.remove(req.params.id);
+    if (!ok) return res.status(404).json({ error: "not_found", details: `No diagnosis '${req.params.id}'.` });
+    res.status(204).end();
+  });
+
+  return router;
+}
@@ -0,0 +1,176 @@
+import express from "express";
+import { importBag, listBagTopics } from "../importers/rosbag.js";
+import {
+  FIELDS,
+  TableImportError,
+  UNITS,
+  normalizeProfile,
+  parseTable,
+  suggestMapping,
+  tableToRun
+} from "../importers/tabular.js";
+import { isValidId, slugify } from "../lib/runStore.js";
+import { validateRun } from "../lib/validateRun.js";
+
+// Importers should always produce valid runs, but a bad mapping can still yield
+// e.g. non-monotonic time; never store a run the upload path would reject.
+function invalidImport(res, run, validation) {
+  return res.status(422).json({ error: "invalid_run", details: validation.errors[0]?.message, validation, run });
+}
+
+/* -------------------------------------------------------
+   /api/import — convert recordings into stored runs
+------------------------------------------------------- */
+
+function bagOptions(q) {
+  return {
+    poseTopic: q.pose_topic || undefined,
+    velTopic: q.vel_topic || undefined,
+    childFrame: q.child_frame || undefined,
+    worldFrame: q.world_frame || undefined,
+    dt: q.dt != null ? Number(q.dt) : undefined,
+    runId: q.run_id || q.label || undefined
+  };
+}
+
+function importError(res, err) {
+  return res.status(err?.status || 500).json({
+    error: "import_failed",
+    details: err?.message || String(err)
+  });
+}
+
+export function importRouter({ runs, profiles }) {
+  const router = express.Router();
+  // Bags are sent as the raw request body (application/octet-stream).
+  const rawBody = express.raw({ type: () => true, limit: process.env.BAG_UPLOAD_LIMIT || "512mb" });
+
+  /* ---------------- ROS 2 bags ---------------- */
+
+  router.post("/bag/topics", rawBody, async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      return res.status(400).json({ error: "missing_body", details: "Send the bag file as the request body." });
+    }
+    try {
+      res.json(await listBagTopics(req.body));
+    } catch (err) {
+      importError(res, err);
+    }
+  });
+
+  // Query: pose_topic, vel_topic, child_frame, world_frame, dt, run_id, label, tags, save=0|1
+  router.post("/bag", rawBody, async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      return res.status(400).json({ error: "missing_body", details: "Send the bag file as the request body." });
+    }
+
+    let run;
+    try {
+      run = await importBag(req.body, bagOptions(req.query));
+    } catch (err) {
+      return importError(res, err);
+    }
+
+    const validation = validateRun(run);
+    if (req.query.save === "0") return res.json({ run, validation });
+    if (!validation.valid) return invalidImport(res, run, validation);
+
+    const record = await runs.put(run, { label: req.query.label, tags: req.query.tags || ["rosbag"] });
+    res.status(201).json({ record, run, validation });
+  });
+
+  /* ---------------- CSV / JSON-lines ---------------- */
+
+  // Body: { text, format? } -> columns, sample rows and a guessed mapping.
+  router.post("/table/preview", async (req, res) => {
+    const { text, format } = req.body || {};
+    if (typeof text !== "string" || !text.trim()) {
+      return res.status(400).json({ error: "missing_text", details: "Send { text } with the file contents." });
+    }
+    try {
+      const table = parseTable(text, format);
+      res.json({
+        format: table.format,
+        columns: table.columns,
+        row_count: table.rows.length,
+        sample: table.rows.slice(0, 10),
+        suggested: suggestMapping(table.columns),
+        fields: FIELDS,
+        units: Object.fromEntries(Object.entries(UNITS).map(([k, v]) => [k, Object.keys(v)]))
+      });
+    } catch (err) {
+      importError(res, err);
+    }
+  });
+
+  // Body: { text, profile?: id, mapping?: {...}, label?, tags?, save?: bool, save_profile?: { id, name } }
+  router.post("/table", async (req, res) => {
+    const body = req.body || {};
+    if (typeof body.text !== "string" || !body.text.trim()) {
+      return res.status(400).json({ error: "missing_text", details: "Send { text } with the file contents." });
+    }
+
+    let mapping = body.mapping;
+    if (!mapping && body.profile) {
+      mapping = await profiles.get(body.profile);
+      if (!mapping) return res.status(404).json({ error: "not_found", details: `No profile '${body.profile}'.` });
+    }
+    if (!mapping) return res.status(400).json({ error: "missing_mapping", details: "Send mapping or profile." });
+
+    let run;
+    let savedProfile = null;
+    try {
+      if (body.save_profile) {
+        const id = slugify(body.save_profile.id || body.save_profile.name);
+        if (!isValidId(id)) throw new TableImportError("Profile needs a name.");
+        savedProfile = normalizeProfile({ ...mapping, name: body.save_profile.name || id }, id);
+        mapping = savedProfile;
+      }
+      const table = parseTable(body.text, mapping.format || body.format);
+      run = tableToRun(table, mapping, { runId: body.label ? slugify(body.label) : undefined });
+    } catch (err) {
+      return importError(res, err);
+    }
+
+    if (savedProfile) await profiles.put(savedProfile.id, savedProfile);
+    const validation = validateRun(run);
+    if (body.save === false) return res.json({ run, profile: savedProfile, validation });
+    if (!validation.valid) return invalidImport(res, run, validation);
+
+    const record = await runs.put(run, { label: body.label, tags: body.tags || ["table"] });
+    res.status(201).json({ record, run, profile: savedProfile, validation });
+  });
+
+  /* ---------------- mapping profiles ---------------- */
+
+  router.get("/profiles", async (req, res) => {
+    res.json({ profiles: await profiles.list() });
+  });
+
+  router.get("/profiles/:id", async (req, res) => {
+    const p = await profiles.get(req.params.id);
+    if (!p) return res.status(404).json({ error: "not_found", details: `No profile '${req.params.id}'.` });
+    res.json(p);
+  });
+
+  router.put("/profiles/:id", async (req, res) => {
+    if (!isValidId(req.params.id)) {
+      return res.status(400).json({ error: "bad_id", details: "Use lowercase letters, digits, '_' or '-'." });
+    }
+    let profile;
+    try {
+      profile = normalizeProfile(req.body || {}, req.params.id);
+    } catch (err) {
+      return res.status(400).json({ error: "bad_profile", details: err.message });
+    }
+    res.json(await profiles.put(profile.id, profile));
+  });
+
+  router.delete("/profiles/:id", async (req, res) => {
+    const ok = await profiles.remove(req.params.id);
+    if (!ok) return res.status(404).json({ error: "not_found", details: `No profile '${req.params.id}'.` });
+    res.status(204).end();
+  });
+
+  return router;
+}
@@ -0,0 +1,21 @@
+import express from "express";
+
+/* -------------------------------------------------------
+   /api/live — runs currently streaming in over WebSocket
+   (the sockets themselves are served by lib/liveHub.js)
+------------------------------------------------------- */
+export function liveRouter(hub) {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    res.json({ sessions: hub.list() });
+  });
+
+  router.get("/:id", (req, res) => {
+    const session = hub.get(req.params.id);
+    if (!session) return res.status(404).json({ error: "not_found", details: "No live run with that id." });
+    res.json(session);
+  });
+
+  return router;
+}
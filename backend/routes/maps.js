@@ -0,0 +1,97 @@
+import express from "express";
+import { MapImportError, importRosMap } from "../importers/rosmap.js";
+import { normalizeObstacles } from "../../shared/maps.js";
+import { ZoneError, normalizeZones } from "../../shared/zones.js";
+
+/* -------------------------------------------------------
+   /api/maps — occupancy grids and obstacle polygons that
+   runs can be replayed over (see shared/maps.js)
+------------------------------------------------------- */
+export function mapsRouter(store) {
+  const router = express.Router();
+
+  // Zones from a body, or sends 400 and returns null.
+  function readZones(res, raw) {
+    try {
+      return normalizeZones(raw);
+    } catch (err) {
+      if (!(err instanceof ZoneError)) throw err;
+      res.status(400).json({ error: "bad_map", details: err.message });
+      return null;
+    }
+  }
+
+  router.get("/", async (req, res) => {
+    res.json({ maps: await store.list() });
+  });
+
+  // Body: { name, yaml?, image? (base64 PGM), obstacles?, zones? }. yaml and image go together.
+  router.post("/", async (req, res) => {
+    const body = req.body || {};
+    const name = String(body.name || "").trim();
+    if (!name) return res.status(400).json({ error: "bad_map", details: "Map needs a name." });
+
+    let map = { name };
+    let grid = null;
+    if (body.yaml != null || body.image != null) {
+      if (typeof body.yaml !== "string" || typeof body.image !== "string") {
+        return res.status(400).json({ error: "bad_map", details: "Send both yaml (text) and image (base64 PGM)." });
+      }
+      try {
+        const imported = importRosMap(body.yaml, Buffer.from(body.image, "base64"));
+        map = { ...map, ...imported.map };
+        grid = imported.grid;
+      } catch (err) {
+        if (!(err instanceof MapImportError)) throw err;
+        return res.status(err.status).json({ error: "bad_map", details: err.message });
+      }
+    }
+
+    const obstacles = normalizeObstacles(body.obstacles);
+    if (Array.isArray(body.obstacles) && obstacles.length < body.obstacles.length) {
+      return res.status(400).json({ error: "bad_map", details: "Each obstacle needs at least 3 [x, y] points." });
+    }
+    const zones = readZones(res, body.zones);
+    if (!zones) return;
+    if (!grid && !obstacles.length && !zones.length) {
+      return res
+        .status(400)
+        .json({ error: "bad_map", details: "Send an occupancy grid (yaml + image), obstacles or zones." });
+    }
+    if (obstacles.length) map.obstacles = obstacles;
+    if (zones.length) map.zones = zones;
+
+    res.status(201).json(await store.put(map, grid));
+  });
+
+  router.get("/:id", async (req, res) => {
+    const map = await store.get(req.params.id);
+    if (!map) return res.status(404).json({ error: "not_found", details: `No map '${req.params.id}'.` });
+    res.json(map);
+  });
+
+  // Body: { zones } as a list or a GeoJSON FeatureCollection; replaces the map's zones.
+  router.put("/:id/zones", async (req, res) => {
+    const zones = readZones(res, req.body?.zones ?? []);
+    if (!zones) return;
+    const map = await store.setZones(req.params.id, zones);
+    if (!map) return res.status(404).json({ error: "not_found", details: `No map '${req.params.id}'.` });
+    res.json({ id: map.id, zones: map.zones });
+  });
+
+  // width*height occupancy bytes, image row order (row 0 = top).
+  router.get("/:id/grid", async (req, res) => {
+    const grid = await store.getGrid(req.params.id);
+    if (!grid) return res.status(404).json({ error: "not_found", details: `Map '${req.params.id}' has no grid.` });
+    res.type("application/octet-stream").send(grid);
+  });
+
+  router.delete("/:id", async (req, res) => {
+    if (!(await store.remove(req.params.id))) {
+      return res.status(404).json({ error: "not_found", details: `No map '${req.params.id}'.` });
+    }
+    res.status(204).end();
+  });
+
+  return router;
+}
@@ -0,0 +1,109 @@
+import express from "express";
+import { RUN_SCHEMA } from "../../shared/runSchema.js";
+import { parseRunText } from "../../shared/validateRun.js";
+import { validateRun } from "../lib/validateRun.js";
+
+// Body: { run } | { text } (raw file contents) | a bare run object (has `frames` or `agents`).
+function readRunBody(body) {
+  if (typeof body?.text === "string") {
+    let parsed;
+    try {
+      parsed = parseRunText(body.text);
+    } catch (err) {
+      return { parseError: `File is not valid JSON: ${err.message}` };
+    }
+    return { run: parsed.run, repaired: parsed.repaired };
+  }
+  const bare = Array.isArray(body?.frames) || Array.isArray(body?.agents);
+  return { run: body?.run ?? (bare ? body : null), repaired: false };
+}
+
+function validationFor(run, repaired) {
+  const result = validateRun(run);
+  if (repaired) {
+    result.warnings.unshift({
+      path: "/",
+      code: "nan_tokens",
+      message: "File contained bare NaN/Infinity tokens; they were read as null."
+    });
+  }
+  return result;
+}
+
+/* -------------------------------------------------------
+   /api/runs — upload, list, fetch, relabel, delete
+------------------------------------------------------- */
+export function runsRouter(store) {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    const tag = typeof req.query.tag === "string" ? req.query.tag : undefined;
+    res.json({ runs: await store.list({ tag }) });
+  });
+
+  router.get("/schema", (req, res) => {
+    res.json(RUN_SCHEMA);
+  });
+
+  // Dry run of an upload: per-field errors (block upload) and warnings (don't).
+  router.post("/validate", (req, res) => {
+    const { run, repaired, parseError } = readRunBody(req.body || {});
+    if (parseError) {
+      return res.json({ valid: false, errors: [{ path: "/", code: "parse", message: parseError }], warnings: [] });
+    }
+    res.json(validationFor(run ?? req.body, repaired));
+  });
+
+  // Body: { run | text, label?, tags? }. A bare run object (has `frames`) is accepted too.
+  router.post("/", async (req, res) => {
+    const body = req.body || {};
+    const { run, repaired, parseError } = readRunBody(body);
+    if (parseError) return res.status(400).json({ error: "bad_json", details: parseError });
+
+    if (!run || typeof run !== "object") {
+      return res.status(400).json({
+        error: "bad_run",
+        details: "Expected { run: { frames: [...] } }, { text } or a run object with a frames array."
+      });
+    }
+
+    const validation = validationFor(run, repaired);
+    if (!validation.valid) {
+      return res.status(422).json({ error: "invalid_run", details: validation.errors[0]?.message, validation });
+    }
+
+    const wrapped = body.run !== undefined || body.text !== undefined;
+    const record = await store.put(run, {
+      label: wrapped ? body.label : req.query.label,
+      tags: wrapped ? body.tags : req.query.tags
+    });
+    res.status(201).json({ ...record, validation });
+  });
+
+  router.get("/:id", async (req, res) => {
+    const run = await store.get(req.params.id);
+    if (!run) return res.status(404).json({ error: "not_found", details: `No run '${req.params.id}'.` });
+    res.json(run);
+  });
+
+  router.get("/:id/meta", async (req, res) => {
+    const record = await store.getMeta(req.params.id);
+    if (!record) return res.status(404).json({ error: "not_found", details: `No run '${req.params.id}'.` });
+    res.json(record);
+  });
+
+  router.patch("/:id", async (req, res) => {
+    const { label, tags } = req.body || {};
+    const record = await store.update(req.params.id, { label, tags });
+    if (!record) return res.status(404).json({ error: "not_found", details: `No run '${req.params.id}'.` });
+    res.json(record);
+  });
+
+  router.delete("/:id", async (req, res) => {
+    const ok = await store.remove(req.params.id);
+    if (!ok) return res.status(404).json({ error: "not_found", details: `No run '${req.params.id}'.` });
+    res.status(204).end();
+  });
+
+  return router;
+}
@@ -0,0 +1,58 @@
+import express from "express";
+import { isValidId, slugify } from "../lib/runStore.js";
+import { normalizeScenario } from "../../shared/scenarios.js";
+
+/* -------------------------------------------------------
+   /api/scenarios — scenario policy CRUD
+------------------------------------------------------- */
+export function scenariosRouter(store) {
+  const router = express.Router();
+
+  function save(res, body, key, status = 200) {
+    let scenario;
+    try {
+      scenario = normalizeScenario(body || {}, key);
+    } catch (err) {
+      return res.status(400).json({ error: "bad_scenario", details: err.message });
+    }
+    return store.put(key, scenario).then((saved) => res.status(status).json(saved));
+  }
+
+  router.get("/", async (req, res) => {
+    const scenarios = await store.list();
+    scenarios.sort((a, b) => a.name.localeCompare(b.name));
+    res.json({ scenarios });
+  });
+
+  router.get("/:key", async (req, res) => {
+    const sc = await store.get(req.params.key);
+    if (!sc) return res.status(404).json({ error: "not_found", details: `No scenario '${req.params.key}'.` });
+    res.json(sc);
+  });
+
+  // Body: a scenario; the key is derived from `key` or `name` and made unique.
+  router.post("/", async (req, res) => {
+    const base = slugify(req.body?.key || req.body?.name);
+    if (!isValidId(base)) {
+      return res.status(400).json({ error: "bad_id", details: "Give the scenario a name or key." });
+    }
+    let key = base;
+    for (let i = 2; await store.get(key); i++) key = `${base}_${i}`;
+    return save(res, req.body, key, 201);
+  });
+
+  router.put("/:key", async (req, res) => {
+    if (!isValidId(req.params.key)) {
+      return res.status(400).json({ error: "bad_id", details: "Use lowercase letters, digits, '_' or '-'." });
+    }
+    return save(res, req.body, req.params.key);
+  });
+
+  router.delete("/:key", async (req, res) => {
+    const ok = await store.remove(req.params.key);
+    if (!ok) return res.status(404).json({ error: "not_found", details: `No scenario '${req.params.key}'.` });
+    res.status(204).end();
+  });
+
+  return router;
+}
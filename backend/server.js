@@ -1,155 +1,92 @@
 import "dotenv/config";
 import express from "express";
 import cors from "cors";
-import { GoogleGenAI } from "@google/genai";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createRunStore, seedFromIndex } from "./lib/runStore.js";
+import { createCollectionStore } from "./lib/jsonStore.js";
+import { createMapStore } from "./lib/mapStore.js";
+import { runsRouter } from "./routes/runs.js";
+import { importRouter } from "./routes/import.js";
+import { scenariosRouter } from "./routes/scenarios.js";
+import { diagnoseRouter } from "./routes/diagnose.js";
+import { liveRouter } from "./routes/live.js";
+import { mapsRouter } from "./routes/maps.js";
+import { baselinesRouter } from "./routes/baselines.js";
+import { createLiveHub } from "./lib/liveHub.js";
+import { createProviders } from "./diagnosis/index.js";
+import { createDiagnosisHistory } from "./diagnosis/history.js";
+import { DEFAULT_SCENARIOS } from "../shared/scenarios.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const app = express();
 app.use(cors());
-app.use(express.json({ limit: "2mb" }));
+// Run uploads carry full frame streams, so allow more than a diagnose payload needs.
+app.use(express.json({ limit: process.env.JSON_LIMIT || "25mb" }));
 
 const PORT = process.env.PORT || 8000;
+const DATA_DIR = process.env.SIMTRACE_DATA_DIR || path.join(__dirname, "data");
 
-// Gemini client (reads GEMINI_API_KEY automatically if set)
-const ai = new GoogleGenAI({
-  apiKey: process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY
-});
+const runStore = createRunStore(path.join(DATA_DIR, "runs"));
+const profileStore = createCollectionStore(path.join(DATA_DIR, "import_profiles.json"));
+const mapStore = createMapStore(path.join(DATA_DIR, "maps"));
+const scenarioStore = createCollectionStore(path.join(DATA_DIR, "scenarios.json"), { seed: DEFAULT_SCENARIOS });
+const baselineStore = createCollectionStore(path.join(DATA_DIR, "baselines.json"));
+const diagnosisHistory = createDiagnosisHistory(createCollectionStore(path.join(DATA_DIR, "diagnoses.json")));
+
+// Diagnosis providers (Gemini, OpenAI-compatible, rule-based); see diagnosis/index.js
+const providers = createProviders();
+
+// Runs streamed in over WebSocket; finalized into runStore when they end.
+const liveHub = createLiveHub({ runs: runStore });
 
 app.get("/api/health", (req, res) => {
   res.json({ ok: true });
 });
 
-app.post("/api/diagnose", async (req, res) => {
-  try {
-    const { scenarioKey, runSummary, compareSummary } = req.body || {};
-
-    if (!scenarioKey || !runSummary) {
-      return res.status(400).json({ error: "Missing scenarioKey or runSummary" });
-    }
-
-    // JSON schema for structured output
-    const schema = {
-      type: "object",
-      additionalProperties: false,
-      properties: {
-        verdict: { type: "string", enum: ["PASS", "WARN", "FAIL"] },
-        confidence: { type: "number", minimum: 0, maximum: 1 },
-        operator_summary: { type: "string" },
-        root_causes: {
-          type: "array",
-          items: { type: "string" },
-          minItems: 1,
-          maxItems: 6
-        },
-        evidence: {
-          type: "array",
-          minItems: 2,
-          maxItems: 10,
-          items: {
-            type: "object",
-            additionalProperties: false,
-            properties: {
-              t: { type: "number" },
-              type: { type: "string" },
-              why_it_matters: { type: "string" }
-            },
-            required: ["t", "type", "why_it_matters"]
-          }
-        },
-        recommendations: {
-          type: "array",
-          items: { type: "string" },
-          minItems: 3,
-          maxItems: 10
-        },
-        next_tests: {
-          type: "array",
-          items: { type: "string" },
-          minItems: 2,
-          maxItems: 8
-        },
-        // Always required (empty string if no compare run)
-        compare_insights: { type: "string" }
-      },
-      required: [
-        "verdict",
-        "confidence",
-        "operator_summary",
-        "root_causes",
-        "evidence",
-        "recommendations",
-        "next_tests",
-        "compare_insights"
-      ]
-    };
-
-    const system = `
-You are SimTrace Copilot, an expert robotics debugging assistant.
-
-You analyze simulation run summaries and return ONLY valid JSON matching the provided schema.
-
-Rules:
-- Be specific + actionable (tuning, planner, controller, sensor fusion, safety layers, map, costmaps, recovery behaviors).
-- Ground your claims in the events evidence and counts.
-- If compareSummary is missing, set compare_insights to "".
-`;
-
-    const promptObj = {
-      scenarioKey,
-      runSummary,
-      compareSummary: compareSummary || null
-    };
-
-    const prompt = `${system}
-
-INPUT (JSON):
-${JSON.stringify(promptObj, null, 2)}
-
-TASK:
-Return a structured diagnosis.`;
-
-    // Model choice:
-    // Start with gemini-3-flash-preview (works great for JSON schema + speed).
-    // If you hit model access issues, change to "gemini-2.5-flash".
-    const model = process.env.GEMINI_MODEL || "gemini-3-flash-preview";
-
-    const response = await ai.models.generateContent({
-      model,
-      contents: prompt,
-      config: {
-        responseMimeType: "application/json",
-        responseJsonSchema: schema
-      }
-    });
-
-    const text = response?.text || "";
-    let out;
-    try {
-      out = JSON.parse(text);
-    } catch {
-      return res.status(502).json({
-        error: "bad_model_json",
-        details: "Model did not return valid JSON.",
-        raw: text.slice(0, 2000)
-      });
-    }
-
-    // Safety: ensure compare_insights exists even if model forgets (shouldn't happen w/schema)
-    if (typeof out.compare_insights !== "string") out.compare_insights = "";
+app.use("/api/runs", runsRouter(runStore));
+app.use("/api/import", importRouter({ runs: runStore, profiles: profileStore }));
+app.use("/api/live", liveRouter(liveHub));
+app.use("/api/maps", mapsRouter(mapStore));
+app.use("/api/scenarios", scenariosRouter(scenarioStore));
+app.use(
+  "/api/baselines",
+  baselinesRouter({ baselines: baselineStore, runs: runStore, scenarios: scenarioStore, maps: mapStore })
+);
+app.use(
+  "/api/diagnose",
+  diagnoseRouter({ scenarios: scenarioStore, providers, history: diagnosisHistory, runs: runStore, maps: mapStore })
+);
+
+// Express 5 forwards rejected async handlers here; keep the JSON error shape.
+app.use((err, req, res, _next) => {
+  const status = err?.status || err?.statusCode || 500;
+  res.status(status).json({
+    error:
+      err?.type === "entity.too.large"
+        ? "payload_too_large"
+        : status < 500
+        ? "bad_request"
+        : "server_error",
+    details: err?.message || String(err)
+  });
+});
 
-    return res.json(out);
-  } catch (err) {
-    const msg =
-      err?.error?.message ||
-      err?.message ||
-      String(err);
+// First start: import the legacy static runs/ folder so the sample runs stay visible.
+const seedDir = process.env.SIMTRACE_SEED_DIR || path.join(__dirname, "..", "runs");
+seedFromIndex(runStore, seedDir)
+  .then((n) => {
+    if (n) console.log(`Seeded run store with ${n} run(s) from ${seedDir}`);
+  })
+  .catch((err) => console.warn(`Could not seed run store: ${err?.message || err}`));
 
-    return res.status(err?.status || 500).json({
-      error: "diagnose_failed",
-      details: msg
-    });
-  }
+const server = app.listen(PORT, () => {
+  console.log(`✅ SimTrace backend listening on http://localhost:${PORT}`);
+  console.log(`   Diagnosis provider: ${providers.defaultName}`);
+  console.log(`   Live ingest: ws://localhost:${PORT}/api/live/ingest`);
 });
 
-app.listen(PORT, () => {
-  console.log(`✅ SimTrace backend listening on http://localhost:${PORT}`);
+server.on("upgrade", (req, socket, head) => {
+  if (!liveHub.handleUpgrade(req, socket, head)) socket.destroy();
 });
@@ -1,35 +1,47 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import "./App.css";
-
-/* -------------------------------------------------------
-   Scenario policies (simple scoring + PASS/WARN/FAIL)
-------------------------------------------------------- */
-const SCENARIOS = {
-  warehouse: {
-    key: "warehouse",
-    name: "Warehouse robot",
-    blurb:
-      "Strict indoor policy: tight aisles, low tolerance for near-collisions and deadlocks.",
-    weights: { near: 3, collision: 8, stuck: 6, replan: 1 },
-    thresholds: { pass: 6, warn: 14 } // score <= pass => PASS, <= warn => WARN, else FAIL
-  },
-  delivery: {
-    key: "delivery",
-    name: "Delivery bot (ground)",
-    blurb:
-      "Moderate policy: sidewalks + obstacles; some pauses are okay, but repeated issues are not.",
-    weights: { near: 2, collision: 6, stuck: 4, replan: 1 },
-    thresholds: { pass: 8, warn: 18 }
-  },
-  sar: {
-    key: "sar",
-    name: "Search & rescue",
-    blurb:
-      "Lenient collision policy, but deadlocks matter: complex terrain; recovery is critical.",
-    weights: { near: 1, collision: 3, stuck: 7, replan: 1 },
-    thresholds: { pass: 10, warn: 22 }
-  }
-};
+import { extractXY, pathLength, poseAt, runEvents, runFrames, runTimeMax, samples } from "../../shared/frames.js";
+import { compareTrajectories } from "../../shared/similarity.js";
+import { deriveEvents, findMismatches } from "../../shared/deriveEvents.js";
+import { COUNT_TYPES, DEFAULT_SCENARIOS, countEvents, scoreRun } from "../../shared/scenarios.js";
+import { compareGroups } from "../../shared/stats.js";
+import { sliceRun } from "../../shared/timeline.js";
+import { normalizeZones, withZones } from "../../shared/zones.js";
+import { evaluateMission, runMission, withMission } from "../../shared/mission.js";
+import { agentRun, fleetEvents, runAgents, withFleetEvents } from "../../shared/fleet.js";
+import { normalizeObstacles, obstacleBounds, robotFootprint, runMapRef } from "../../shared/maps.js";
+import { drawMission, drawObstacles, drawOccupancy, drawZoneSketch, drawZones, gridToImage } from "./mapLayer.js";
+import { EVENT_STYLES, compareColor, drawEventGlyph, eventStyle } from "./eventGlyphs.js";
+import { drawRobot } from "./robotLayer.js";
+import {
+  deleteRun,
+  getMap,
+  getMapGrid,
+  getRun,
+  listDiagnosisProviders,
+  listLiveRuns,
+  listMaps,
+  listRuns,
+  listScenarios,
+  streamDiagnosis,
+  watchLiveRun
+} from "./api.js";
+import RunUpload from "./components/RunUpload.jsx";
+import BaselineCard from "./components/BaselineCard.jsx";
+import CompareRuns from "./components/CompareRuns.jsx";
+import DiagnosisHistory from "./components/DiagnosisHistory.jsx";
+import DiagnosisReport from "./components/DiagnosisReport.jsx";
+import FleetCard from "./components/FleetCard.jsx";
+import GroupComparison from "./components/GroupComparison.jsx";
+import MapUpload from "./components/MapUpload.jsx";
+import MissionCard from "./components/MissionCard.jsx";
+import ResultsMatrix from "./components/ResultsMatrix.jsx";
+import ScenarioEditor from "./components/ScenarioEditor.jsx";
+import ScoreTimeline from "./components/ScoreTimeline.jsx";
+import SignalCharts from "./components/SignalCharts.jsx";
+import TableImport from "./components/TableImport.jsx";
+import TrendChart from "./components/TrendChart.jsx";
+import ZoneEditor from "./components/ZoneEditor.jsx";
 
 function clamp(n, a, b) {
   return Math.max(a, Math.min(b, n));
@@ -49,91 +61,68 @@ function fmtDelta(n, suffix = "") {
   return `${sign}${val}${suffix}`;
 }
 
-/* -------------------------------------------------------
-   Run parsing helpers
-------------------------------------------------------- */
-function extractXY(frame) {
-  if (!frame) return null;
-  if (typeof frame.x === "number" && typeof frame.y === "number") return { x: frame.x, y: frame.y };
-  if (frame.pos && typeof frame.pos.x === "number" && typeof frame.pos.y === "number")
-    return { x: frame.pos.x, y: frame.pos.y };
-  if (Array.isArray(frame.p) && frame.p.length >= 2 && typeof frame.p[0] === "number")
-    return { x: frame.p[0], y: frame.p[1] };
-  return null;
-}
-
-function runTimeMax(run) {
-  const frames = Array.isArray(run?.frames) ? run.frames : [];
-  if (!frames.length) return 0;
-  const lastT = Number(frames[frames.length - 1]?.t);
-  return Number.isFinite(lastT) ? lastT : 0;
-}
-
-function countEvents(run) {
-  const events = Array.isArray(run?.events) ? run.events : [];
-  const c = { near: 0, collision: 0, stuck: 0, replan: 0 };
-  for (const e of events) {
-    const type = String(e?.type || "");
-    if (type === "near_collision") c.near++;
-    if (type === "collision") c.collision++;
-    if (type === "stuck") c.stuck++;
-    if (type === "replan") c.replan++;
-  }
-  return c;
-}
-
-function scoreRun(run, scenarioKey) {
-  const sc = SCENARIOS[scenarioKey] || SCENARIOS.warehouse;
-  const c = countEvents(run);
-  const w = sc.weights;
-  const score = c.near * w.near + c.collision * w.collision + c.stuck * w.stuck + c.replan * w.replan;
-  const status =
-    score <= sc.thresholds.pass ? "PASS" : score <= sc.thresholds.warn ? "WARN" : "FAIL";
-  return { score, status, blurb: sc.blurb, counts: c };
+function fmtUploaded(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return d.toLocaleString(undefined, { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
 }
 
 /* -------------------------------------------------------
    LLM input summary (lightweight; keeps payload small)
 ------------------------------------------------------- */
 function buildRunSummary(run) {
-  const frames = Array.isArray(run?.frames) ? run.frames : [];
-  const events = Array.isArray(run?.events) ? run.events : [];
+  const agents = runAgents(run);
+  const frames = agents.length ? agents.flatMap((a) => a.frames) : runFrames(run);
+  // A fleet's events carry the robot they belong to.
+  const events = fleetEvents(run);
   const stats = run?.stats || {};
 
-  const duration_s =
-    stats.duration_s ??
-    (frames.length ? Number(frames[frames.length - 1]?.t) : 0);
+  const duration_s = stats.duration_s ?? runTimeMax(run);
 
   const distance_m = stats.distance_m ?? null;
 
-  const counts = {
-    near_collision:
-      stats.near_collision_count ?? events.filter((e) => e.type === "near_collision").length,
-    collision:
-      stats.collision_count ?? events.filter((e) => e.type === "collision").length,
-    stuck: stats.stuck_count ?? events.filter((e) => e.type === "stuck").length,
-    replan: stats.replan_count ?? events.filter((e) => e.type === "replan").length
-  };
+  // By event type: near_collision, collision, ..., no_go_entry, speed_limit, dwell_limit
+  const counts = Object.fromEntries(Object.entries(countEvents(run)).map(([k, n]) => [COUNT_TYPES[k], n]));
 
   const evidence = events
     .map((e) => ({
       t: Number(e.t),
       type: String(e.type || ""),
-      detail: String(e.detail || "")
+      detail: String(e.detail || ""),
+      ...(e.agent != null ? { agent: String(e.agent) } : {})
     }))
     .filter((e) => Number.isFinite(e.t) && e.type)
     .sort((a, b) => a.t - b.t);
 
   const events_evidence = evidence.length <= 24 ? evidence : evidence.slice(0, 12).concat(evidence.slice(-12));
 
+  // Only whole runs carry a mission; a sliced range keeps just its events.
+  const m = evaluateMission(run);
+  const mission = m && {
+    success: m.success,
+    reached: m.reached,
+    timed_out: m.timed_out,
+    time_to_goal_s: m.time_to_goal_s,
+    closest_m: m.closest_m,
+    waypoints_reached: m.targets.filter((p) => p.reached).length,
+    waypoints_total: m.targets.length,
+    path_m: m.path_m,
+    reference_m: m.reference_m,
+    efficiency: m.efficiency,
+    detours: m.detours.length
+  };
+
   return {
     duration_s: Number(duration_s) || 0,
     distance_m: distance_m != null ? Number(distance_m) : null,
     counts,
+    ...(mission ? { mission } : {}),
     events_evidence,
     meta: {
       frame_count: frames.length,
-      event_count: events.length
+      event_count: events.length,
+      ...(agents.length ? { agent_count: agents.length } : {}),
+      ...(run?.meta?.agent != null ? { agent: run.meta.agent } : {})
     }
   };
 }
@@ -141,8 +130,10 @@ function buildRunSummary(run) {
 /* -------------------------------------------------------
    Canvas drawing
 ------------------------------------------------------- */
-function computeBounds(frames) {
-  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+// `extra` (e.g. obstacle bounds) widens the fit; occupancy grids don't, they can be a whole building.
+function computeBounds(frames, extra) {
+  let minX = extra?.minX ?? Infinity, minY = extra?.minY ?? Infinity;
+  let maxX = extra?.maxX ?? -Infinity, maxY = extra?.maxY ?? -Infinity;
   for (const f of frames) {
     const p = extractXY(f);
     if (!p) continue;
@@ -156,6 +147,8 @@ function computeBounds(frames) {
   return { minX: minX - pad, minY: minY - pad, maxX: maxX + pad, maxY: maxY + pad };
 }
 
+const DEFAULT_VIEW = { zoom: 1, panX: 0, panY: 0 };
+
 function drawGrid(ctx, w, h) {
   ctx.save();
   ctx.clearRect(0, 0, w, h);
@@ -187,17 +180,10 @@ function drawGrid(ctx, w, h) {
   ctx.restore();
 }
 
-function drawPath(ctx, frames, tMax, toCanvas, style) {
-  const pts = [];
-  for (const f of frames) {
-    const tf = Number(f?.t);
-    if (!Number.isFinite(tf)) continue;
-    if (tf > tMax) break;
-    const p = extractXY(f);
-    if (!p) continue;
-    pts.push(p);
-  }
-  if (!pts.length) return null;
+// Path over samples() up to tMax, ending at the interpolated pose there (returned).
+function drawPath(ctx, s, tMax, toCanvas, style) {
+  const end = poseAt(s, tMax);
+  if (!end) return null;
 
   ctx.save();
   ctx.lineWidth = style.lineWidth || 2;
@@ -205,29 +191,48 @@ function drawPath(ctx, frames, tMax, toCanvas, style) {
   ctx.globalAlpha = style.alpha ?? 1;
 
   ctx.beginPath();
-  const p0 = toCanvas(pts[0]);
+  const p0 = toCanvas(s[0]);
   ctx.moveTo(p0.x, p0.y);
-  for (let i = 1; i < pts.length; i++) {
-    const pi = toCanvas(pts[i]);
+  for (let i = 1; i < s.length && s[i].t <= tMax; i++) {
+    const pi = toCanvas(s[i]);
     ctx.lineTo(pi.x, pi.y);
   }
+  const pe = toCanvas(end);
+  ctx.lineTo(pe.x, pe.y);
   ctx.stroke();
   ctx.restore();
 
-  return pts[pts.length - 1];
+  return end;
 }
 
-function drawDot(ctx, p, toCanvas, style) {
-  if (!p) return;
-  const c = toCanvas(p);
+// Primary path coloured by distance to the compare path (green → red), max divergence ringed.
+function drawDivergence(ctx, sim, toCanvas) {
+  const pts = sim.divergence;
+  const max = sim.max_divergence.d || 1;
   ctx.save();
-  ctx.fillStyle = style.fillStyle || "rgba(255,255,255,0.9)";
-  ctx.strokeStyle = style.strokeStyle || "rgba(0,0,0,0.35)";
+  ctx.lineWidth = 8;
+  ctx.lineCap = "round";
+  ctx.globalAlpha = 0.75;
+  for (let i = 1; i < pts.length; i++) {
+    const a = toCanvas(pts[i - 1]);
+    const b = toCanvas(pts[i]);
+    const r = Math.min(1, (pts[i - 1].d + pts[i].d) / 2 / max);
+    ctx.strokeStyle = `hsl(${Math.round(120 * (1 - r))}, 85%, 55%)`;
+    ctx.beginPath();
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+    ctx.stroke();
+  }
+  const m = toCanvas(sim.max_divergence);
+  ctx.globalAlpha = 1;
   ctx.lineWidth = 2;
+  ctx.strokeStyle = "hsl(0, 85%, 60%)";
   ctx.beginPath();
-  ctx.arc(c.x, c.y, style.r || 5, 0, Math.PI * 2);
-  ctx.fill();
+  ctx.arc(m.x, m.y, 11, 0, Math.PI * 2);
   ctx.stroke();
+  ctx.fillStyle = "rgba(232,236,255,0.9)";
+  ctx.font = "11px system-ui, sans-serif";
+  ctx.fillText(`max ${sim.max_divergence.d.toFixed(2)} m`, m.x + 14, m.y - 8);
   ctx.restore();
 }
 
@@ -237,26 +242,86 @@ export default function App() {
   const [index, setIndex] = useState(null);
 
   const [runId, setRunId] = useState("sample_run");
-  const [compareRunId, setCompareRunId] = useState("");
-
-  const [run, setRun] = useState(null);
-  const [compareRun, setCompareRun] = useState(null);
-
+  // Compare runs overlaid on the primary, in the order picked (that order picks their colours).
+  // The focused one (first visible, unless another is clicked) drives deltas, similarity and charts.
+  const [compareIds, setCompareIds] = useState([]);
+  const [hiddenCompare, setHiddenCompare] = useState([]);
+  const [focusCompareId, setFocusCompareId] = useState("");
+
+  // The run as fetched or streamed; `run` below adds the events of the zones in view.
+  const [loadedRun, setRun] = useState(null);
+  // Store id of `run` (runId may point at a run that no longer exists).
+  const [loadedRunId, setLoadedRunId] = useState("");
+  // Fleet runs: the robot in focus, "" for the whole fleet.
+  const [agentId, setAgentId] = useState("");
+  const [compareRuns, setCompareRuns] = useState({});
+
+  // Live runs streaming into the backend; while liveId is set, `run` grows from the watch socket.
+  const [liveSessions, setLiveSessions] = useState([]);
+  const [liveId, setLiveId] = useState("");
+  const [liveStatus, setLiveStatus] = useState("");
+  // Keep the playhead on the newest frame until the user scrubs or plays.
+  const [following, setFollowing] = useState(true);
+
+  // Scenario policies live on the server; the built-in defaults cover an offline backend.
+  const [scenarios, setScenarios] = useState(DEFAULT_SCENARIOS);
   const [scenarioKey, setScenarioKey] = useState("warehouse");
-
-  const [t, setT] = useState(0);
+  const [editingScenario, setEditingScenario] = useState(false);
+
+  // Map under the replay: "" follows the run's own `map`, "none" hides it, else a stored map id.
+  const [maps, setMaps] = useState([]);
+  const [mapChoice, setMapChoice] = useState("");
+  const [storedMap, setStoredMap] = useState(null);
+  const [mapVersion, setMapVersion] = useState(0);
+  // Zones drawn or loaded but not saved to a map yet, and the one being drawn: { spec, points }.
+  const [draftZones, setDraftZones] = useState([]);
+  const [zoneSketch, setZoneSketch] = useState(null);
+  // World → canvas transform of the last draw, to turn clicks into world points.
+  const mapViewRef = useRef(null);
+  // Pan/zoom on top of the fit-to-paths transform, in canvas pixels.
+  const [view, setView] = useState(DEFAULT_VIEW);
+  const [showHeading, setShowHeading] = useState(true);
+  const [showVelocity, setShowVelocity] = useState(false);
+  // Path similarity (compare mode): how lateral deviation pairs points, and the divergence overlay.
+  const [alignMode, setAlignMode] = useState("arc");
+  const [showDivergence, setShowDivergence] = useState(false);
+  const dragRef = useRef(null);
+  // Event glyphs as last drawn (canvas px), for hover and click hit tests.
+  const markRef = useRef([]);
+  const [hover, setHover] = useState(null);
+
+  const [playT, setT] = useState(0);
+  // While following a live run, the playhead sits on its newest frame.
+  const t = liveId && following ? runTimeMax(loadedRun) : playT;
   const [playing, setPlaying] = useState(false);
   const [speed, setSpeed] = useState(1);
 
+  // Structured report (partial while streaming), its progress line, or plain text (diffs, errors).
+  const [diag, setDiag] = useState(null);
+  const [diagStatus, setDiagStatus] = useState("");
   const [diagText, setDiagText] = useState("");
+  const [providers, setProviders] = useState([]);
+  const [providerName, setProviderName] = useState("");
+  const [forceRefresh, setForceRefresh] = useState(false);
+  // { t0, t1, label } of the phase to diagnose instead of the whole run.
+  const [diagRange, setDiagRange] = useState(null);
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [baselineVersion, setBaselineVersion] = useState(0);
 
   // Load runs index
+  async function refreshIndex() {
+    try {
+      setIndex(await listRuns());
+    } catch {
+      setIndex({ runs: [] });
+    }
+  }
+
   useEffect(() => {
     let dead = false;
     (async () => {
       try {
-        const resp = await fetch(`/runs/index.json`);
-        const data = await resp.json();
+        const data = await listRuns();
         if (!dead) setIndex(data);
       } catch {
         if (!dead) setIndex({ runs: [] });
@@ -267,20 +332,153 @@ export default function App() {
     };
   }, []);
 
+  useEffect(() => {
+    let dead = false;
+    listScenarios()
+      .then((d) => !dead && setScenarios(Object.fromEntries(d.scenarios.map((sc) => [sc.key, sc]))))
+      .catch(() => {});
+    return () => {
+      dead = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    let dead = false;
+    listDiagnosisProviders()
+      .then((d) => {
+        if (dead) return;
+        setProviders(d.providers || []);
+        setProviderName(d.default || "");
+      })
+      .catch(() => {});
+    return () => {
+      dead = true;
+    };
+  }, []);
+
+  const scenario = scenarios[scenarioKey] || Object.values(scenarios)[0] || DEFAULT_SCENARIOS.warehouse;
+
+  function scenarioSaved(sc) {
+    setScenarios((all) => ({ ...all, [sc.key]: sc }));
+    setScenarioKey(sc.key);
+  }
+
+  function scenarioDeleted(key) {
+    const rest = { ...scenarios };
+    delete rest[key];
+    setScenarios(rest);
+    setScenarioKey(Object.keys(rest)[0] || "");
+    setEditingScenario(false);
+  }
+
+  // Poll for live sessions (cheap: metadata only)
+  useEffect(() => {
+    let dead = false;
+    const poll = () =>
+      listLiveRuns()
+        .then((d) => !dead && setLiveSessions(d.sessions || []))
+        .catch(() => !dead && setLiveSessions([]));
+    poll();
+    const timer = setInterval(poll, 3000);
+    return () => {
+      dead = true;
+      clearInterval(timer);
+    };
+  }, []);
+
+  // Follow the selected live run. Deltas are buffered and applied a few times a second
+  // so a fast simulator doesn't re-score and redraw on every frame.
+  useEffect(() => {
+    if (!liveId) return;
+    let pending = { frames: [], events: [], stats: null };
+    let finished = null;
+    // Newest frame time, where the playhead stays once the run stops following.
+    let lastT = 0;
+
+    // The stored run joins the list and opens, like an upload.
+    const openStored = async (id) => {
+      try {
+        setIndex(await listRuns());
+      } catch {
+        setIndex({ runs: [] });
+      }
+      setRunId(id);
+    };
+
+    const flush = () => {
+      const { frames, events, stats } = pending;
+      if (!frames.length && !events.length && !stats) return;
+      pending = { frames: [], events: [], stats: null };
+      setRun((r) =>
+        r
+          ? {
+              ...r,
+              frames: frames.length ? r.frames.concat(frames) : r.frames,
+              events: events.length ? r.events.concat(events) : r.events,
+              stats: stats || r.stats
+            }
+          : r
+      );
+    };
+
+    const stop = watchLiveRun(liveId, (msg) => {
+      if (msg.type === "snapshot") {
+        setRun(msg.session.run);
+        setLoadedRunId("");
+        lastT = runTimeMax(msg.session.run);
+        setT(lastT);
+        setLiveStatus(`Live • ${msg.session.label}`);
+      } else if (msg.type === "frames") {
+        pending.frames.push(...msg.frames);
+        lastT = Math.max(lastT, runTimeMax({ frames: msg.frames }));
+      } else if (msg.type === "events") pending.events.push(...msg.events);
+      else if (msg.type === "stats") pending.stats = msg.stats;
+      else if (msg.type === "end") {
+        flush();
+        finished = msg;
+        setT(lastT);
+        setLiveStatus(msg.record ? `Stored as ${msg.record.id}` : `Live run ended: ${msg.error}`);
+        setLiveId("");
+        if (msg.record) openStored(msg.record.id);
+      } else if (msg.type === "closed" && !finished) {
+        setT(lastT);
+        setLiveStatus("Lost connection to the live run.");
+        setLiveId("");
+      }
+    });
+
+    const timer = setInterval(flush, 250);
+    return () => {
+      clearInterval(timer);
+      stop();
+    };
+  }, [liveId]);
+
+  function watchLive(id) {
+    setLiveId(id);
+    setView(DEFAULT_VIEW);
+    setFollowing(true);
+    setPlaying(false);
+    setLiveStatus("Connecting…");
+  }
+
   // Load selected run
   useEffect(() => {
     let dead = false;
     (async () => {
-      if (!index?.runs?.length) return;
+      if (liveId || !index?.runs?.length) return;
       const item = index.runs.find((r) => r.id === runId) || index.runs[0];
       if (!item) return;
       try {
-        const resp = await fetch(`/runs/${item.file}`);
-        const data = await resp.json();
+        const data = await getRun(item.id);
         if (!dead) {
           setRun(data);
+          setLoadedRunId(item.id);
+          setAgentId("");
+          setView(DEFAULT_VIEW);
           setT(0);
           setPlaying(false);
+          setDiagRange(null);
         }
       } catch {
         if (!dead) setRun(null);
@@ -289,80 +487,314 @@ export default function App() {
     return () => {
       dead = true;
     };
-  }, [index, runId]);
+  }, [index, runId, liveId]);
 
-  // Load compare run
+  // Load compare runs not fetched yet
   useEffect(() => {
     let dead = false;
+    const missing = compareIds.filter((id) => !compareRuns[id]);
+    if (!missing.length) return;
     (async () => {
-      if (!compareRunId) {
-        setCompareRun(null);
-        return;
+      const loaded = {};
+      for (const id of missing) {
+        try {
+          loaded[id] = await getRun(id);
+        } catch {
+          // deleted meanwhile; dropped from compareIds below
+        }
       }
-      const item = index?.runs?.find((r) => r.id === compareRunId);
-      if (!item) {
-        setCompareRun(null);
+      if (dead) return;
+      setCompareRuns((all) => ({ ...all, ...loaded }));
+      const gone = missing.filter((id) => !loaded[id]);
+      if (gone.length) setCompareIds((ids) => ids.filter((id) => !gone.includes(id)));
+    })();
+    return () => {
+      dead = true;
+    };
+  }, [compareIds, compareRuns]);
+
+  const visibleCompare = compareIds.filter(
+    (id) => id !== loadedRunId && !hiddenCompare.includes(id) && compareRuns[id]
+  );
+  const compareRunId = visibleCompare.includes(focusCompareId) ? focusCompareId : visibleCompare[0] || "";
+  const focusColor = compareColor(compareIds.indexOf(compareRunId));
+
+  function addCompare(ids) {
+    setCompareIds((cur) => cur.concat(ids.filter((id) => !cur.includes(id))));
+  }
+
+  function dropCompare(id) {
+    setCompareIds((cur) => cur.filter((x) => x !== id));
+    setHiddenCompare((cur) => cur.filter((x) => x !== id));
+    setCompareRuns((all) => {
+      const rest = { ...all };
+      delete rest[id];
+      return rest;
+    });
+  }
+
+  function focusCompare(id) {
+    setFocusCompareId(id);
+    setHiddenCompare((cur) => cur.filter((x) => x !== id));
+  }
+
+  function toggleCompare(id) {
+    setHiddenCompare((cur) => (cur.includes(id) ? cur.filter((x) => x !== id) : cur.concat(id)));
+  }
+
+  async function selectNewRun(record) {
+    await refreshIndex();
+    setRunId(record.id);
+  }
+
+  async function removeRun(id) {
+    if (!window.confirm(`Delete run '${id}' from the store?`)) return;
+    try {
+      await deleteRun(id);
+    } catch (e) {
+      window.alert("Delete failed: " + (e?.message || String(e)));
+      return;
+    }
+    dropCompare(id);
+    await refreshIndex();
+  }
+
+  async function refreshMaps() {
+    try {
+      setMaps((await listMaps()).maps || []);
+    } catch {
+      setMaps([]);
+    }
+  }
+
+  useEffect(() => {
+    let dead = false;
+    listMaps()
+      .then((d) => !dead && setMaps(d.maps || []))
+      .catch(() => {});
+    return () => {
+      dead = true;
+    };
+  }, []);
+
+  const runMap = useMemo(() => runMapRef(loadedRun), [loadedRun]);
+  const mapId = mapChoice === "none" ? null : mapChoice || runMap.id;
+
+  // Stored map record + its grid rendered to an image, loaded once per map id.
+  useEffect(() => {
+    let dead = false;
+    (async () => {
+      if (!mapId) {
+        setStoredMap(null);
         return;
       }
       try {
-        const resp = await fetch(`/runs/${item.file}`);
-        const data = await resp.json();
-        if (!dead) setCompareRun(data);
+        const map = await getMap(mapId);
+        const image = map.has_grid ? gridToImage(map, await getMapGrid(mapId)) : null;
+        if (!dead) setStoredMap({ id: mapId, map, image });
       } catch {
-        if (!dead) setCompareRun(null);
+        if (!dead) setStoredMap(null);
       }
     })();
     return () => {
       dead = true;
     };
-  }, [index, compareRunId]);
+  }, [mapId, mapVersion]);
+
+  const obstacles = useMemo(() => {
+    if (mapChoice === "none") return [];
+    const own = mapChoice ? [] : runMap.obstacles;
+    const stored = storedMap?.id === mapId ? normalizeObstacles(storedMap.map.obstacles) : [];
+    return own.concat(stored);
+  }, [mapChoice, runMap, storedMap, mapId]);
+
+  // Zones in view: the run's own (unless another map is picked), the stored map's, and drafts.
+  const runZones = useMemo(() => (mapChoice ? [] : runMap.zones), [mapChoice, runMap]);
+  const storedZones = useMemo(
+    () => (storedMap?.id === mapId ? normalizeZones(storedMap.map.zones) : []),
+    [storedMap, mapId]
+  );
+  const zones = useMemo(() => runZones.concat(storedZones, draftZones), [runZones, storedZones, draftZones]);
+
+  // Fleet runs: each robot in its colour; zone events and robot-robot near-collisions
+  // (with the scenario's thresholds) are found on the whole fleet.
+  const agents = useMemo(
+    () => runAgents(loadedRun).map((a, i) => ({ ...a, color: a.color || compareColor(i) })),
+    [loadedRun]
+  );
+  const fleet = agents.length > 0;
+  const fleetRun = useMemo(
+    () => (fleet ? withFleetEvents(withZones(loadedRun, zones), scenario.derive?.inter_agent) : null),
+    [fleet, loadedRun, zones, scenario]
+  );
+  const fleetAll = fleet && !agentId;
+  const focusAgent = agentId || agents[0]?.id;
+
+  // Zone and mission events join the run's own, so they list, mark and count like them.
+  // In a fleet, `run` is the robot in focus (the first one while the whole fleet is shown).
+  const run = useMemo(
+    () => withMission(fleet ? agentRun(fleetRun, focusAgent) : withZones(loadedRun, zones)),
+    [fleet, fleetRun, focusAgent, loadedRun, zones]
+  );
+  // What whole-run scoring sees: the fleet, or the run.
+  const scoredRun = fleet ? fleetRun : run;
+  // Compare runs are held to the same zones: they ran in the same world.
+  const zonedCompareRuns = useMemo(
+    () => Object.fromEntries(Object.entries(compareRuns).map(([id, r]) => [id, withMission(withZones(r, zones))])),
+    [compareRuns, zones]
+  );
+  // A fleet shows the picked robot's mission only.
+  const missionPlan = useMemo(() => (fleetAll ? null : runMission(run)), [fleetAll, run]);
+  const mission = useMemo(() => (fleetAll ? null : evaluateMission(run)), [fleetAll, run]);
+  const compareRun = compareRunId ? zonedCompareRuns[compareRunId] : null;
+
+  function addZonePoint(e) {
+    const v = mapViewRef.current;
+    const canvas = canvasRef.current;
+    if (!v || !canvas) return;
+    const rect = canvas.getBoundingClientRect();
+    const cx = ((e.clientX - rect.left) * canvas.width) / rect.width;
+    const cy = ((e.clientY - rect.top) * canvas.height) / rect.height;
+    const p = { x: (cx - v.tx) / v.k, y: (v.ty - cy) / v.k };
+    setZoneSketch((z) => {
+      const last = z.points[z.points.length - 1];
+      // The clicks of a double-click land on the same spot.
+      if (last && Math.hypot(last.x - p.x, last.y - p.y) * v.k < 4) return z;
+      return { ...z, points: z.points.concat(p) };
+    });
+  }
 
-  const maxT = useMemo(() => runTimeMax(run), [run]);
+  function finishZone() {
+    const sketch = zoneSketch;
+    setZoneSketch(null);
+    if (!sketch || sketch.points.length < 3) return;
+    const [zone] = normalizeZones([{ ...sketch.spec, points: sketch.points }]);
+    setDraftZones((d) => d.concat({ ...zone, id: `draft_${Date.now()}`, draft: true }));
+  }
+
+  const maxT = useMemo(() => runTimeMax(fleet ? loadedRun : run), [fleet, loadedRun, run]);
   const sliderSteps = useMemo(() => Math.max(1, Math.round(maxT * 10)), [maxT]);
   const sliderValue = useMemo(() => Math.round(t * 10), [t]);
 
   // Scenario eval + deltas
-  const primary = useMemo(() => (run ? scoreRun(run, scenarioKey) : null), [run, scenarioKey]);
+  const fleetScore = useMemo(() => (fleet ? scoreRun(fleetRun, scenario) : null), [fleet, fleetRun, scenario]);
+  const agentScore = useMemo(() => (run && !fleetAll ? scoreRun(run, scenario) : null), [run, fleetAll, scenario]);
+  const primary = fleetAll ? fleetScore : agentScore;
+  // The whole run's score, which compare deltas and baselines go by.
+  const overall = fleet ? fleetScore : primary;
   const compare = useMemo(
-    () => (compareRun ? scoreRun(compareRun, scenarioKey) : null),
-    [compareRun, scenarioKey]
+    () => (compareRun ? scoreRun(compareRun, scenario) : null),
+    [compareRun, scenario]
   );
 
+  // A two-run group comparison: just the deltas of each metric.
   const deltas = useMemo(() => {
-    if (!primary || !compare) return null;
-    const a = primary.counts;
-    const b = compare.counts;
-    const durA = runTimeMax(run);
-    const durB = runTimeMax(compareRun);
-
+    if (!overall || !compare) return null;
+    const { metrics } = compareGroups([scoredRun], [compareRun], scenario);
     return {
-      score: compare.score - primary.score,
-      near: b.near - a.near,
-      stuck: b.stuck - a.stuck,
-      collision: b.collision - a.collision,
-      duration: (durB || 0) - (durA || 0),
-      distance: (compareRun?.stats?.distance_m ?? null) != null && (run?.stats?.distance_m ?? null) != null
-        ? Number(compareRun.stats.distance_m) - Number(run.stats.distance_m)
-        : null,
-      better: compare.score < primary.score,
-      equal: compare.score === primary.score
+      ...Object.fromEntries(Object.entries(metrics).map(([k, m]) => [k, m.delta])),
+      better: compare.score < overall.score,
+      equal: compare.score === overall.score
     };
-  }, [primary, compare, run, compareRun]);
+  }, [overall, compare, scoredRun, compareRun, scenario]);
 
-  // Events (sorted) + highlight which are <= t
+  // Recorded events (sorted) + highlight which are <= t; zone, mission and inter-agent events
+  // are derived, so they list with the events derived from frames below.
+  // The whole fleet's when no robot is picked, each tagged with its robot.
+  const agentNames = useMemo(() => Object.fromEntries(agents.map((a) => [a.id, a.name])), [agents]);
+  const shownEvents = useMemo(() => (fleetAll ? fleetEvents(fleetRun) : runEvents(run)), [fleetAll, fleetRun, run]);
   const activeEvents = useMemo(() => {
-    const events = Array.isArray(run?.events) ? run.events : [];
-    const out = events
+    const out = shownEvents
+      .filter((e) => !e?.derived)
       .map((e) => ({
         t: Number(e.t),
         type: String(e.type || ""),
         detail: String(e.detail || ""),
+        agent: fleetAll && e.agent != null ? agentNames[e.agent] || String(e.agent) : "",
         active: Number(e.t) <= t
       }))
       .filter((e) => Number.isFinite(e.t) && e.type)
       .sort((a, b) => a.t - b.t);
     return out;
-  }, [run, t]);
+  }, [shownEvents, fleetAll, agentNames, t]);
+
+  // Recorded events placed at the interpolated pose; compare events too when comparing.
+  const samplesA = useMemo(() => samples(runFrames(run)), [run]);
+  // Fleet runs: every robot's samples, for drawing them all and placing their events.
+  const agentSamples = useMemo(() => agents.map((a) => ({ ...a, samples: samples(a.frames) })), [agents]);
+  const samplesB = useMemo(() => samples(runFrames(compareRun)), [compareRun]);
+  // Every visible compare run, for the canvas overlay.
+  const overlayRuns = useMemo(
+    () =>
+      compareIds
+        .map((id, i) => ({ id, i, run: zonedCompareRuns[id] }))
+        .filter((o) => o.run && o.id !== loadedRunId && !hiddenCompare.includes(o.id))
+        .map((o) => ({ ...o, color: compareColor(o.i), samples: samples(runFrames(o.run)) })),
+    [compareIds, zonedCompareRuns, hiddenCompare, loadedRunId]
+  );
+  // Primary plus every compare run, hidden ones included, for the results matrix.
+  const matrixRuns = useMemo(() => {
+    if (!run) return [];
+    const label = (id, r) => index?.runs?.find((x) => x.id === id)?.label || r?.meta?.label || id;
+    return [{ id: loadedRunId || "primary", label: label(loadedRunId, run), run: scoredRun }].concat(
+      compareIds
+        .map((id, i) => ({ id, label: label(id, compareRuns[id]), run: zonedCompareRuns[id], color: compareColor(i) }))
+        .filter((r) => r.run && r.id !== loadedRunId)
+    );
+  }, [run, scoredRun, loadedRunId, compareIds, compareRuns, zonedCompareRuns, index]);
+  const eventMarks = useMemo(() => {
+    // `s` is a function of the event for fleets: each event sits on its robot (the first one it names).
+    const place = (events, s, source) =>
+      events
+        .map((e) => ({
+          t: Number(e?.t),
+          type: String(e?.type || ""),
+          detail: String(e?.detail || ""),
+          source,
+          s: typeof s === "function" ? s(e) : s
+        }))
+        .filter((e) => Number.isFinite(e.t) && e.type && e.s)
+        .map(({ s: es, ...e }) => ({ ...e, pose: poseAt(es, e.t) }))
+        .filter((e) => e.pose);
+    const bySample = (e) =>
+      agentSamples.find((a) => a.id === String(e?.agent ?? e?.agents?.[0]))?.samples || null;
+    const out = fleetAll ? place(shownEvents, bySample, "primary") : place(runEvents(run), samplesA, "primary");
+    return compareRunId && compareRun ? place(runEvents(compareRun), samplesB, "compare").concat(out) : out;
+  }, [run, fleetAll, shownEvents, agentSamples, compareRun, compareRunId, samplesA, samplesB]);
+
+  const similarity = useMemo(() => {
+    if (!compareRunId || !compareRun) return null;
+    const sim = compareTrajectories(samplesA, samplesB, { align: alignMode });
+    if (!sim) return null;
+    // A route change worth calling out: Fréchet over 0.5 m and over 10% of the primary path length.
+    return { ...sim, routeChanged: sim.frechet > Math.max(0.5, 0.1 * pathLength(samplesA)) };
+  }, [compareRunId, compareRun, samplesA, samplesB, alignMode]);
+
+  // Events recomputed from frames, with this scenario's thresholds
+  // Per robot: with the whole fleet shown, there is nothing to compare against.
+  const derivedEvents = useMemo(
+    () => (run && !fleetAll ? deriveEvents(run, scenario.derive) : []),
+    [run, fleetAll, scenario]
+  );
+  const mismatches = useMemo(
+    () => (run && !fleetAll ? findMismatches(run, derivedEvents) : []),
+    [run, fleetAll, derivedEvents]
+  );
+  const derivedList = useMemo(
+    () =>
+      shownEvents
+        .filter((e) => e?.derived)
+        .concat(derivedEvents)
+        .map((e) => ({
+          t: Number(e.t),
+          type: String(e.type || ""),
+          detail: String(e.detail || ""),
+          agent: fleetAll && e.agent != null ? agentNames[e.agent] || String(e.agent) : ""
+        }))
+        .filter((e) => Number.isFinite(e.t) && e.type)
+        .sort((a, b) => a.t - b.t),
+    [shownEvents, derivedEvents, fleetAll, agentNames]
+  );
 
   // Playback loop
   useEffect(() => {
@@ -400,10 +832,10 @@ export default function App() {
 
     drawGrid(ctx, w, h);
 
-    const framesA = Array.isArray(run?.frames) ? run.frames : [];
-    const framesB = Array.isArray(compareRun?.frames) ? compareRun.frames : [];
+    const framesA = fleet ? agentSamples.flatMap((a) => a.frames) : runFrames(run);
+    const framesB = overlayRuns.flatMap((o) => runFrames(o.run));
 
-    const bounds = computeBounds(framesA.concat(framesB));
+    const bounds = computeBounds(framesA.concat(framesB), obstacleBounds(obstacles));
     const padPx = 26;
 
     const spanX = bounds.maxX - bounds.minX || 1;
@@ -413,83 +845,224 @@ export default function App() {
     const sy = (h - padPx * 2) / spanY;
     const s = Math.min(sx, sy);
 
-    const toCanvas = (p) => ({
-      x: padPx + (p.x - bounds.minX) * s,
-      y: h - (padPx + (p.y - bounds.minY) * s)
-    });
+    // World → canvas: fit to the paths, then the user's pan/zoom.
+    const mapView = {
+      k: s * view.zoom,
+      tx: (padPx - bounds.minX * s) * view.zoom + view.panX,
+      ty: (h - padPx + bounds.minY * s) * view.zoom + view.panY
+    };
+    const toCanvas = (p) => ({ x: mapView.tx + p.x * mapView.k, y: mapView.ty - p.y * mapView.k });
+    mapViewRef.current = mapView;
+
+    if (storedMap?.id === mapId) drawOccupancy(ctx, storedMap.map, storedMap.image, mapView);
+    drawObstacles(ctx, obstacles, toCanvas);
+    drawZones(ctx, zones, toCanvas);
+    drawZoneSketch(ctx, zoneSketch?.points, toCanvas);
+    drawMission(ctx, missionPlan, mission, mapView);
+
+    const overlays = { heading: showHeading, velocity: showVelocity };
+
+    if (showDivergence && similarity) drawDivergence(ctx, similarity, toCanvas);
 
-    // Compare path behind (red)
-    let lastB = null;
-    if (compareRunId && compareRun) {
-      lastB = drawPath(ctx, framesB, t, toCanvas, {
-        strokeStyle: "rgba(239,68,68,0.85)",
+    // Compare paths behind, each in its own colour; the focused one thicker
+    for (const o of overlayRuns) {
+      const pose = drawPath(ctx, o.samples, t, toCanvas, {
+        strokeStyle: o.color,
+        lineWidth: o.id === compareRunId ? 2.5 : 1.5,
+        alpha: o.id === compareRunId ? 0.9 : 0.7
+      });
+      drawRobot(ctx, pose, robotFootprint(o.run.meta), mapView, { color: o.color, ...overlays });
+    }
+
+    // Fleet: every robot in its colour, the one picked thicker and the others faded
+    for (const a of agentSamples) {
+      const picked = !agentId || a.id === agentId;
+      const pose = drawPath(ctx, a.samples, t, toCanvas, {
+        strokeStyle: a.color,
+        lineWidth: a.id === agentId ? 2.5 : 1.5,
+        alpha: picked ? 0.9 : 0.45
+      });
+      drawRobot(ctx, pose, robotFootprint({ ...loadedRun?.meta, ...a.meta }), mapView, { color: a.color, ...overlays });
+    }
+
+    // Primary path (white)
+    if (!fleet) {
+      const poseA = drawPath(ctx, samplesA, t, toCanvas, {
+        strokeStyle: "rgba(255,255,255,0.85)",
         lineWidth: 2,
         alpha: 1
       });
-      drawDot(ctx, lastB, toCanvas, { fillStyle: "rgba(239,68,68,0.9)", r: 5 });
+      drawRobot(ctx, poseA, robotFootprint(run?.meta), mapView, { color: "rgba(255,255,255,0.9)", ...overlays });
     }
 
-    // Primary path (white)
-    const lastA = drawPath(ctx, framesA, t, toCanvas, {
-      strokeStyle: "rgba(255,255,255,0.85)",
-      lineWidth: 2,
-      alpha: 1
+    // Events on top; ones still ahead of the playhead are faded.
+    markRef.current = eventMarks.map((m) => {
+      const c = toCanvas(m.pose);
+      drawEventGlyph(ctx, m.type, c.x, c.y, {
+        color: m.source === "compare" ? focusColor : undefined,
+        alpha: m.t <= t ? 1 : 0.35,
+        highlight: hover?.mark === m
+      });
+      return { mark: m, x: c.x, y: c.y };
     });
-    drawDot(ctx, lastA, toCanvas, { fillStyle: "rgba(255,255,255,0.9)", r: 5 });
-  }, [run, compareRun, compareRunId, t]);
+  }, [
+    run,
+    loadedRun,
+    fleet,
+    agentId,
+    agentSamples,
+    compareRunId,
+    focusColor,
+    overlayRuns,
+    samplesA,
+    t,
+    obstacles,
+    zones,
+    zoneSketch,
+    missionPlan,
+    mission,
+    storedMap,
+    mapId,
+    view,
+    eventMarks,
+    hover,
+    showHeading,
+    showVelocity,
+    showDivergence,
+    similarity
+  ]);
+
+  // Wheel zooms about the cursor. Attached by hand: React's onWheel is passive and can't preventDefault.
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const rect = canvas.getBoundingClientRect();
+      const cx = ((e.clientX - rect.left) * canvas.width) / rect.width;
+      const cy = ((e.clientY - rect.top) * canvas.height) / rect.height;
+      setView((v) => {
+        const zoom = clamp(v.zoom * Math.exp(-e.deltaY * 0.0015), 0.2, 80);
+        const f = zoom / v.zoom;
+        return { zoom, panX: cx - (cx - v.panX) * f, panY: cy - (cy - v.panY) * f };
+      });
+    };
+    canvas.addEventListener("wheel", onWheel, { passive: false });
+    return () => canvas.removeEventListener("wheel", onWheel);
+  }, []);
+
+  function startPan(e) {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: e.clientX, y: e.clientY, moved: 0 };
+  }
+
+  // Nearest event glyph within a few pixels of the pointer, with its position in CSS px.
+  function markAt(e) {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const ratio = canvas.width / rect.width;
+    const x = (e.clientX - rect.left) * ratio;
+    const y = (e.clientY - rect.top) * ratio;
+    let best = null;
+    for (const m of markRef.current) {
+      const d = Math.hypot(m.x - x, m.y - y);
+      if (d <= 10 && (!best || d < best.d)) best = { d, mark: m.mark, left: m.x / ratio, top: m.y / ratio };
+    }
+    return best;
+  }
+
+  function movePan(e) {
+    const last = dragRef.current;
+    if (!last) {
+      const hit = markAt(e);
+      setHover((h) => (hit?.mark === h?.mark ? h : hit));
+      return;
+    }
+    const canvas = e.currentTarget;
+    const ratio = canvas.width / canvas.getBoundingClientRect().width;
+    const dx = (e.clientX - last.x) * ratio;
+    const dy = (e.clientY - last.y) * ratio;
+    dragRef.current = { x: e.clientX, y: e.clientY, moved: last.moved + Math.hypot(dx, dy) };
+    setView((v) => ({ ...v, panX: v.panX + dx, panY: v.panY + dy }));
+  }
+
+  // A press that didn't drag is a click: a zone corner while drawing, else seek to the event under it.
+  function endPan(e) {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.moved > 4 || e.type !== "pointerup") return;
+    if (zoneSketch) return addZonePoint(e);
+    const hit = markAt(e);
+    if (hit) seekTo(hit.mark.t);
+  }
 
   // Diagnose (LLM)
   async function diagnoseLLM() {
     if (!run) return;
-    setDiagText("Thinking…");
-
-    const runSummary = buildRunSummary(run);
-    const compareSummary = compareRun ? buildRunSummary(compareRun) : null;
+    setDiag({});
+    setDiagText("");
+    setDiagStatus("Starting…");
+
+    // A picked range narrows both runs to the same stretch of time.
+    const range = diagRange ? { t0: diagRange.t0, t1: diagRange.t1 } : null;
+    const part = (r) =>
+      range ? { ...buildRunSummary(sliceRun(r, range.t0, range.t1)), window: range } : buildRunSummary(r);
+    // A fleet is diagnosed as a whole, or just the robot picked.
+    const runSummary = part(fleetAll ? fleetRun : run);
+    const compareSummary = compareRun ? part(compareRun) : null;
+
+    const body = {
+      scenarioKey: scenario.key,
+      runSummary,
+      agent: fleet && !fleetAll ? agentId : undefined,
+      compareSummary,
+      provider: providerName || undefined,
+      runId: loadedRunId,
+      compareRunId: compareRun ? compareRunId : undefined,
+      range: range || undefined,
+      refresh: forceRefresh
+    };
 
     try {
-      const resp = await fetch("/api/diagnose", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          scenarioKey,
-          runSummary,
-          compareSummary
-        })
+      await streamDiagnosis(body, (event, data) => {
+        if (event === "progress") setDiagStatus(data.message);
+        else if (event === "section") setDiag((d) => ({ ...d, [data.name]: data.value }));
+        else if (event === "result") {
+          setDiag(data);
+          setDiagStatus("");
+          if (!data.cached) setHistoryVersion((v) => v + 1);
+        } else if (event === "error") {
+          setDiag(null);
+          setDiagText("Backend error: " + (data.details || data.error));
+        }
       });
-
-      const data = await resp.json();
-      if (!resp.ok) {
-        setDiagText("Backend error: " + (data?.error || resp.status));
-        return;
-      }
-
-      const pretty =
-        "VERDICT: " +
-        data.verdict +
-        " (conf " +
-        Number(data.confidence).toFixed(2) +
-        ")\n\n" +
-        data.operator_summary +
-        "\n\n" +
-        "ROOT CAUSES:\n- " +
-        (data.root_causes || []).join("\n- ") +
-        "\n\n" +
-        "EVIDENCE:\n- " +
-        (data.evidence || [])
-          .map((e) => `[${Number(e.t).toFixed(1)}s] ${e.type}: ${e.why_it_matters}`)
-          .join("\n- ") +
-        "\n\n" +
-        "RECOMMENDATIONS:\n- " +
-        (data.recommendations || []).join("\n- ") +
-        "\n\n" +
-        "NEXT TESTS:\n- " +
-        (data.next_tests || []).join("\n- ") +
-        (data.compare_insights ? "\n\nCOMPARE:\n" + data.compare_insights : "");
-
-      setDiagText(pretty);
     } catch (e) {
+      setDiag(null);
       setDiagText("Request failed: " + String(e));
     }
+    setDiagStatus("");
+  }
+
+  // Fleet runs: focus one robot, or the whole fleet with "".
+  function pickAgent(id) {
+    setAgentId(id);
+    setDiagRange(null);
+  }
+
+  function seekTo(time) {
+    setPlaying(false);
+    setFollowing(false);
+    setT(clamp(time, 0, maxT));
+  }
+
+  function showDiagnosis(report) {
+    setDiagText("");
+    setDiag(report);
+  }
+
+  function showText(text) {
+    setDiag(null);
+    setDiagText(text);
   }
 
   return (
@@ -527,31 +1100,127 @@ export default function App() {
           </div>
 
           <div className="panelBody">
+            {liveSessions.length ? (
+              <div className="runs">
+                {liveSessions.map((s) => (
+                  <div
+                    key={s.id}
+                    className={"runCard live " + (s.id === liveId ? "active" : "")}
+                    onClick={() => watchLive(s.id)}
+                  >
+                    <div className="runCardHead">
+                      <div className="runTitle">
+                        <span className="liveDot" /> {s.label}
+                      </div>
+                    </div>
+                    <div className="runMeta">
+                      live • {Number(s.last_t).toFixed(1)}s • {s.frame_count} frames • {s.event_count} events
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : null}
+            {liveStatus ? <div className="muted liveStatus">{liveStatus}</div> : null}
+
             <div className="runs">
               {(index?.runs || []).map((r) => (
                 <div
                   key={r.id}
-                  className={"runCard " + (r.id === runId ? "active" : "")}
-                  onClick={() => setRunId(r.id)}
+                  className={"runCard " + (!liveId && r.id === runId ? "active" : "")}
+                  onClick={() => {
+                    setLiveId("");
+                    setRunId(r.id);
+                  }}
                 >
-                  <div className="runTitle">{r.label}</div>
-                  <div className="runMeta">{r.file}</div>
+                  <div className="runCardHead">
+                    <div className="runTitle">{r.label}</div>
+                    <button
+                      className="iconBtn"
+                      title="Delete run"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        removeRun(r.id);
+                      }}
+                    >
+                      ×
+                    </button>
+                  </div>
+                  <div className="runMeta">
+                    {r.id}
+                    {r.agent_count ? ` • ${r.agent_count} robots` : ""}
+                    {r.uploaded_at ? " • " + fmtUploaded(r.uploaded_at) : ""}
+                  </div>
+                  {r.tags?.length ? (
+                    <div className="tags">
+                      {r.tags.map((tag) => (
+                        <span key={tag} className="tag">
+                          {tag}
+                        </span>
+                      ))}
+                    </div>
+                  ) : null}
                 </div>
               ))}
+              {index && !index.runs?.length ? (
+                <div className="muted" style={{ fontSize: 12 }}>
+                  No runs stored yet. Upload one below.
+                </div>
+              ) : null}
             </div>
 
+            <RunUpload onUploaded={selectNewRun} />
+            <TableImport onImported={selectNewRun} />
+            <MapUpload
+              onUploaded={async (record) => {
+                await refreshMaps();
+                setMapChoice(record.id);
+              }}
+            />
+            <ZoneEditor
+              mapId={mapId}
+              storedZones={storedZones}
+              runZones={runZones}
+              drafts={draftZones}
+              onDrafts={setDraftZones}
+              drawing={Boolean(zoneSketch)}
+              onDraw={(spec) => setZoneSketch({ spec, points: [] })}
+              onFinish={finishZone}
+              onCancel={() => setZoneSketch(null)}
+              onSaved={async (id) => {
+                await refreshMaps();
+                if (id !== mapId) setMapChoice(id);
+                setMapVersion((v) => v + 1);
+              }}
+            />
+
             <div className="divider" />
 
             <div className="sectionTitle">Scenario</div>
-            <select
-              className="select"
-              value={scenarioKey}
-              onChange={(e) => setScenarioKey(e.target.value)}
-            >
-              <option value="warehouse">Warehouse robot</option>
-              <option value="delivery">Delivery bot (ground)</option>
-              <option value="sar">Search & rescue</option>
-            </select>
+            <div className="mapRow">
+              <select
+                className="select"
+                value={scenario.key}
+                onChange={(e) => setScenarioKey(e.target.value)}
+              >
+                {Object.values(scenarios).map((sc) => (
+                  <option key={sc.key} value={sc.key}>
+                    {sc.name}
+                  </option>
+                ))}
+              </select>
+              <button className="btn ghost" onClick={() => setEditingScenario((v) => !v)}>
+                {editingScenario ? "Close" : "Edit"}
+              </button>
+            </div>
+
+            {editingScenario ? (
+              <ScenarioEditor
+                key={scenario.key}
+                scenario={scenario}
+                onSaved={scenarioSaved}
+                onDeleted={scenarioDeleted}
+              />
+            ) : null}
 
             <div className="statusRow">
               <div className="statusPill">
@@ -563,26 +1232,59 @@ export default function App() {
                 />
                 <b>{primary ? primary.status : "—"}</b>
               </div>
-              <div className="statusText">{SCENARIOS[scenarioKey]?.blurb || ""}</div>
+              <div className="statusText">
+                {scenario.blurb}
+                {primary?.breaches.length
+                  ? " Limit exceeded: " +
+                    primary.breaches.map((b) => `${b.count} ${b.value} > ${b.limit}`).join(", ") +
+                    "."
+                  : ""}
+              </div>
             </div>
+            {primary?.violations.length ? (
+              <div className="ruleList">
+                {primary.violations.map((v, i) => (
+                  <div key={i} className={"ruleRow " + v.severity}>
+                    {v.t != null ? (
+                      <button className="linkBtn mono" onClick={() => seekTo(v.t)}>
+                        {v.message}
+                      </button>
+                    ) : (
+                      <span className="mono">{v.message}</span>
+                    )}
+                  </div>
+                ))}
+              </div>
+            ) : null}
+
+            {fleet ? (
+              <FleetCard fleet={fleetScore} agents={agents} agentId={agentId} onPick={pickAgent} />
+            ) : null}
+
+            {mission ? <MissionCard mission={mission} onSeek={seekTo} /> : null}
+
+            <BaselineCard
+              scenario={scenario}
+              run={scoredRun}
+              runId={loadedRunId}
+              runs={index?.runs || []}
+              version={baselineVersion}
+              onChanged={() => setBaselineVersion((v) => v + 1)}
+            />
 
             <div className="divider" />
 
             <div className="sectionTitle">Compare to</div>
-            <select
-              className="select"
-              value={compareRunId}
-              onChange={(e) => setCompareRunId(e.target.value)}
-            >
-              <option value="">None</option>
-              {(index?.runs || [])
-                .filter((r) => r.id !== runId)
-                .map((r) => (
-                  <option key={r.id} value={r.id}>
-                    {r.label}
-                  </option>
-                ))}
-            </select>
+            <CompareRuns
+              runs={(index?.runs || []).filter((r) => r.id !== loadedRunId)}
+              ids={compareIds}
+              hidden={hiddenCompare}
+              focusId={compareRunId}
+              onAdd={addCompare}
+              onRemove={dropCompare}
+              onToggle={toggleCompare}
+              onFocus={focusCompare}
+            />
 
             <div className="compareCard">
               <div className="compareTitle">Comparison</div>
@@ -620,24 +1322,121 @@ export default function App() {
                     </div>
                   </div>
 
+                  {similarity ? (
+                    <>
+                      <div className="compareSub">Path similarity</div>
+                      <div className="kv">
+                        <div>Fréchet distance</div>
+                        <div className="mono">{similarity.frechet.toFixed(2)}m</div>
+                      </div>
+                      <div className="kv">
+                        <div>DTW (mean per match)</div>
+                        <div className="mono">{similarity.dtw_mean.toFixed(2)}m</div>
+                      </div>
+                      <div className="kv">
+                        <div>
+                          Lateral dev. by{" "}
+                          <select
+                            className="select inlineSelect"
+                            value={alignMode}
+                            onChange={(e) => setAlignMode(e.target.value)}
+                          >
+                            <option value="arc">arc length</option>
+                            <option value="time">time</option>
+                          </select>
+                        </div>
+                        <div className="mono">
+                          {similarity.lateral.mean == null
+                            ? "no overlap"
+                            : `${similarity.lateral.mean.toFixed(2)} / ${similarity.lateral.max.toFixed(2)}m`}
+                        </div>
+                      </div>
+                      <div className="kv">
+                        <div>Max divergence</div>
+                        <button className="linkBtn mono" onClick={() => seekTo(similarity.max_divergence.t)}>
+                          {similarity.max_divergence.d.toFixed(2)}m @ {similarity.max_divergence.t.toFixed(1)}s
+                        </button>
+                      </div>
+                      <label className="checkRow muted">
+                        <input
+                          type="checkbox"
+                          checked={showDivergence}
+                          onChange={(e) => setShowDivergence(e.target.checked)}
+                        />
+                        Divergence heatmap on the replay
+                      </label>
+                    </>
+                  ) : null}
+
                   <div className="muted" style={{ fontSize: 12, marginTop: 6 }}>
                     {deltas.equal
                       ? "Same scenario score. Compare event timing and path behavior."
                       : deltas.better
                       ? "Compare run looks better under this scenario policy (lower score)."
                       : "Compare run looks worse under this scenario policy (higher score)."}
+                    {similarity?.routeChanged
+                      ? ` It also takes a different route (Fréchet ${similarity.frechet.toFixed(2)}m), ` +
+                        "so the event counts don't compare like for like."
+                      : ""}
                   </div>
                 </>
               )}
             </div>
 
-            <button className="btn" disabled={!run} onClick={diagnoseLLM}>
-              Diagnose Run (AI)
-            </button>
+            <GroupComparison
+              runs={index?.runs || []}
+              primaryId={loadedRunId}
+              compareId={compareRunId}
+              scenario={scenario}
+            />
 
-            <div className="diagBox mono">
-              {diagText || "Click Diagnose Run to generate an AI diagnosis."}
+            <div className="mapRow">
+              <select
+                className="select"
+                value={providerName}
+                onChange={(e) => setProviderName(e.target.value)}
+                disabled={!providers.length}
+              >
+                {providers.map((p) => (
+                  <option key={p.name} value={p.name} disabled={!p.available}>
+                    {p.label}
+                    {p.name === "rules" ? "" : ` • ${p.model}`}
+                    {p.available ? "" : " (not configured)"}
+                  </option>
+                ))}
+              </select>
+              <button className="btn" disabled={!run} onClick={diagnoseLLM}>
+                Diagnose
+              </button>
             </div>
+
+            <label className="checkRow muted">
+              <input type="checkbox" checked={forceRefresh} onChange={(e) => setForceRefresh(e.target.checked)} />
+              Force refresh (ignore cached diagnosis)
+            </label>
+            {diagRange ? (
+              <div className="diagRange muted">
+                Diagnosing {diagRange.label} ({diagRange.t0}–{diagRange.t1}s) only.{" "}
+                <button className="linkBtn" onClick={() => setDiagRange(null)}>
+                  Whole run
+                </button>
+              </div>
+            ) : null}
+
+            {diag && !diagText ? (
+              <div className="diagBox">
+                <DiagnosisReport report={diag} status={diagStatus} onSeek={seekTo} />
+              </div>
+            ) : (
+              <div className="diagBox mono">{diagText || "Pick a provider and click Diagnose."}</div>
+            )}
+
+            <DiagnosisHistory
+              runId={loadedRunId}
+              version={historyVersion}
+              onView={showDiagnosis}
+              onText={showText}
+            />
           </div>
         </aside>
 
@@ -645,30 +1444,85 @@ export default function App() {
         <section className="panel mainPanel">
           <div className="panelHead">
             <div className="panelTitle">Replay</div>
-            <div className="panelHint">Scrub timeline • Overlay compare run</div>
+            <div className="panelHint">Scrub timeline • Drag to pan, wheel to zoom, double-click to reset</div>
           </div>
 
           <div className="panelBody">
-            <canvas
-              ref={canvasRef}
-              width={900}
-              height={520}
-              style={{
-                width: "100%",
-                borderRadius: 14,
-                border: "1px solid var(--border)",
-                background: "rgba(255,255,255,0.02)"
-              }}
-            />
+            <div className="canvasWrap">
+              <canvas
+                ref={canvasRef}
+                className="replayCanvas"
+                width={900}
+                height={520}
+                onPointerDown={startPan}
+                onPointerMove={movePan}
+                onPointerUp={endPan}
+                onPointerCancel={endPan}
+                onPointerLeave={() => setHover(null)}
+                onDoubleClick={() => (zoneSketch ? finishZone() : setView(DEFAULT_VIEW))}
+                style={{
+                  width: "100%",
+                  borderRadius: 14,
+                  border: "1px solid var(--border)",
+                  background: "rgba(255,255,255,0.02)",
+                  cursor: zoneSketch ? "crosshair" : hover ? "pointer" : undefined
+                }}
+              />
+              {hover ? (
+                <div className="canvasTip" style={{ left: hover.left, top: hover.top }}>
+                  <span className="mono">{hover.mark.t.toFixed(1)}s</span> <b>{hover.mark.type}</b>
+                  {hover.mark.source === "compare" ? " (compare)" : ""}
+                  {hover.mark.detail ? <div className="muted">{hover.mark.detail}</div> : null}
+                </div>
+              ) : null}
+            </div>
 
             <div className="controls">
-              <button className="btn ghost" disabled={!run} onClick={() => setPlaying(true)}>
+              <button
+                className="btn ghost"
+                disabled={!run}
+                onClick={() => {
+                  setT(t);
+                  setFollowing(false);
+                  setPlaying(true);
+                }}
+              >
                 Play
               </button>
               <button className="btn ghost" disabled={!playing} onClick={() => setPlaying(false)}>
                 Pause
               </button>
+              {liveId ? (
+                <button className="btn ghost" disabled={following} onClick={() => setFollowing(true)}>
+                  Follow live
+                </button>
+              ) : null}
               <div className="spacer" />
+              <div className="smallLabel">Map</div>
+              <select
+                className="select smallSelect"
+                value={mapChoice}
+                onChange={(e) => setMapChoice(e.target.value)}
+              >
+                <option value="">{runMap.id || runMap.obstacles.length ? "Run's map" : "Run's map (none)"}</option>
+                <option value="none">No map</option>
+                {maps.map((m) => (
+                  <option key={m.id} value={m.id}>
+                    {m.name}
+                  </option>
+                ))}
+              </select>
+              <button className="btn ghost" disabled={view === DEFAULT_VIEW} onClick={() => setView(DEFAULT_VIEW)}>
+                Reset view
+              </button>
+              <label className="checkRow muted">
+                <input type="checkbox" checked={showHeading} onChange={(e) => setShowHeading(e.target.checked)} />
+                Heading
+              </label>
+              <label className="checkRow muted">
+                <input type="checkbox" checked={showVelocity} onChange={(e) => setShowVelocity(e.target.checked)} />
+                Velocity
+              </label>
               <div className="smallLabel">Speed</div>
               <select
                 className="select smallSelect"
@@ -682,6 +1536,24 @@ export default function App() {
               </select>
             </div>
 
+            <div className="eventTicks">
+              {maxT > 0
+                ? eventMarks
+                    .filter((m) => m.t <= maxT)
+                    .map((m, i) => (
+                      <button
+                        key={i}
+                        className={"eventTick " + m.source}
+                        style={{
+                          left: `${(m.t / maxT) * 100}%`,
+                          background: m.source === "compare" ? focusColor : eventStyle(m.type).color
+                        }}
+                        title={`${m.t.toFixed(1)}s ${m.type}${m.detail ? " — " + m.detail : ""}`}
+                        onClick={() => seekTo(m.t)}
+                      />
+                    ))
+                : null}
+            </div>
             <input
               className="range"
               type="range"
@@ -690,12 +1562,57 @@ export default function App() {
               value={clamp(sliderValue, 0, sliderSteps)}
               onChange={(e) => {
                 const v = Number(e.target.value) / 10;
+                setFollowing(false);
                 setT(clamp(v, 0, maxT));
               }}
             />
+            {fleetAll ? null : (
+              <ScoreTimeline
+                run={run}
+                scenario={scenario}
+                maxT={maxT}
+                live={Boolean(liveId)}
+                range={diagRange}
+                onSeek={seekTo}
+                onRange={setDiagRange}
+              />
+            )}
             <div className="timeLine">
               Time: <span className="mono">{t.toFixed(1)}s</span>
+              <span className="legend">
+                {Object.entries(EVENT_STYLES).map(([type, st]) => (
+                  <span key={type} className={"legendItem " + st.shape} style={{ "--c": st.color }}>
+                    {st.label}
+                  </span>
+                ))}
+              </span>
             </div>
+
+            {fleetAll ? (
+              <div className="muted fleetHint">Pick a robot for its score over time and signals.</div>
+            ) : (
+              <SignalCharts
+                run={run}
+                compareRun={compareRun}
+                compareColor={focusColor}
+                t={t}
+                maxT={maxT}
+                marks={eventMarks}
+                onSeek={seekTo}
+              />
+            )}
+
+            <ResultsMatrix runs={matrixRuns} scenarios={scenarios} />
+
+            <TrendChart
+              scenarioKey={scenario.key}
+              runs={index?.runs}
+              version={baselineVersion}
+              onOpen={(id) => {
+                setLiveId("");
+                setRunId(id);
+              }}
+            />
           </div>
         </section>
 
@@ -703,10 +1620,22 @@ export default function App() {
         <aside className="panel">
           <div className="panelHead">
             <div className="panelTitle">Events</div>
-            <div className="panelHint">Timeline highlights</div>
+            {fleet ? (
+              <select className="select agentSelect" value={agentId} onChange={(e) => pickAgent(e.target.value)}>
+                <option value="">All robots</option>
+                {agents.map((a) => (
+                  <option key={a.id} value={a.id}>
+                    {a.name}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <div className="panelHint">Timeline highlights</div>
+            )}
           </div>
 
           <div className="panelBody">
+            <div className="sectionTitle">Recorded</div>
             {activeEvents.length === 0 ? (
               <div className="muted" style={{ fontSize: 12 }}>
                 No events in this run.
@@ -716,11 +1645,48 @@ export default function App() {
                 <div key={i} className={"event " + (e.active ? "activeEvt" : "")}>
                   <div className="mono">{Number(e.t).toFixed(1)}s</div>
                   <div>
+                    {e.agent ? <span className="agentTag">{e.agent}</span> : null}
                     <b>{e.type}</b> <span className="muted">{e.detail}</span>
                   </div>
                 </div>
               ))
             )}
+
+            <div className="divider" />
+
+            <div className="sectionTitle">Derived from frames</div>
+            {derivedList.length === 0 ? (
+              <div className="muted" style={{ fontSize: 12 }}>
+                {fleetAll ? (
+                  "Pick a robot to check its frames."
+                ) : (
+                  <>Nothing detected with this scenario&apos;s thresholds.</>
+                )}
+              </div>
+            ) : (
+              derivedList.map((e, i) => (
+                <div key={i} className={"event derivedEvt " + (e.t <= t ? "activeEvt" : "")}>
+                  <div className="mono">{Number(e.t).toFixed(1)}s</div>
+                  <div>
+                    {e.agent ? <span className="agentTag">{e.agent}</span> : null}
+                    <b>{e.type}</b> <span className="muted">{e.detail}</span>
+                  </div>
+                </div>
+              ))
+            )}
+
+            {mismatches.length ? (
+              <>
+                <div className="divider" />
+                <div className="sectionTitle">Mismatches</div>
+                {mismatches.map((m, i) => (
+                  <div key={i} className="event mismatch">
+                    <div className="mono">{m.t != null ? Number(m.t).toFixed(1) + "s" : m.kind.replace(/_/g, " ")}</div>
+                    <div className="muted">{m.detail}</div>
+                  </div>
+                ))}
+              </>
+            ) : null}
           </div>
         </aside>
       </main>
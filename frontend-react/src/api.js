@@ -0,0 +1,116 @@
+/* -------------------------------------------------------
+   Backend API helpers (proxied to the Express server by Vite)
+------------------------------------------------------- */
+async function request(method, url, body) {
+  const resp = await fetch(url, {
+    method,
+    headers: body !== undefined ? { "Content-Type": "application/json" } : undefined,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  if (resp.status === 204) return null;
+
+  const data = await resp.json().catch(() => null);
+  if (!resp.ok) {
+    const err = new Error(data?.details || data?.error || `HTTP ${resp.status}`);
+    err.status = resp.status;
+    err.data = data;
+    throw err;
+  }
+  return data;
+}
+
+export const listRuns = () => request("GET", "/api/runs");
+export const getRun = (id) => request("GET", `/api/runs/${encodeURIComponent(id)}`);
+// Sending the raw file text lets the server read Python-style NaN tokens.
+export const uploadRunText = (text, { label, tags } = {}) => request("POST", "/api/runs", { text, label, tags });
+export const validateRunText = (text) => request("POST", "/api/runs/validate", { text });
+export const deleteRun = (id) => request("DELETE", `/api/runs/${encodeURIComponent(id)}`);
+
+export const previewTable = (text) => request("POST", "/api/import/table/preview", { text });
+export const importTable = (body) => request("POST", "/api/import/table", body);
+export const listImportProfiles = () => request("GET", "/api/import/profiles");
+
+export const listScenarios = () => request("GET", "/api/scenarios");
+export const createScenario = (body) => request("POST", "/api/scenarios", body);
+export const saveScenario = (key, body) => request("PUT", `/api/scenarios/${encodeURIComponent(key)}`, body);
+export const deleteScenario = (key) => request("DELETE", `/api/scenarios/${encodeURIComponent(key)}`);
+
+export const getBaseline = (scenario) => request("GET", `/api/baselines/${encodeURIComponent(scenario)}`);
+export const setBaseline = (scenario, body) =>
+  request("PUT", `/api/baselines/${encodeURIComponent(scenario)}`, body);
+export const clearBaseline = (scenario) => request("DELETE", `/api/baselines/${encodeURIComponent(scenario)}`);
+export const getTrend = (scenario) => request("GET", `/api/baselines/${encodeURIComponent(scenario)}/trend`);
+
+export const listDiagnosisProviders = () => request("GET", "/api/diagnose/providers");
+
+/**
+ * POST /api/diagnose as Server-Sent Events. Calls onEvent(event, data) for each
+ * progress / section / result / error message until the stream ends.
+ */
+export async function streamDiagnosis(body, onEvent) {
+  const resp = await fetch("/api/diagnose?stream=1", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "text/event-stream" },
+    body: JSON.stringify(body)
+  });
+  if (!resp.ok || !resp.body) throw new Error(`HTTP ${resp.status}`);
+
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    let end;
+    while ((end = buf.indexOf("\n\n")) >= 0) {
+      const block = buf.slice(0, end);
+      buf = buf.slice(end + 2);
+      let event = "message";
+      let data = "";
+      for (const line of block.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+export const listDiagnoses = ({ run, scenario, provider } = {}) => {
+  const q = new URLSearchParams(Object.entries({ run, scenario, provider }).filter(([, v]) => v));
+  return request("GET", `/api/diagnose/history?${q}`);
+};
+export const getDiagnosis = (id) => request("GET", `/api/diagnose/history/${encodeURIComponent(id)}`);
+
+export const listLiveRuns = () => request("GET", "/api/live");
+
+// Follows a live run: onMessage gets the snapshot, then frames/events/stats deltas, then end.
+export function watchLiveRun(id, onMessage) {
+  const proto = window.location.protocol === "https:" ? "wss:" : "ws:";
+  const ws = new WebSocket(`${proto}//${window.location.host}/api/live/watch/${encodeURIComponent(id)}`);
+  ws.onmessage = (e) => {
+    try {
+      onMessage(JSON.parse(e.data));
+    } catch {
+      // ignore malformed messages
+    }
+  };
+  ws.onclose = (e) => {
+    if (e.code !== 1000 && e.code !== 1005) onMessage({ type: "closed" });
+  };
+  return () => ws.close();
+}
+
+export const listMaps = () => request("GET", "/api/maps");
+export const getMap = (id) => request("GET", `/api/maps/${encodeURIComponent(id)}`);
+// Body: { name, yaml?, image? (base64 PGM), obstacles?, zones? }
+export const uploadMap = (body) => request("POST", "/api/maps", body);
+export const setMapZones = (id, zones) => request("PUT", `/api/maps/${encodeURIComponent(id)}/zones`, { zones });
+export const deleteMap = (id) => request("DELETE", `/api/maps/${encodeURIComponent(id)}`);
+
+export async function getMapGrid(id) {
+  const resp = await fetch(`/api/maps/${encodeURIComponent(id)}/grid`);
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  return new Uint8Array(await resp.arrayBuffer());
+}
@@ -0,0 +1,132 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { DEFAULT_TOLERANCE, checkRegression } from "../../../shared/baselines.js";
+import { groupOf, runMetrics, seedGroups } from "../../../shared/stats.js";
+import { clearBaseline, getBaseline, setBaseline } from "../api.js";
+
+/* -------------------------------------------------------
+   The scenario's baseline: set it from the primary run or
+   its seed group, tune the tolerances, and see whether the
+   primary run regresses against it.
+------------------------------------------------------- */
+const TOLERANCE_FIELDS = [
+  ["score", "Score"],
+  ["count", "Per count"],
+  ["duration_pct", "Duration %"]
+];
+
+export default function BaselineCard({ scenario, run, runId, runs, version, onChanged }) {
+  const [baseline, setBaselineState] = useState(null);
+  const [tolerance, setTolerance] = useState(DEFAULT_TOLERANCE);
+  const [msg, setMsg] = useState("");
+
+  useEffect(() => {
+    let dead = false;
+    getBaseline(scenario.key)
+      .then((b) => {
+        if (dead) return;
+        setBaselineState(b);
+        setTolerance(b.tolerance);
+      })
+      .catch(() => {
+        if (dead) return;
+        setBaselineState(null);
+        setTolerance(DEFAULT_TOLERANCE);
+      });
+    return () => {
+      dead = true;
+    };
+  }, [scenario.key, version]);
+
+  const group = useMemo(() => {
+    const key = groupOf(runs.find((r) => r.id === runId)).key;
+    return seedGroups(runs).find((g) => g.key === key && g.ids.length > 1) || null;
+  }, [runs, runId]);
+
+  const check = useMemo(() => {
+    if (!run || !baseline?.reference || baseline.run_ids.includes(runId)) return null;
+    return checkRegression(runMetrics(run, scenario), baseline.reference, baseline.tolerance);
+  }, [run, runId, baseline, scenario]);
+
+  async function act(action) {
+    setMsg("");
+    try {
+      await action();
+      onChanged();
+    } catch (e) {
+      setMsg(e?.message || String(e));
+    }
+  }
+
+  const save = (body) => act(() => setBaseline(scenario.key, body));
+
+  const label = (id) => runs.find((r) => r.id === id)?.label || id;
+
+  return (
+    <div className="compareCard">
+      <div className="compareTitle">Baseline for {scenario.name}</div>
+      {baseline ? (
+        <div className="kv">
+          <div>
+            {baseline.run_ids.length === 1 ? label(baseline.run_ids[0]) : baseline.label}
+            {baseline.missing.length ? ` (${baseline.missing.length} deleted)` : ""}
+          </div>
+          <div className="mono">
+            {baseline.reference ? `score ${Math.round(baseline.reference.score * 100) / 100}` : "no runs left"}
+            {baseline.run_ids.length > 1 ? ` • n=${baseline.reference?.n ?? 0}` : ""}
+          </div>
+        </div>
+      ) : (
+        <div className="muted" style={{ fontSize: 12 }}>
+          No baseline yet. New runs are checked against it once set.
+        </div>
+      )}
+
+      {check ? (
+        <div className={"baselineCheck " + (check.regression ? "bad" : "ok")}>
+          {check.regression ? "Regression: " + check.reasons.join(", ") + "." : "No regression against the baseline."}
+        </div>
+      ) : null}
+
+      <div className="baselineTol">
+        {TOLERANCE_FIELDS.map(([k, name]) => (
+          <label key={k} className="muted">
+            {name}
+            <input
+              className="select"
+              type="number"
+              min="0"
+              value={tolerance[k]}
+              onChange={(e) => setTolerance((t) => ({ ...t, [k]: e.target.value }))}
+            />
+          </label>
+        ))}
+      </div>
+
+      <div className="baselineActions">
+        <button className="btn ghost" disabled={!runId} onClick={() => save({ run_ids: [runId], tolerance })}>
+          Set primary
+        </button>
+        {group ? (
+          <button
+            className="btn ghost"
+            onClick={() => save({ run_ids: group.ids, label: group.label, tolerance })}
+            title={group.ids.map(label).join(", ")}
+          >
+            Set its group ({group.ids.length})
+          </button>
+        ) : null}
+        {baseline ? (
+          <>
+            <button className="btn ghost" onClick={() => save({ ...baseline, tolerance })}>
+              Save tolerance
+            </button>
+            <button className="btn ghost" onClick={() => act(() => clearBaseline(scenario.key))}>
+              Clear
+            </button>
+          </>
+        ) : null}
+      </div>
+      {msg ? <div className="muted uploadMsg">{msg}</div> : null}
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import React from "react";
+import { compareColor } from "../eventGlyphs.js";
+
+/* -------------------------------------------------------
+   Runs overlaid on the primary. Each keeps the colour of
+   the slot it was added in; untick to hide it, click the
+   name to make it the one deltas and charts compare to.
+------------------------------------------------------- */
+export default function CompareRuns({ runs, ids, hidden, focusId, onAdd, onRemove, onToggle, onFocus }) {
+  const labels = Object.fromEntries(runs.map((r) => [r.id, r.label]));
+  const addable = runs.filter((r) => !ids.includes(r.id));
+
+  return (
+    <div>
+      <div className="compareAdd">
+        <select
+          className="select"
+          value=""
+          onChange={(e) => e.target.value && onAdd([e.target.value])}
+          disabled={!addable.length}
+        >
+          <option value="">{addable.length ? "Add run…" : "All runs added"}</option>
+          {addable.map((r) => (
+            <option key={r.id} value={r.id}>
+              {r.label}
+            </option>
+          ))}
+        </select>
+        <button className="btn ghost" disabled={!addable.length} onClick={() => onAdd(addable.map((r) => r.id))}>
+          Add all
+        </button>
+      </div>
+      {ids
+        .map((id, i) => ({ id, i }))
+        .filter(({ id }) => labels[id] != null)
+        .map(({ id, i }) => (
+          <div key={id} className={"compareChip " + (id === focusId ? "focus" : "")}>
+            <input type="checkbox" checked={!hidden.includes(id)} onChange={() => onToggle(id)} />
+            <span className="swatch" style={{ background: compareColor(i) }} />
+            <button className="linkBtn" title="Compare deltas and charts to this run" onClick={() => onFocus(id)}>
+              {labels[id]}
+            </button>
+            <button className="iconBtn" title="Remove" onClick={() => onRemove(id)}>
+              ×
+            </button>
+          </div>
+        ))}
+    </div>
+  );
+}
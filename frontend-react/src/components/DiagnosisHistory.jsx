@@ -0,0 +1,78 @@
+import React, { useEffect, useState } from "react";
+import { getDiagnosis, listDiagnoses } from "../api.js";
+import { diffDiagnoses } from "../diagnosis.js";
+
+/* -------------------------------------------------------
+   Earlier diagnoses of the selected run: view one, or
+   tick two to diff them.
+------------------------------------------------------- */
+function fmtWhen(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return d.toLocaleString(undefined, { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+}
+
+export default function DiagnosisHistory({ runId, version, onView, onText }) {
+  const [items, setItems] = useState([]);
+  const [picked, setPicked] = useState([]);
+
+  useEffect(() => {
+    let dead = false;
+    if (!runId) return;
+    listDiagnoses({ run: runId })
+      .then((d) => {
+        if (dead) return;
+        setItems(d.diagnoses || []);
+        setPicked([]);
+      })
+      .catch(() => !dead && setItems([]));
+    return () => {
+      dead = true;
+    };
+  }, [runId, version]);
+
+  async function view(id) {
+    try {
+      const rec = await getDiagnosis(id);
+      onView({ ...rec.result, provider: rec.provider, model: rec.model, created_at: rec.created_at, cached: true });
+    } catch (e) {
+      onText("Could not load diagnosis: " + (e?.message || String(e)));
+    }
+  }
+
+  async function diff() {
+    try {
+      const recs = await Promise.all(picked.map(getDiagnosis));
+      recs.sort((a, b) => a.created_at.localeCompare(b.created_at));
+      onText(diffDiagnoses(recs[0], recs[1]));
+    } catch (e) {
+      onText("Could not load diagnoses: " + (e?.message || String(e)));
+    }
+  }
+
+  function toggle(id) {
+    setPicked((p) => (p.includes(id) ? p.filter((x) => x !== id) : p.concat(id).slice(-2)));
+  }
+
+  if (!items.length) return null;
+
+  return (
+    <div className="compareCard">
+      <div className="compareTitle">Diagnosis history</div>
+      {items.map((d) => (
+        <div key={d.id} className="histRow">
+          <input type="checkbox" checked={picked.includes(d.id)} onChange={() => toggle(d.id)} />
+          <button className="histBtn" onClick={() => view(d.id)} title={d.operator_summary}>
+            <b>{d.verdict}</b> {fmtWhen(d.created_at)} • {d.provider}
+            {d.controller ? ` • ${d.controller}` : ""}
+            {d.range ? ` • ${d.range.t0}–${d.range.t1}s` : ""}
+            {d.grounding_score != null ? ` • ${Math.round(d.grounding_score * 100)}%` : ""}
+          </button>
+        </div>
+      ))}
+      <button className="btn ghost" style={{ marginTop: 6 }} disabled={picked.length !== 2} onClick={diff}>
+        Diff selected
+      </button>
+    </div>
+  );
+}
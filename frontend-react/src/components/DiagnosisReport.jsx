@@ -0,0 +1,93 @@
+import React from "react";
+
+/* -------------------------------------------------------
+   Structured diagnosis report. Renders partial reports
+   too (sections arrive one by one while streaming).
+------------------------------------------------------- */
+const VERDICT_CLASS = { PASS: "pass", WARN: "warn", FAIL: "fail" };
+
+function fmtWhen(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "" : d.toLocaleString();
+}
+
+function List({ title, items }) {
+  if (!items?.length) return null;
+  return (
+    <div className="reportSection">
+      <div className="reportTitle">{title}</div>
+      <ul className="reportList">
+        {items.map((x, i) => (
+          <li key={i}>{x}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default function DiagnosisReport({ report, status, onSeek }) {
+  if (!report) return null;
+  const g = report.grounding;
+
+  return (
+    <div className="report">
+      <div className="reportHead">
+        {report.verdict ? (
+          <span className={"verdictBadge " + (VERDICT_CLASS[report.verdict] || "")}>{report.verdict}</span>
+        ) : null}
+        {report.confidence != null ? (
+          <span className="muted">conf {Number(report.confidence).toFixed(2)}</span>
+        ) : null}
+        {g ? (
+          <span className="muted" title={`${g.held}/${g.checked} claims checked out`}>
+            grounded {Math.round(g.score * 100)}%
+          </span>
+        ) : null}
+      </div>
+
+      {status ? <div className="muted reportStatus">{status}</div> : null}
+      {report.operator_summary ? <div className="reportSummary">{report.operator_summary}</div> : null}
+
+      <List title="Root causes" items={report.root_causes} />
+
+      {report.evidence?.length ? (
+        <div className="reportSection">
+          <div className="reportTitle">Evidence</div>
+          {report.evidence.map((e, i) => (
+            <button key={i} className="evidenceBtn" onClick={() => onSeek(Number(e.t))} title="Seek replay">
+              <span className="mono">{Number(e.t).toFixed(1)}s</span> <b>{e.type}</b> {e.why_it_matters}
+            </button>
+          ))}
+        </div>
+      ) : null}
+
+      <List title="Recommendations" items={report.recommendations} />
+      <List title="Next tests" items={report.next_tests} />
+
+      {report.compare_insights ? (
+        <div className="reportSection">
+          <div className="reportTitle">Compare</div>
+          <div>{report.compare_insights}</div>
+        </div>
+      ) : null}
+
+      {g?.issues?.length ? (
+        <div className="reportSection">
+          <div className="reportTitle">Grounding issues</div>
+          {g.issues.map((issue, i) => (
+            <div key={i} className="vItem vWarn">
+              {issue.detail}
+            </div>
+          ))}
+        </div>
+      ) : null}
+
+      {report.provider ? (
+        <div className="muted reportFoot">
+          {report.provider} • {report.model}
+          {report.created_at ? ` • ${report.cached ? "cached " : ""}${fmtWhen(report.created_at)}` : ""}
+        </div>
+      ) : null}
+    </div>
+  );
+}
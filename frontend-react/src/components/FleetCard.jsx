@@ -0,0 +1,49 @@
+import React from "react";
+
+/* -------------------------------------------------------
+   A fleet run (shared/fleet.js) scored as a whole and
+   robot by robot. Near counts robot-robot near-collisions
+   too. Click a robot to replay, list and chart just it;
+   click it again (or the fleet row) for the whole fleet.
+------------------------------------------------------- */
+export default function FleetCard({ fleet, agents, agentId, onPick }) {
+  const colors = Object.fromEntries(agents.map((a) => [a.id, a.color]));
+
+  return (
+    <div className="compareCard">
+      <div className="compareTitle">Fleet</div>
+      <table className="matrix fleetTable">
+        <thead>
+          <tr>
+            <th>Robot</th>
+            <th>Status</th>
+            <th>Score</th>
+            <th>Near</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr className={agentId ? "" : "picked"} onClick={() => onPick("")}>
+            <td>All {agents.length}</td>
+            <td className={fleet.status}>{fleet.status}</td>
+            <td className="mono">{fleet.score}</td>
+            <td className="mono">{fleet.counts.near || 0}</td>
+          </tr>
+          {fleet.agents.map((a) => (
+            <tr
+              key={a.id}
+              className={a.id === agentId ? "picked" : ""}
+              onClick={() => onPick(a.id === agentId ? "" : a.id)}
+            >
+              <td>
+                <span className="swatch inline" style={{ background: colors[a.id] }} /> {a.name}
+              </td>
+              <td className={a.status}>{a.status}</td>
+              <td className="mono">{a.score}</td>
+              <td className="mono">{a.counts.near || 0}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,194 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { GROUP_METRICS, compareGroups, groupOf, seedGroups } from "../../../shared/stats.js";
+import { getRun } from "../api.js";
+
+/* -------------------------------------------------------
+   Seed-group comparison: group A vs group B with means,
+   95% intervals and a Welch test per metric. Groups come
+   from meta.group / meta.seed (shared/stats.js) or are
+   ticked by hand.
+------------------------------------------------------- */
+const MANUAL = "manual";
+
+function fmt(v, unit = "") {
+  if (v == null) return "—";
+  return (Math.abs(v) >= 100 ? v.toFixed(0) : Math.round(v * 100) / 100) + unit;
+}
+
+function fmtStat(d, unit) {
+  if (d.mean == null) return "—";
+  if (!d.ci) return fmt(d.mean, unit);
+  return `${fmt(d.mean)} ± ${fmt(d.ci[1] - d.mean, unit)}`;
+}
+
+function fmtP(p) {
+  if (p == null) return "—";
+  return p < 0.001 ? "<0.001" : p.toFixed(3);
+}
+
+// What the score delta means, or why it can't be judged.
+function verdict(cmp) {
+  const s = cmp.metrics.score;
+  if (s.delta == null) return "";
+  if (!s.test) {
+    return "Need at least 2 runs in each group for a significance test; the delta alone may be noise.";
+  }
+  const level = `${Math.round((1 - cmp.alpha) * 100)}%`;
+  if (s.delta === 0) return "Same mean score in both groups.";
+  if (!s.significant) {
+    return (
+      `Δ score ${fmt(s.delta)} is within run-to-run noise (p = ${fmtP(s.test.p)}): ` +
+      `not a real ${s.delta < 0 ? "improvement" : "regression"} at ${level}.`
+    );
+  }
+  return (
+    `Group B scores ${s.delta < 0 ? "lower (better)" : "higher (worse)"} than group A ` +
+    `(p = ${fmtP(s.test.p)}, significant at ${level}).`
+  );
+}
+
+function GroupPicker({ name, runs, groups, value, ids, onPick, onIds }) {
+  return (
+    <div className="groupSide">
+      <select className="select" value={value} onChange={(e) => onPick(e.target.value)}>
+        <option value="">Group {name}…</option>
+        {groups.map((g) => (
+          <option key={g.key} value={g.key}>
+            {g.label} ({g.ids.length})
+          </option>
+        ))}
+        <option value={MANUAL}>Pick runs…</option>
+      </select>
+      {value === MANUAL
+        ? runs.map((r) => (
+            <label key={r.id} className="checkRow muted">
+              <input
+                type="checkbox"
+                checked={ids.includes(r.id)}
+                onChange={() => onIds(ids.includes(r.id) ? ids.filter((x) => x !== r.id) : ids.concat(r.id))}
+              />
+              {r.label}
+            </label>
+          ))
+        : null}
+    </div>
+  );
+}
+
+export default function GroupComparison({ runs, primaryId, compareId, scenario }) {
+  const groups = useMemo(() => seedGroups(runs), [runs]);
+  const [side, setSide] = useState({ a: { key: "", ids: [] }, b: { key: "", ids: [] } });
+  // Loaded runs by id; false for ones that failed to load, so they aren't fetched again.
+  const [cache, setCache] = useState({});
+
+  // Default to the primary's and the focused compare run's groups until the user picks.
+  const keyOf = (id) => groupOf(runs.find((r) => r.id === id)).key;
+  const a = side.a.key ? side.a : { key: primaryId ? keyOf(primaryId) : "", ids: [] };
+  const b = side.b.key ? side.b : { key: compareId ? keyOf(compareId) : "", ids: [] };
+  const idsOf = (s) => (s.key === MANUAL ? s.ids : groups.find((g) => g.key === s.key)?.ids || []);
+  const idsA = idsOf(a);
+  const idsB = idsOf(b);
+  const wanted = [...new Set(idsA.concat(idsB))].join(",");
+
+  useEffect(() => {
+    let dead = false;
+    const missing = wanted ? wanted.split(",").filter((id) => !(id in cache)) : [];
+    if (!missing.length) return;
+    Promise.all(missing.map((id) => getRun(id).then((run) => [id, run || false]).catch(() => [id, false]))).then(
+      (got) => {
+        if (!dead) setCache((c) => ({ ...c, ...Object.fromEntries(got) }));
+      }
+    );
+    return () => {
+      dead = true;
+    };
+  }, [wanted, cache]);
+
+  const loaded = (ids) => ids.map((id) => cache[id]).filter(Boolean);
+  const runsA = loaded(idsA);
+  const runsB = loaded(idsB);
+  const loading = idsA.concat(idsB).some((id) => !(id in cache));
+  const failed = [...new Set(idsA.concat(idsB))].filter((id) => cache[id] === false);
+  const cmp = !loading && runsA.length && runsB.length ? compareGroups(runsA, runsB, scenario) : null;
+
+  // Switching to "Pick runs…" starts from the runs of the group shown so far.
+  function pick(which, key) {
+    const cur = which === "a" ? a : b;
+    setSide((s) => ({ ...s, [which]: { key, ids: key === MANUAL ? idsOf(cur) : [] } }));
+  }
+
+  function setIds(which, ids) {
+    setSide((s) => ({ ...s, [which]: { key: MANUAL, ids } }));
+  }
+
+  return (
+    <div className="compareCard">
+      <div className="compareTitle">Group comparison</div>
+      <div className="groupPickers">
+        {[
+          ["a", "A", a],
+          ["b", "B", b]
+        ].map(([which, name, s]) => (
+          <GroupPicker
+            key={which}
+            name={name}
+            runs={runs}
+            groups={groups}
+            value={s.key}
+            ids={s.ids}
+            onPick={(key) => pick(which, key)}
+            onIds={(ids) => setIds(which, ids)}
+          />
+        ))}
+      </div>
+
+      {failed.length ? (
+        <div className="groupError">
+          Could not load {failed.join(", ")}; {cmp ? "compared without them" : "nothing left to compare"}.
+        </div>
+      ) : null}
+      {!cmp ? (
+        !idsA.length || !idsB.length || loading ? (
+          <div className="muted" style={{ fontSize: 12, marginTop: 6 }}>
+            {loading
+              ? "Loading runs…"
+              : "Pick two groups. Runs group by meta.group, or by configuration when they carry meta.seed."}
+          </div>
+        ) : null
+      ) : (
+        <>
+          <table className="matrix groupTable">
+            <thead>
+              <tr>
+                <th />
+                <th>A (n={cmp.n[0]})</th>
+                <th>B (n={cmp.n[1]})</th>
+                <th>Δ</th>
+                <th>p</th>
+              </tr>
+            </thead>
+            <tbody>
+              {GROUP_METRICS.map(({ key, label, unit }) => {
+                const m = cmp.metrics[key];
+                return (
+                  <tr key={key} className={m.significant ? "significant" : ""}>
+                    <td>{label}</td>
+                    <td className="mono">{fmtStat(m.a, unit)}</td>
+                    <td className="mono">{fmtStat(m.b, unit)}</td>
+                    <td className="mono" title={m.test ? `95% CI ${fmt(m.test.ci[0])} … ${fmt(m.test.ci[1])}` : ""}>
+                      {m.delta == null ? "—" : (m.delta > 0 ? "+" : "") + fmt(m.delta, unit)}
+                    </td>
+                    <td className="mono">{fmtP(m.test?.p)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div className="muted" style={{ fontSize: 12, marginTop: 6 }}>
+            {verdict(cmp)}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import React, { useState } from "react";
+import { uploadMap } from "../api.js";
+
+/* -------------------------------------------------------
+   Upload a map for the replay: a ROS map.yaml + PGM pair,
+   and/or a JSON list of obstacle polygons, { obstacles,
+   zones }, or a GeoJSON FeatureCollection of zones.
+------------------------------------------------------- */
+function toBase64(buf) {
+  const bytes = new Uint8Array(buf);
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+async function readMapFiles(files) {
+  const body = {};
+  for (const f of files) {
+    const ext = f.name.split(".").pop().toLowerCase();
+    if (ext === "yaml" || ext === "yml") body.yaml = await f.text();
+    else if (ext === "pgm") body.image = toBase64(await f.arrayBuffer());
+    else if (ext === "json") {
+      const data = JSON.parse(await f.text());
+      if (data?.type === "FeatureCollection") body.zones = data;
+      else {
+        body.obstacles = Array.isArray(data) ? data : data?.obstacles;
+        body.zones = data?.zones;
+      }
+    } else throw new Error(`Don't know what to do with '${f.name}'.`);
+  }
+  return body;
+}
+
+export default function MapUpload({ onUploaded }) {
+  const [files, setFiles] = useState([]);
+  const [name, setName] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState("");
+
+  async function submit() {
+    setBusy(true);
+    setMsg("");
+    try {
+      const body = await readMapFiles(files);
+      const fallback = files[0].name.replace(/\.[^.]+$/, "");
+      const record = await uploadMap({ ...body, name: name.trim() || fallback });
+      setFiles([]);
+      setName("");
+      setMsg(`Stored map ${record.id}. Pick it under the replay to draw it.`);
+      onUploaded?.(record);
+    } catch (e) {
+      setMsg("Map upload failed: " + (e?.message || String(e)));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="compareCard">
+      <div className="compareTitle">Upload map</div>
+      <div className="muted" style={{ fontSize: 12, marginBottom: 6 }}>
+        ROS map.yaml + .pgm, and/or a .json of obstacle polygons or GeoJSON zones.
+      </div>
+      <input
+        className="fileInput"
+        type="file"
+        multiple
+        accept=".yaml,.yml,.pgm,.json"
+        onChange={(e) => setFiles(Array.from(e.target.files || []))}
+      />
+      <input
+        className="select inputRow"
+        placeholder="Name (defaults to file name)"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+      />
+      <button className="btn" disabled={!files.length || busy} onClick={submit}>
+        {busy ? "Uploading…" : "Upload map"}
+      </button>
+      {msg ? <div className="muted uploadMsg">{msg}</div> : null}
+    </div>
+  );
+}
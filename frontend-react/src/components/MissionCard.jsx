@@ -0,0 +1,65 @@
+import React from "react";
+
+/* -------------------------------------------------------
+   The run's mission (shared/mission.js): did it reach the
+   goal in time, when did it pass each waypoint, and how
+   much longer was the path than the plan. Times seek the
+   replay.
+------------------------------------------------------- */
+export default function MissionCard({ mission, onSeek }) {
+  const m = mission;
+  const goal = m.targets[m.targets.length - 1];
+  const ref = m.reference === "planned" ? "planned" : "straight line";
+
+  return (
+    <div className="compareCard">
+      <div className="compareTitle">Mission</div>
+      <div className="kv">
+        <div>Goal</div>
+        {m.reached ? (
+          <button className={"linkBtn mono" + (m.timed_out ? " bad" : "")} onClick={() => onSeek(goal.t)}>
+            {m.time_to_goal_s.toFixed(1)}s{m.timed_out ? ` > ${m.timeout_s}s` : ""}
+          </button>
+        ) : (
+          <button className="linkBtn mono bad" onClick={() => onSeek(m.closest_t)}>
+            missed, closest {m.closest_m.toFixed(2)}m
+          </button>
+        )}
+      </div>
+      {m.targets.slice(0, -1).map((p) => (
+        <div key={p.label} className="kv">
+          <div>{p.label}</div>
+          {p.reached ? (
+            <button className="linkBtn mono" onClick={() => onSeek(p.t)}>
+              {(p.t - m.t0).toFixed(1)}s
+            </button>
+          ) : (
+            <div className="mono">—</div>
+          )}
+        </div>
+      ))}
+      <div className="kv">
+        <div>Path efficiency</div>
+        <div className="mono" title={`${m.path_m}m driven vs ${m.reference_m}m ${ref}`}>
+          {m.efficiency == null ? "—" : `${Math.round(m.efficiency * 100)}%`}
+        </div>
+      </div>
+      <div className="kv">
+        <div>Extra distance</div>
+        <div className="mono">{m.detour_m.toFixed(1)}m</div>
+      </div>
+      {m.detours.length ? (
+        <div className="kv">
+          <div>Detours</div>
+          <div className="missionDetours">
+            {m.detours.map((d) => (
+              <button key={d.t_start} className="linkBtn mono" onClick={() => onSeek(d.t_start)}>
+                {d.t_start.toFixed(1)}s ({d.max_off_m}m)
+              </button>
+            ))}
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
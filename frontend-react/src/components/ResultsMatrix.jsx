@@ -0,0 +1,113 @@
+import React, { useMemo, useState } from "react";
+import { scoreRun } from "../../../shared/scenarios.js";
+
+/* -------------------------------------------------------
+   Every selected run scored under every scenario. Click a
+   header to sort by it (again to reverse); Export CSV
+   downloads the table with one score and status column
+   pair per scenario.
+------------------------------------------------------- */
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function download(name, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: "text/csv" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/** `runs` is [{ id, label, run }], primary first. */
+export default function ResultsMatrix({ runs, scenarios }) {
+  const [sort, setSort] = useState({ key: "", dir: 1 });
+  const list = Object.values(scenarios);
+
+  const rows = useMemo(
+    () =>
+      runs.map((r) => ({
+        ...r,
+        scores: Object.fromEntries(Object.values(scenarios).map((sc) => [sc.key, scoreRun(r.run, sc)]))
+      })),
+    [runs, scenarios]
+  );
+
+  const sorted = useMemo(() => {
+    if (!sort.key) return rows;
+    const value = (r) => (sort.key === ":run" ? r.label : r.scores[sort.key]?.score ?? Infinity);
+    return rows.slice().sort((a, b) => {
+      const va = value(a);
+      const vb = value(b);
+      return (typeof va === "string" ? va.localeCompare(vb) : va - vb) * sort.dir;
+    });
+  }, [rows, sort]);
+
+  function sortBy(key) {
+    setSort((s) => ({ key, dir: s.key === key ? -s.dir : 1 }));
+  }
+
+  function exportCsv() {
+    const head = ["run_id", "label"].concat(list.flatMap((sc) => [`${sc.key}_score`, `${sc.key}_status`]));
+    const lines = sorted.map((r) =>
+      [r.id, r.label].concat(list.flatMap((sc) => [r.scores[sc.key].score, r.scores[sc.key].status]))
+    );
+    download("results_matrix.csv", [head, ...lines].map((l) => l.map(csvCell).join(",")).join("\n") + "\n");
+  }
+
+  if (runs.length < 2 || !list.length) return null;
+
+  const arrow = (key) => (sort.key === key ? (sort.dir > 0 ? " ▲" : " ▼") : "");
+
+  return (
+    <div className="compareCard">
+      <div className="matrixHead">
+        <div className="compareTitle">Results matrix</div>
+        <button className="btn ghost" onClick={exportCsv}>
+          Export CSV
+        </button>
+      </div>
+      <div className="matrixWrap">
+        <table className="matrix">
+          <thead>
+            <tr>
+              <th className={sort.key === ":run" ? "sorted" : ""} onClick={() => sortBy(":run")}>
+                Run{arrow(":run")}
+              </th>
+              {list.map((sc) => (
+                <th
+                  key={sc.key}
+                  className={sort.key === sc.key ? "sorted" : ""}
+                  title={sc.blurb}
+                  onClick={() => sortBy(sc.key)}
+                >
+                  {sc.name || sc.key}
+                  {arrow(sc.key)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map((r) => (
+              <tr key={r.id}>
+                <td>
+                  {r.color ? <span className="swatch inline" style={{ background: r.color }} /> : null} {r.label}
+                </td>
+                {list.map((sc) => {
+                  const s = r.scores[sc.key];
+                  return (
+                    <td key={sc.key} className={"mono " + s.status}>
+                      {s.score} {s.status}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import React, { useRef, useState } from "react";
+import { uploadRunText, validateRunText } from "../api.js";
+import ValidationList from "./ValidationList.jsx";
+
+/* -------------------------------------------------------
+   Upload a run JSON file into the backend run store.
+   The file is validated as soon as it is picked; schema
+   errors block the upload, warnings don't.
+------------------------------------------------------- */
+export default function RunUpload({ onUploaded }) {
+  const [file, setFile] = useState(null);
+  const [text, setText] = useState("");
+  const [validation, setValidation] = useState(null);
+  const [label, setLabel] = useState("");
+  const [tags, setTags] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState("");
+  // The file input is uncontrolled: clear it by hand so the same file can be picked again.
+  const inputRef = useRef(null);
+
+  async function pickFile(f) {
+    setFile(f);
+    setValidation(null);
+    setMsg("");
+    if (!f) return;
+    try {
+      const body = await f.text();
+      setText(body);
+      setValidation(await validateRunText(body));
+    } catch (e) {
+      setMsg("Could not validate: " + (e?.message || String(e)));
+    }
+  }
+
+  async function submit() {
+    if (!file) return;
+    setBusy(true);
+    setMsg("");
+    try {
+      const record = await uploadRunText(text, {
+        label: label.trim() || file.name.replace(/\.json$/i, ""),
+        tags: tags.split(",").map((s) => s.trim()).filter(Boolean)
+      });
+      setFile(null);
+      if (inputRef.current) inputRef.current.value = "";
+      setText("");
+      setValidation(null);
+      setLabel("");
+      setTags("");
+      setMsg(`Uploaded as ${record.id}.`);
+      onUploaded?.(record);
+    } catch (e) {
+      if (e?.data?.validation) setValidation(e.data.validation);
+      setMsg("Upload failed: " + (e?.message || String(e)));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="compareCard">
+      <div className="compareTitle">Upload run</div>
+      <input
+        ref={inputRef}
+        className="fileInput"
+        type="file"
+        accept=".json,application/json"
+        onChange={(e) => pickFile(e.target.files?.[0] || null)}
+      />
+      <ValidationList validation={validation} />
+      <input
+        className="select inputRow"
+        placeholder="Label (defaults to file name)"
+        value={label}
+        onChange={(e) => setLabel(e.target.value)}
+      />
+      <input
+        className="select inputRow"
+        placeholder="Tags, comma separated"
+        value={tags}
+        onChange={(e) => setTags(e.target.value)}
+      />
+      <button className="btn" disabled={!file || busy || !validation?.valid} onClick={submit}>
+        {busy ? "Uploading…" : validation && !validation.valid ? "Fix errors to upload" : "Upload"}
+      </button>
+      {msg ? <div className="muted uploadMsg">{msg}</div> : null}
+    </div>
+  );
+}
@@ -0,0 +1,169 @@
+import React, { useState } from "react";
+import { COUNT_KEYS } from "../../../shared/scenarios.js";
+import { createScenario, deleteScenario, saveScenario } from "../api.js";
+
+/* -------------------------------------------------------
+   Edit a scenario policy stored on the server
+------------------------------------------------------- */
+const COUNT_LABELS = {
+  near: "Near-collision",
+  collision: "Collision",
+  stuck: "Stuck",
+  replan: "Replan",
+  no_go: "No-go entry",
+  speeding: "Speeding",
+  dwell: "Overstay",
+  missed: "Goal missed",
+  detour: "Detour"
+};
+const RULES_PLACEHOLDER = [
+  "Rules, one per line, e.g.",
+  "max(speed) <= 1.2",
+  "count(near_collision, 10s) <= 2 => WARN",
+  "duration(stuck) <= 5"
+].join("\n");
+
+function toDraft(sc) {
+  const str = (v) => (v == null ? "" : String(v));
+  return {
+    name: sc.name || "",
+    blurb: sc.blurb || "",
+    weights: Object.fromEntries(COUNT_KEYS.map((k) => [k, str(sc.weights?.[k] ?? 0)])),
+    limits: Object.fromEntries(COUNT_KEYS.map((k) => [k, str(sc.limits?.[k])])),
+    pass: str(sc.thresholds?.pass),
+    warn: str(sc.thresholds?.warn),
+    rules: (sc.rules || []).map((r) => `${r.expr} => ${r.severity}`).join("\n")
+  };
+}
+
+export default function ScenarioEditor({ scenario, onSaved, onDeleted }) {
+  const [draft, setDraft] = useState(() => toDraft(scenario));
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState("");
+
+  function body() {
+    return {
+      name: draft.name.trim(),
+      blurb: draft.blurb.trim(),
+      weights: draft.weights,
+      limits: draft.limits,
+      thresholds: { pass: draft.pass, warn: draft.warn },
+      derive: scenario.derive,
+      rules: draft.rules.split("\n")
+    };
+  }
+
+  async function run(action, done) {
+    setBusy(true);
+    setMsg("");
+    try {
+      done(await action());
+    } catch (e) {
+      setMsg(e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const setIn = (group, k, v) => setDraft((d) => ({ ...d, [group]: { ...d[group], [k]: v } }));
+
+  return (
+    <div className="compareCard policyEditor">
+      <div className="compareTitle">Scenario policy • {scenario.key}</div>
+      <input
+        className="select inputRow"
+        placeholder="Name"
+        value={draft.name}
+        onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+      />
+      <textarea
+        className="select inputRow"
+        rows={2}
+        placeholder="Blurb"
+        value={draft.blurb}
+        onChange={(e) => setDraft({ ...draft, blurb: e.target.value })}
+      />
+
+      <div className="mapRow muted">
+        <div className="mapLabel" />
+        <div className="policyCol">Weight</div>
+        <div className="policyCol">Limit</div>
+      </div>
+      {COUNT_KEYS.map((k) => (
+        <div key={k} className="mapRow">
+          <div className="mapLabel">{COUNT_LABELS[k]}</div>
+          <input
+            className="select smallSelect policyCol"
+            type="number"
+            min="0"
+            value={draft.weights[k]}
+            onChange={(e) => setIn("weights", k, e.target.value)}
+          />
+          <input
+            className="select smallSelect policyCol"
+            type="number"
+            min="0"
+            placeholder="none"
+            value={draft.limits[k]}
+            onChange={(e) => setIn("limits", k, e.target.value)}
+          />
+        </div>
+      ))}
+
+      <div className="mapRow">
+        <div className="mapLabel">PASS ≤</div>
+        <input
+          className="select smallSelect policyCol"
+          type="number"
+          value={draft.pass}
+          onChange={(e) => setDraft({ ...draft, pass: e.target.value })}
+        />
+        <div className="mapLabel">WARN ≤</div>
+        <input
+          className="select smallSelect policyCol"
+          type="number"
+          value={draft.warn}
+          onChange={(e) => setDraft({ ...draft, warn: e.target.value })}
+        />
+      </div>
+      <div className="muted uploadMsg">A count above its limit fails the run regardless of score.</div>
+
+      <textarea
+        className="select inputRow mono"
+        rows={4}
+        placeholder={RULES_PLACEHOLDER}
+        value={draft.rules}
+        onChange={(e) => setDraft({ ...draft, rules: e.target.value })}
+      />
+      <div className="muted uploadMsg">
+        max/min/mean of a signal (abs() allowed), count(event[, window s]) or duration(event), compared to a
+        number. A broken rule is FAIL unless it ends in =&gt; WARN.
+      </div>
+
+      <div className="controls">
+        <button className="btn" disabled={busy} onClick={() => run(() => saveScenario(scenario.key, body()), onSaved)}>
+          Save
+        </button>
+        <button
+          className="btn ghost"
+          disabled={busy}
+          onClick={() => run(() => createScenario({ ...body(), name: `${draft.name.trim()} (copy)` }), onSaved)}
+        >
+          Duplicate
+        </button>
+        <div className="spacer" />
+        <button
+          className="btn ghost"
+          disabled={busy}
+          onClick={() =>
+            window.confirm(`Delete scenario '${scenario.name}'?`) &&
+            run(() => deleteScenario(scenario.key), () => onDeleted(scenario.key))
+          }
+        >
+          Delete
+        </button>
+      </div>
+      {msg ? <div className="muted uploadMsg">{msg}</div> : null}
+    </div>
+  );
+}
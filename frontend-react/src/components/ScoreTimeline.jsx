@@ -0,0 +1,83 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { ROLLING_WINDOW_S, scoreTimeline, segmentRun } from "../../../shared/timeline.js";
+
+/* -------------------------------------------------------
+   Strip under the scrubber: the scenario score over time
+   (cumulative or rolling), colored PASS/WARN/FAIL, and the
+   run's phases below it. Clicking a phase seeks to it and
+   picks it as the range to diagnose; click again to drop.
+   While a live run grows, the strip catches up every
+   LIVE_REFRESH_MS instead of re-scoring every flush.
+------------------------------------------------------- */
+const LIVE_REFRESH_MS = 2000;
+
+export default function ScoreTimeline({ run, scenario, maxT, live = false, range, onSeek, onRange }) {
+  const [mode, setMode] = useState("cumulative");
+  const [liveRun, setLiveRun] = useState(run);
+  const latest = useRef(run);
+  useEffect(() => {
+    latest.current = run;
+  }, [run]);
+  useEffect(() => {
+    if (!live) return;
+    const catchUp = () => setLiveRun(latest.current);
+    const first = setTimeout(catchUp, 0);
+    const timer = setInterval(catchUp, LIVE_REFRESH_MS);
+    return () => {
+      clearTimeout(first);
+      clearInterval(timer);
+    };
+  }, [live]);
+
+  const shown = live ? liveRun : run;
+  const points = useMemo(() => scoreTimeline(shown, scenario), [shown, scenario]);
+  const phases = useMemo(() => segmentRun(shown, scenario), [shown, scenario]);
+
+  if (!points.length || !(maxT > 0)) return null;
+  const pct = (t) => `${(Math.min(t, maxT) / maxT) * 100}%`;
+
+  return (
+    <div className="scoreStrip">
+      <div className="scoreBars">
+        {points.map((p, i) => (
+          <span
+            key={i}
+            className={"scoreBar " + p[mode].status}
+            title={`${p.t1}s • score ${p[mode].score} ${p[mode].status}`}
+            onClick={() => onSeek(p.t1)}
+          />
+        ))}
+      </div>
+      <div className="phaseRow">
+        {phases.map((ph, i) => {
+          const on = range && range.t0 === ph.t0 && range.t1 === ph.t1;
+          return (
+            <button
+              key={i}
+              className={"phaseSeg " + ph.status + (on ? " on" : "")}
+              style={{ left: pct(ph.t0), width: pct(ph.t1 - ph.t0) }}
+              title={
+                `${ph.label}: score ${ph.score} ${ph.status}` +
+                (ph.violations.length ? ` • ${ph.violations.map((v) => v.expr).join("; ")}` : "")
+              }
+              onClick={() => {
+                onSeek(ph.t0);
+                onRange(on ? null : { t0: ph.t0, t1: ph.t1, label: ph.label });
+              }}
+            >
+              {ph.label}
+            </button>
+          );
+        })}
+      </div>
+      <div className="scoreHead muted">
+        Score
+        <select className="select inlineSelect" value={mode} onChange={(e) => setMode(e.target.value)}>
+          <option value="cumulative">cumulative</option>
+          <option value="rolling">rolling {ROLLING_WINDOW_S}s</option>
+        </select>
+        • click a phase to diagnose just that stretch
+      </div>
+    </div>
+  );
+}
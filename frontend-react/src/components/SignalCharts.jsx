@@ -0,0 +1,187 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { SIGNALS, extraFields, runSignals, valueAt } from "../../../shared/signals.js";
+import { COMPARE_COLOR, eventStyle } from "../eventGlyphs.js";
+
+/* -------------------------------------------------------
+   Time-series charts under the replay. All charts share
+   the replay's time axis (0..maxT) and cursor; click or
+   drag on any of them to seek.
+------------------------------------------------------- */
+const W = 900;
+const H = 96;
+const PAD = { l: 8, r: 8, t: 8, b: 8 };
+const PRIMARY_COLOR = "rgba(255,255,255,0.85)";
+
+function fmt(v) {
+  if (v == null) return "—";
+  return Math.abs(v) >= 100 ? v.toFixed(0) : v.toFixed(2);
+}
+
+function yRange(list) {
+  let lo = Infinity;
+  let hi = -Infinity;
+  for (const s of list) {
+    for (const v of s?.y || []) {
+      if (v == null) continue;
+      lo = Math.min(lo, v);
+      hi = Math.max(hi, v);
+    }
+  }
+  if (!Number.isFinite(lo)) return { lo: 0, hi: 1 };
+  if (hi - lo < 1e-9) return { lo: lo - 1, hi: hi + 1 };
+  const pad = (hi - lo) * 0.08;
+  return { lo: lo - pad, hi: hi + pad };
+}
+
+function drawSeries(ctx, series, xOf, yOf, color) {
+  if (!series?.t.length) return;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  let pen = false;
+  for (let i = 0; i < series.t.length; i++) {
+    const v = series.y[i];
+    if (v == null) {
+      pen = false;
+      continue;
+    }
+    const x = xOf(series.t[i]);
+    const y = yOf(v);
+    if (pen) ctx.lineTo(x, y);
+    else ctx.moveTo(x, y);
+    pen = true;
+  }
+  ctx.stroke();
+}
+
+function Chart({ signal, primary, compare, compareColor, t, maxT, marks, onSeek }) {
+  const ref = useRef(null);
+  const range = useMemo(() => yRange([primary, compare]), [primary, compare]);
+
+  useEffect(() => {
+    const ctx = ref.current?.getContext("2d");
+    if (!ctx) return;
+    ctx.clearRect(0, 0, W, H);
+
+    const span = maxT || 1;
+    const xOf = (tt) => PAD.l + (tt / span) * (W - PAD.l - PAD.r);
+    const yOf = (v) => H - PAD.b - ((v - range.lo) / (range.hi - range.lo)) * (H - PAD.t - PAD.b);
+
+    // Zero line, when zero is in view
+    if (range.lo < 0 && range.hi > 0) {
+      ctx.strokeStyle = "rgba(255,255,255,0.12)";
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(PAD.l, yOf(0));
+      ctx.lineTo(W - PAD.r, yOf(0));
+      ctx.stroke();
+    }
+
+    // Event markers
+    for (const m of marks) {
+      if (m.t > span) continue;
+      ctx.strokeStyle = m.source === "compare" ? compareColor : eventStyle(m.type).color;
+      ctx.globalAlpha = 0.45;
+      ctx.setLineDash(m.source === "compare" ? [3, 3] : []);
+      ctx.beginPath();
+      ctx.moveTo(xOf(m.t), PAD.t);
+      ctx.lineTo(xOf(m.t), H - PAD.b);
+      ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
+    ctx.setLineDash([]);
+
+    drawSeries(ctx, compare, xOf, yOf, compareColor);
+    drawSeries(ctx, primary, xOf, yOf, PRIMARY_COLOR);
+
+    // Cursor
+    ctx.strokeStyle = "rgba(124,92,255,0.95)";
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(xOf(t), 0);
+    ctx.lineTo(xOf(t), H);
+    ctx.stroke();
+  }, [primary, compare, compareColor, t, maxT, marks, range]);
+
+  function seekFrom(e) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) * W) / rect.width;
+    onSeek(((x - PAD.l) / (W - PAD.l - PAD.r)) * (maxT || 1));
+  }
+
+  const now = valueAt(primary, t);
+  const nowB = compare ? valueAt(compare, t) : null;
+
+  return (
+    <div className="chart">
+      <div className="chartHead">
+        <span>{signal.label}</span>
+        <span className="mono">
+          {fmt(now)}
+          {compare ? <span style={{ color: compareColor }}> {fmt(nowB)}</span> : null} {signal.unit}
+        </span>
+        <span className="muted mono chartRange">
+          {fmt(range.lo)} … {fmt(range.hi)}
+        </span>
+      </div>
+      <canvas
+        ref={ref}
+        className="chartCanvas"
+        width={W}
+        height={H}
+        onPointerDown={(e) => {
+          e.currentTarget.setPointerCapture(e.pointerId);
+          seekFrom(e);
+        }}
+        onPointerMove={(e) => {
+          if (e.buttons & 1) seekFrom(e);
+        }}
+      />
+    </div>
+  );
+}
+
+export default function SignalCharts({ run, compareRun, compareColor = COMPARE_COLOR, t, maxT, marks, onSeek }) {
+  const [shown, setShown] = useState(["speed", "yaw_rate", "accel"]);
+
+  const sigA = useMemo(() => runSignals(run), [run]);
+  const sigB = useMemo(() => (compareRun ? runSignals(compareRun) : null), [compareRun]);
+  const available = useMemo(() => {
+    const extra = new Set(extraFields(run).concat(compareRun ? extraFields(compareRun) : []));
+    return SIGNALS.concat([...extra].sort().map((key) => ({ key, label: key, unit: "" })));
+  }, [run, compareRun]);
+
+  function toggle(key) {
+    setShown((s) => (s.includes(key) ? s.filter((k) => k !== key) : s.concat(key)));
+  }
+
+  if (!run) return null;
+
+  return (
+    <div className="charts">
+      <div className="chartToggles">
+        {available.map((sig) => (
+          <label key={sig.key} className="checkRow muted">
+            <input type="checkbox" checked={shown.includes(sig.key)} onChange={() => toggle(sig.key)} />
+            {sig.label}
+          </label>
+        ))}
+      </div>
+      {available
+        .filter((sig) => shown.includes(sig.key))
+        .map((sig) => (
+          <Chart
+            key={sig.key}
+            signal={sig}
+            primary={sigA[sig.key]}
+            compare={sigB?.[sig.key]}
+            compareColor={compareColor}
+            t={t}
+            maxT={maxT}
+            marks={marks}
+            onSeek={onSeek}
+          />
+        ))}
+    </div>
+  );
+}
@@ -0,0 +1,254 @@
+import React, { useEffect, useState } from "react";
+import { importTable, listImportProfiles, previewTable } from "../api.js";
+import ValidationList from "./ValidationList.jsx";
+
+/* -------------------------------------------------------
+   CSV / JSON-lines import with column mapping + profiles
+------------------------------------------------------- */
+const FIELD_LABELS = { t: "Time", x: "X", y: "Y", yaw: "Yaw", v: "Speed" };
+const REQUIRED = new Set(["t", "x", "y"]);
+
+function emptyMapping() {
+  return { columns: {}, events: [] };
+}
+
+export default function TableImport({ onImported }) {
+  const [text, setText] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [profiles, setProfiles] = useState([]);
+  const [profileId, setProfileId] = useState("");
+  const [mapping, setMapping] = useState(emptyMapping);
+  const [label, setLabel] = useState("");
+  const [profileName, setProfileName] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState("");
+  // Result of the last dry run, and the mapping it was run with.
+  const [check, setCheck] = useState(null);
+
+  useEffect(() => {
+    let dead = false;
+    listImportProfiles()
+      .then((d) => !dead && setProfiles(d.profiles || []))
+      .catch(() => {});
+    return () => {
+      dead = true;
+    };
+  }, []);
+
+  async function pickFile(file) {
+    setPreview(null);
+    setMsg("");
+    if (!file) return;
+    try {
+      const body = await file.text();
+      const p = await previewTable(body);
+      setText(body);
+      setFileName(file.name);
+      setPreview(p);
+      setLabel(file.name.replace(/\.(csv|jsonl|ndjson|txt)$/i, ""));
+      const saved = profiles.find((x) => x.id === profileId);
+      setMapping(saved ? { columns: saved.columns, events: saved.events } : p.suggested || emptyMapping());
+    } catch (e) {
+      setMsg("Could not read file: " + (e?.message || String(e)));
+    }
+  }
+
+  function pickProfile(id) {
+    setProfileId(id);
+    const saved = profiles.find((x) => x.id === id);
+    if (saved) setMapping({ columns: saved.columns, events: saved.events });
+    else if (preview) setMapping(preview.suggested || emptyMapping());
+  }
+
+  function setColumn(field, patch) {
+    setMapping((m) => {
+      const next = { ...(m.columns[field] || {}), ...patch };
+      const columns = { ...m.columns };
+      if (next.column) columns[field] = next;
+      else delete columns[field];
+      return { ...m, columns };
+    });
+  }
+
+  function setEvent(i, patch) {
+    setMapping((m) => ({ ...m, events: m.events.map((e, j) => (j === i ? { ...e, ...patch } : e)) }));
+  }
+
+  const checkKey = `${fileName}:${text.length}:${JSON.stringify(mapping)}`;
+  const checked = check && check.key === checkKey ? check.validation : null;
+
+  // First click validates the mapped run; saving needs a clean (or acknowledged) check.
+  async function submit() {
+    setBusy(true);
+    setMsg("");
+    const body = {
+      text,
+      label: label.trim() || fileName,
+      mapping: { ...mapping, format: preview?.format }
+    };
+    try {
+      if (!checked) {
+        const dry = await importTable({ ...body, save: false });
+        setCheck({ key: checkKey, validation: dry.validation });
+        if (!dry.validation.valid || dry.validation.warnings.length) {
+          setMsg(`${dry.run.frames.length} frames mapped. Review the issues below before saving.`);
+          return;
+        }
+      }
+      const out = await importTable({
+        ...body,
+        save_profile: profileName.trim() ? { name: profileName.trim() } : undefined
+      });
+      if (out.profile) {
+        setProfiles((ps) => ps.filter((p) => p.id !== out.profile.id).concat(out.profile));
+        setProfileId(out.profile.id);
+        setProfileName("");
+      }
+      setCheck(null);
+      setMsg(`Imported ${out.run.frames.length} frames as ${out.record.id}.`);
+      onImported?.(out.record);
+    } catch (e) {
+      if (e?.data?.validation) setCheck({ key: checkKey, validation: e.data.validation });
+      setMsg("Import failed: " + (e?.message || String(e)));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const columns = preview?.columns || [];
+  const ready = preview && ["t", "x", "y"].every((f) => mapping.columns[f]?.column);
+
+  return (
+    <div className="compareCard">
+      <div className="compareTitle">Import CSV / JSON-lines</div>
+      <input
+        className="fileInput"
+        type="file"
+        accept=".csv,.jsonl,.ndjson,.txt"
+        onChange={(e) => pickFile(e.target.files?.[0] || null)}
+      />
+
+      <select className="select inputRow" value={profileId} onChange={(e) => pickProfile(e.target.value)}>
+        <option value="">Guess mapping from column names</option>
+        {profiles.map((p) => (
+          <option key={p.id} value={p.id}>
+            Profile: {p.name}
+          </option>
+        ))}
+      </select>
+
+      {preview ? (
+        <>
+          <div className="muted uploadMsg">
+            {preview.format.toUpperCase()} • {preview.row_count} rows • {columns.length} columns
+          </div>
+
+          {preview.fields.map((f) => (
+            <div key={f} className="mapRow">
+              <div className="mapLabel">
+                {FIELD_LABELS[f]}
+                {REQUIRED.has(f) ? " *" : ""}
+              </div>
+              <select
+                className="select smallSelect"
+                value={mapping.columns[f]?.column || ""}
+                onChange={(e) => setColumn(f, { column: e.target.value })}
+              >
+                <option value="">—</option>
+                {columns.map((c) => (
+                  <option key={c} value={c}>
+                    {c}
+                  </option>
+                ))}
+              </select>
+              <select
+                className="select smallSelect"
+                value={mapping.columns[f]?.unit || preview.units[f][0]}
+                disabled={!mapping.columns[f]?.column}
+                onChange={(e) => setColumn(f, { unit: e.target.value })}
+              >
+                {preview.units[f].map((u) => (
+                  <option key={u} value={u}>
+                    {u}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+
+          <div className="sectionTitle" style={{ marginTop: 10 }}>
+            Event columns
+          </div>
+          {mapping.events.map((e, i) => (
+            <div key={i} className="mapRow">
+              <select
+                className="select smallSelect"
+                value={e.column}
+                onChange={(ev) => setEvent(i, { column: ev.target.value })}
+              >
+                {columns.map((c) => (
+                  <option key={c} value={c}>
+                    {c}
+                  </option>
+                ))}
+              </select>
+              <select
+                className="select smallSelect"
+                value={e.mode || "type"}
+                onChange={(ev) => setEvent(i, { mode: ev.target.value })}
+              >
+                <option value="type">value = type</option>
+                <option value="flag">flag →</option>
+              </select>
+              {e.mode === "flag" ? (
+                <input
+                  className="select smallSelect mapInput"
+                  placeholder="event type"
+                  value={e.type || ""}
+                  onChange={(ev) => setEvent(i, { type: ev.target.value })}
+                />
+              ) : null}
+              <button
+                className="iconBtn"
+                title="Remove"
+                onClick={() => setMapping((m) => ({ ...m, events: m.events.filter((_, j) => j !== i) }))}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <button
+            className="btn ghost"
+            style={{ marginTop: 6 }}
+            disabled={!columns.length}
+            onClick={() =>
+              setMapping((m) => ({ ...m, events: m.events.concat({ column: columns[0], mode: "type" }) }))
+            }
+          >
+            + Event column
+          </button>
+
+          <input
+            className="select inputRow"
+            placeholder="Run label"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+          />
+          <input
+            className="select inputRow"
+            placeholder="Save mapping as profile (optional name)"
+            value={profileName}
+            onChange={(e) => setProfileName(e.target.value)}
+          />
+          <ValidationList validation={checked} />
+          <button className="btn" disabled={!ready || busy || (checked && !checked.valid)} onClick={submit}>
+            {busy ? "Importing…" : checked ? (checked.valid ? "Save run" : "Fix mapping to import") : "Check & import"}
+          </button>
+        </>
+      ) : null}
+
+      {msg ? <div className="muted uploadMsg">{msg}</div> : null}
+    </div>
+  );
+}
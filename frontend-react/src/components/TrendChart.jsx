@@ -0,0 +1,176 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { getTrend } from "../api.js";
+import { compareColor } from "../eventGlyphs.js";
+
+/* -------------------------------------------------------
+   Score of every stored run under the scenario, by upload
+   time or by controller, against the baseline (dashed
+   line, tolerance band). Regressions are ringed in red;
+   click a point to open that run.
+------------------------------------------------------- */
+const W = 900;
+const H = 170;
+const PAD = { l: 34, r: 10, t: 10, b: 22 };
+
+function layout(points, mode) {
+  if (mode === "controller") {
+    // Controllers in order of first upload; runs spread within their column.
+    const order = [...new Set(points.map((p) => p.controller ?? "—"))];
+    const seen = {};
+    const per = Object.fromEntries(order.map((c) => [c, points.filter((p) => (p.controller ?? "—") === c).length]));
+    const x = (p) => {
+      const c = p.controller ?? "—";
+      const i = (seen[c] = (seen[c] ?? -1) + 1);
+      return order.indexOf(c) + 0.5 + (per[c] > 1 ? (i / (per[c] - 1) - 0.5) * 0.6 : 0);
+    };
+    return { xs: points.map(x), lo: 0, hi: order.length, ticks: order.map((c, i) => ({ at: i + 0.5, label: c })) };
+  }
+  const ts = points.map((p) => new Date(p.uploaded_at).getTime() || 0);
+  const lo = Math.min(...ts);
+  const hi = Math.max(...ts);
+  const pad = hi > lo ? (hi - lo) * 0.04 : 1;
+  const fmt = (t) => new Date(t).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+  return { xs: ts, lo: lo - pad, hi: hi + pad, ticks: [{ at: lo, label: fmt(lo) }, { at: hi, label: fmt(hi) }] };
+}
+
+// `runs` and `version` only trigger a refetch (stored runs or baseline changed).
+export default function TrendChart({ scenarioKey, runs, version, onOpen }) {
+  const ref = useRef(null);
+  const hitRef = useRef([]);
+  const [trend, setTrend] = useState(null);
+  const [mode, setMode] = useState("time");
+
+  useEffect(() => {
+    let dead = false;
+    getTrend(scenarioKey)
+      .then((d) => !dead && setTrend(d))
+      .catch(() => !dead && setTrend(null));
+    return () => {
+      dead = true;
+    };
+  }, [scenarioKey, runs, version]);
+
+  const points = useMemo(() => trend?.points || [], [trend]);
+  const controllers = useMemo(() => [...new Set(points.map((p) => p.controller ?? "—"))], [points]);
+  const regressions = points.filter((p) => p.regression);
+
+  useEffect(() => {
+    const ctx = ref.current?.getContext("2d");
+    if (!ctx) return;
+    ctx.clearRect(0, 0, W, H);
+    if (!points.length) return;
+
+    const { xs, lo, hi, ticks } = layout(points, mode);
+    const base = trend.baseline?.reference;
+    const band = base ? base.score + (trend.baseline.tolerance?.score ?? 0) : null;
+    const ys = points.map((p) => p.score).concat(base ? [base.score, band] : []);
+    const yLo = Math.min(0, ...ys);
+    const yHi = Math.max(...ys) * 1.1 || 1;
+    const xOf = (v) => PAD.l + ((v - lo) / (hi - lo || 1)) * (W - PAD.l - PAD.r);
+    const yOf = (v) => H - PAD.b - ((v - yLo) / (yHi - yLo)) * (H - PAD.t - PAD.b);
+
+    // Axes: score range on the left, x ticks along the bottom
+    ctx.fillStyle = "rgba(255,255,255,0.5)";
+    ctx.font = "11px sans-serif";
+    ctx.textAlign = "right";
+    ctx.fillText(String(Math.round(yHi)), PAD.l - 6, yOf(yHi) + 8);
+    ctx.fillText(String(Math.round(yLo)), PAD.l - 6, yOf(yLo));
+    ctx.textAlign = "center";
+    for (const tk of ticks) ctx.fillText(tk.label, xOf(tk.at), H - 6);
+
+    if (base) {
+      ctx.fillStyle = "rgba(34,197,94,0.08)";
+      ctx.fillRect(PAD.l, yOf(band), W - PAD.l - PAD.r, yOf(base.score) - yOf(band));
+      ctx.strokeStyle = "rgba(34,197,94,0.8)";
+      ctx.setLineDash([5, 4]);
+      ctx.beginPath();
+      ctx.moveTo(PAD.l, yOf(base.score));
+      ctx.lineTo(W - PAD.r, yOf(base.score));
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    hitRef.current = points.map((p, i) => {
+      const x = xOf(xs[i]);
+      const y = yOf(p.score);
+      ctx.fillStyle = compareColor(controllers.indexOf(p.controller ?? "—"));
+      ctx.beginPath();
+      ctx.arc(x, y, 4.5, 0, Math.PI * 2);
+      ctx.fill();
+      if (p.regression || p.in_baseline) {
+        ctx.strokeStyle = p.regression ? "rgba(239,68,68,0.95)" : "rgba(255,255,255,0.9)";
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, 8, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+      return { p, x, y };
+    });
+  }, [points, trend, mode, controllers]);
+
+  function pointAt(e) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) * W) / rect.width;
+    const y = ((e.clientY - rect.top) * H) / rect.height;
+    let best = null;
+    for (const h of hitRef.current) {
+      const d = Math.hypot(h.x - x, h.y - y);
+      if (d <= 10 && (!best || d < best.d)) best = { ...h, d };
+    }
+    return best?.p || null;
+  }
+
+  if (!points.length) return null;
+
+  return (
+    <div className="compareCard">
+      <div className="matrixHead">
+        <div className="compareTitle">Score trend</div>
+        <select className="select inlineSelect" value={mode} onChange={(e) => setMode(e.target.value)}>
+          <option value="time">by upload time</option>
+          <option value="controller">by controller</option>
+        </select>
+      </div>
+      <canvas
+        ref={ref}
+        className="chartCanvas trendCanvas"
+        width={W}
+        height={H}
+        onClick={(e) => {
+          const p = pointAt(e);
+          if (p) onOpen(p.id);
+        }}
+        onMouseMove={(e) => {
+          const p = pointAt(e);
+          e.currentTarget.title = p ? `${p.label} • ${p.controller ?? "—"} • score ${p.score} ${p.status}` : "";
+        }}
+      />
+      <div className="legend trendLegend">
+        {controllers.map((c, i) => (
+          <span key={c} className="legendItem" style={{ "--c": compareColor(i) }}>
+            {c}
+          </span>
+        ))}
+      </div>
+      {trend.baseline ? (
+        <div className="muted" style={{ fontSize: 12, marginTop: 6 }}>
+          {regressions.length
+            ? `${regressions.length} run(s) regress against the baseline: `
+            : "No stored run regresses against the baseline."}
+          {regressions.map((p, i) => (
+            <React.Fragment key={p.id}>
+              {i ? ", " : ""}
+              <button className="linkBtn" title={p.reasons.join("; ")} onClick={() => onOpen(p.id)}>
+                {p.label}
+              </button>
+            </React.Fragment>
+          ))}
+        </div>
+      ) : (
+        <div className="muted" style={{ fontSize: 12, marginTop: 6 }}>
+          Set a baseline for this scenario to flag regressions.
+        </div>
+      )}
+    </div>
+  );
+}
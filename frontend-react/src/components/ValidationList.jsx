@@ -0,0 +1,28 @@
+import React from "react";
+
+/* -------------------------------------------------------
+   Errors / warnings from POST /api/runs/validate
+------------------------------------------------------- */
+export default function ValidationList({ validation }) {
+  if (!validation) return null;
+  const { errors = [], warnings = [] } = validation;
+
+  if (!errors.length && !warnings.length) {
+    return <div className="muted uploadMsg">✓ Run file looks good.</div>;
+  }
+
+  return (
+    <div className="validation">
+      {errors.map((e, i) => (
+        <div key={"e" + i} className="vItem vError">
+          <span className="mono">{e.path || "/"}</span> {e.message}
+        </div>
+      ))}
+      {warnings.map((w, i) => (
+        <div key={"w" + i} className="vItem vWarn">
+          <span className="mono">{w.path || "/"}</span> {w.message}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,210 @@
+import React, { useState } from "react";
+import { ZONE_KINDS, normalizeZones, zonesToGeoJSON } from "../../../shared/zones.js";
+import { setMapZones, uploadMap } from "../api.js";
+
+/* -------------------------------------------------------
+   Zones over the replay: the map's and the run's, plus
+   drafts drawn on the canvas or loaded from GeoJSON. Drafts
+   count right away; save them to the stored map (or a new
+   one) to keep them and score stored runs with them.
+------------------------------------------------------- */
+const KIND_LABELS = { no_go: "No-go", slow: "Slow", dock: "Docking" };
+const EMPTY_SPEC = { kind: "no_go", name: "", speed_max: "", max_dwell_s: "" };
+// Stand-in polygon to check a spec before any point is drawn.
+const PROBE = [
+  [0, 0],
+  [1, 0],
+  [0, 1]
+];
+
+// A zone as the API takes it (drops the draft flag).
+function toBody(z) {
+  const { id, name, kind, speed_max, max_dwell_s } = z;
+  return { id, name, kind, speed_max, max_dwell_s, points: z.points.map((p) => [p.x, p.y]) };
+}
+
+function zoneLine(z) {
+  return (
+    `${z.name} • ${KIND_LABELS[z.kind]}` +
+    (z.speed_max != null ? ` ≤ ${z.speed_max} m/s` : "") +
+    (z.max_dwell_s != null ? ` • dwell ≤ ${z.max_dwell_s}s` : "")
+  );
+}
+
+export default function ZoneEditor({
+  mapId,
+  storedZones,
+  runZones,
+  drafts,
+  onDrafts,
+  drawing,
+  onDraw,
+  onFinish,
+  onCancel,
+  onSaved
+}) {
+  const [spec, setSpec] = useState(EMPTY_SPEC);
+  const [msg, setMsg] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  function startDraw() {
+    setMsg("");
+    try {
+      normalizeZones([{ ...spec, points: PROBE }]);
+      onDraw({ ...spec, name: spec.name.trim() || `${KIND_LABELS[spec.kind]} ${drafts.length + 1}` });
+    } catch (e) {
+      setMsg(e.message.replace(/^zones\[0\]: /, ""));
+    }
+  }
+
+  async function loadFile(file) {
+    setMsg("");
+    try {
+      const loaded = normalizeZones(JSON.parse(await file.text()));
+      onDrafts(drafts.concat(loaded.map((z) => ({ ...z, id: `draft_${z.id}`, draft: true }))));
+      setMsg(`Loaded ${loaded.length} zone(s).`);
+    } catch (e) {
+      setMsg("Could not read zones: " + (e?.message || String(e)));
+    }
+  }
+
+  async function save() {
+    setBusy(true);
+    setMsg("");
+    try {
+      const zones = (mapId ? storedZones : []).concat(drafts).map(toBody);
+      const id = mapId || (await uploadMap({ name: `zones ${new Date().toISOString().slice(0, 10)}`, zones })).id;
+      if (mapId) await setMapZones(mapId, zones);
+      onDrafts([]);
+      onSaved(id);
+      setMsg(mapId ? "Saved to the map." : `Stored as map ${id}.`);
+    } catch (e) {
+      setMsg("Saving failed: " + (e?.message || String(e)));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function removeStored(id) {
+    setMsg("");
+    try {
+      await setMapZones(mapId, storedZones.filter((z) => z.id !== id).map(toBody));
+      onSaved(mapId);
+    } catch (e) {
+      setMsg("Saving failed: " + (e?.message || String(e)));
+    }
+  }
+
+  function download() {
+    const all = normalizeZones(runZones.concat(storedZones, drafts).map(toBody));
+    const blob = new Blob([JSON.stringify(zonesToGeoJSON(all), null, 2)], { type: "application/geo+json" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = "zones.geojson";
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }
+
+  const set = (k) => (e) => setSpec((s) => ({ ...s, [k]: e.target.value }));
+  const total = runZones.length + storedZones.length + drafts.length;
+
+  return (
+    <div className="compareCard">
+      <div className="compareTitle">Zones</div>
+      {runZones.map((z) => (
+        <div key={"run:" + z.id} className="zoneRow muted" title="From the run file">
+          <span className={"swatch zone " + z.kind} />
+          {zoneLine(z)}
+        </div>
+      ))}
+      {storedZones.map((z) => (
+        <div key={"map:" + z.id} className="zoneRow">
+          <span className={"swatch zone " + z.kind} />
+          {zoneLine(z)}
+          <button className="iconBtn" title="Remove from the map" onClick={() => removeStored(z.id)}>
+            ×
+          </button>
+        </div>
+      ))}
+      {drafts.map((z) => (
+        <div key={z.id} className="zoneRow">
+          <span className={"swatch zone " + z.kind} />
+          <i>{zoneLine(z)}</i>
+          <button className="iconBtn" title="Discard" onClick={() => onDrafts(drafts.filter((d) => d !== z))}>
+            ×
+          </button>
+        </div>
+      ))}
+      {!total ? <div className="muted" style={{ fontSize: 12 }}>No zones on this map.</div> : null}
+
+      {drawing ? (
+        <div className="zoneForm">
+          <div className="muted" style={{ fontSize: 12 }}>
+            Click the corners on the replay; double-click or Finish to close the zone.
+          </div>
+          <div className="baselineActions">
+            <button className="btn ghost" onClick={onFinish}>
+              Finish
+            </button>
+            <button className="btn ghost" onClick={onCancel}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="zoneForm">
+          <div className="zoneFields">
+            <select className="select" value={spec.kind} onChange={set("kind")}>
+              {ZONE_KINDS.map((k) => (
+                <option key={k} value={k}>
+                  {KIND_LABELS[k]}
+                </option>
+              ))}
+            </select>
+            <input className="select" placeholder="Name" value={spec.name} onChange={set("name")} />
+            <input
+              className="select"
+              type="number"
+              min="0"
+              step="0.1"
+              placeholder={spec.kind === "slow" ? "Speed cap m/s" : "Speed cap (opt.)"}
+              value={spec.speed_max}
+              onChange={set("speed_max")}
+            />
+            <input
+              className="select"
+              type="number"
+              min="0"
+              placeholder="Max dwell s (opt.)"
+              value={spec.max_dwell_s}
+              onChange={set("max_dwell_s")}
+            />
+          </div>
+          <div className="baselineActions">
+            <button className="btn ghost" onClick={startDraw}>
+              Draw on replay
+            </button>
+            <label className="btn ghost fileBtn">
+              Load GeoJSON
+              <input
+                type="file"
+                accept=".json,.geojson"
+                onChange={(e) => {
+                  if (e.target.files?.[0]) loadFile(e.target.files[0]);
+                  e.target.value = "";
+                }}
+              />
+            </label>
+            <button className="btn ghost" disabled={!drafts.length || busy} onClick={save}>
+              {mapId ? "Save to map" : "Save as map"}
+            </button>
+            <button className="btn ghost" disabled={!total} onClick={download}>
+              Download
+            </button>
+          </div>
+        </div>
+      )}
+      {msg ? <div className="muted uploadMsg">{msg}</div> : null}
+    </div>
+  );
+}
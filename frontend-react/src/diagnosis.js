@@ -0,0 +1,45 @@
+/* -------------------------------------------------------
+   Diagnosis diffing (plain text for diagBox)
+------------------------------------------------------- */
+
+function fmtWhen(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "" : d.toLocaleString();
+}
+
+const evidenceLine = (e) => `[${Number(e.t).toFixed(1)}s] ${e.type}`;
+
+function listDiff(title, a = [], b = []) {
+  const before = new Set(a);
+  const after = new Set(b);
+  const lines = [
+    ...b.filter((x) => !before.has(x)).map((x) => "+ " + x),
+    ...a.filter((x) => !after.has(x)).map((x) => "- " + x)
+  ];
+  return lines.length ? `${title}:\n${lines.join("\n")}` : "";
+}
+
+/**
+ * Text diff of two stored diagnoses (history records with `result`), older
+ * first. List items are compared as whole strings: "+" added, "-" removed.
+ */
+export function diffDiagnoses(a, b) {
+  const ra = a.result || {};
+  const rb = b.result || {};
+  const head =
+    `${fmtWhen(a.created_at)} (${a.provider} • ${a.model}${a.controller ? " • " + a.controller : ""})\n→ ` +
+    `${fmtWhen(b.created_at)} (${b.provider} • ${b.model}${b.controller ? " • " + b.controller : ""})`;
+
+  const parts = [
+    ra.verdict !== rb.verdict ? `VERDICT: ${ra.verdict} → ${rb.verdict}` : `VERDICT: ${rb.verdict} (unchanged)`,
+    `CONFIDENCE: ${Number(ra.confidence).toFixed(2)} → ${Number(rb.confidence).toFixed(2)}`,
+    ra.grounding && rb.grounding ? `GROUNDING: ${ra.grounding.score} → ${rb.grounding.score}` : "",
+    ra.operator_summary !== rb.operator_summary ? `SUMMARY:\n- ${ra.operator_summary}\n+ ${rb.operator_summary}` : "",
+    listDiff("ROOT CAUSES", ra.root_causes, rb.root_causes),
+    listDiff("EVIDENCE", (ra.evidence || []).map(evidenceLine), (rb.evidence || []).map(evidenceLine)),
+    listDiff("RECOMMENDATIONS", ra.recommendations, rb.recommendations),
+    listDiff("NEXT TESTS", ra.next_tests, rb.next_tests)
+  ].filter(Boolean);
+
+  return `${head}\n\n${parts.join("\n\n")}`;
+}
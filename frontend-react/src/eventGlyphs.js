@@ -0,0 +1,92 @@
+/* -------------------------------------------------------
+   Event glyphs for the replay canvas and slider ticks.
+   Shape tells the type; the compare run reuses the shapes
+   in its own colour so the two runs stay distinguishable.
+------------------------------------------------------- */
+export const EVENT_STYLES = {
+  near_collision: { shape: "triangle", color: "#fbbf24", label: "near-collision" },
+  collision: { shape: "cross", color: "#ef4444", label: "collision" },
+  stuck: { shape: "square", color: "#a78bfa", label: "stuck" },
+  replan: { shape: "diamond", color: "#38bdf8", label: "replan" },
+  no_go_entry: { shape: "cross", color: "#f472b6", label: "no-go" },
+  speed_limit: { shape: "triangle", color: "#fb923c", label: "speeding" },
+  dwell_limit: { shape: "square", color: "#2dd4bf", label: "overstay" },
+  waypoint_reached: { shape: "circle", color: "#4ade80", label: "waypoint" },
+  goal_reached: { shape: "circle", color: "#22c55e", label: "goal" },
+  goal_missed: { shape: "cross", color: "#e11d48", label: "goal missed" },
+  detour: { shape: "diamond", color: "#c084fc", label: "detour" }
+};
+const OTHER = { shape: "circle", color: "#94a3b8", label: "other" };
+
+// Overlay colours for compare runs, in the order they were added; the first is the classic red.
+export const COMPARE_PALETTE = [
+  "rgba(239,68,68,0.95)",
+  "rgba(251,146,60,0.95)",
+  "rgba(45,212,191,0.95)",
+  "rgba(244,114,182,0.95)",
+  "rgba(163,230,53,0.95)",
+  "rgba(96,165,250,0.95)",
+  "rgba(250,204,21,0.95)",
+  "rgba(192,132,252,0.95)",
+  "rgba(148,163,184,0.95)",
+  "rgba(34,197,94,0.95)"
+];
+export const COMPARE_COLOR = COMPARE_PALETTE[0];
+
+export function compareColor(i) {
+  return COMPARE_PALETTE[((i % COMPARE_PALETTE.length) + COMPARE_PALETTE.length) % COMPARE_PALETTE.length];
+}
+
+export function eventStyle(type) {
+  return EVENT_STYLES[type] || OTHER;
+}
+
+function tracePath(ctx, shape, x, y, r) {
+  ctx.beginPath();
+  switch (shape) {
+    case "triangle":
+      ctx.moveTo(x, y - r);
+      ctx.lineTo(x + r * 0.9, y + r * 0.7);
+      ctx.lineTo(x - r * 0.9, y + r * 0.7);
+      ctx.closePath();
+      break;
+    case "square":
+      ctx.rect(x - r * 0.75, y - r * 0.75, r * 1.5, r * 1.5);
+      break;
+    case "diamond":
+      ctx.moveTo(x, y - r);
+      ctx.lineTo(x + r, y);
+      ctx.lineTo(x, y + r);
+      ctx.lineTo(x - r, y);
+      ctx.closePath();
+      break;
+    case "cross":
+      ctx.moveTo(x - r * 0.8, y - r * 0.8);
+      ctx.lineTo(x + r * 0.8, y + r * 0.8);
+      ctx.moveTo(x + r * 0.8, y - r * 0.8);
+      ctx.lineTo(x - r * 0.8, y + r * 0.8);
+      break;
+    default:
+      ctx.arc(x, y, r * 0.7, 0, Math.PI * 2);
+  }
+}
+
+/** One glyph at canvas (x, y). `color` overrides the type colour (compare run). */
+export function drawEventGlyph(ctx, type, x, y, { color, alpha = 1, r = 7, highlight = false } = {}) {
+  const style = eventStyle(type);
+  ctx.save();
+  ctx.globalAlpha = alpha;
+  tracePath(ctx, style.shape, x, y, highlight ? r * 1.35 : r);
+  if (style.shape === "cross") {
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = color || style.color;
+    ctx.stroke();
+  } else {
+    ctx.fillStyle = color || style.color;
+    ctx.strokeStyle = "rgba(0,0,0,0.55)";
+    ctx.lineWidth = 1.5;
+    ctx.fill();
+    ctx.stroke();
+  }
+  ctx.restore();
+}
@@ -0,0 +1,162 @@
+/* -------------------------------------------------------
+   Map layer drawn under the replay paths: occupancy grid
+   image, obstacle polygons (formats in shared/maps.js),
+   zones (shared/zones.js) and the run's mission
+   (shared/mission.js).
+
+   `view` is the world → canvas transform the paths use:
+   canvas = (tx + x * k, ty - y * k).
+------------------------------------------------------- */
+import { OCC_UNKNOWN } from "../../shared/maps.js";
+
+/** Occupancy bytes → an offscreen canvas, one pixel per cell (row 0 = top). */
+export function gridToImage(map, bytes) {
+  const { width, height } = map;
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  const img = ctx.createImageData(width, height);
+  for (let i = 0; i < width * height; i++) {
+    const v = bytes[i];
+    const o = i * 4;
+    if (v === OCC_UNKNOWN) continue; // transparent: the grid background shows through
+    // Free space is a faint wash, walls are bright; scale-mode values shade in between.
+    const occ = Math.min(v, 100) / 100;
+    img.data[o] = 148 + 60 * occ;
+    img.data[o + 1] = 163 + 45 * occ;
+    img.data[o + 2] = 184 + 30 * occ;
+    img.data[o + 3] = 18 + 170 * occ;
+  }
+  ctx.putImageData(img, 0, 0);
+  return canvas;
+}
+
+/** Draws the grid image with the map's resolution, origin and origin yaw. */
+export function drawOccupancy(ctx, map, image, view) {
+  if (!map || !image) return;
+  const [ox, oy, yaw] = map.origin || [0, 0, 0];
+  ctx.save();
+  ctx.setTransform(view.k, 0, 0, -view.k, view.tx, view.ty);
+  ctx.translate(ox, oy);
+  ctx.rotate(yaw || 0);
+  // Row 0 of the image is the top of the map, i.e. y = height * resolution.
+  ctx.scale(map.resolution, -map.resolution);
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(image, 0, -map.height);
+  ctx.restore();
+}
+
+export function drawObstacles(ctx, obstacles, toCanvas) {
+  if (!obstacles?.length) return;
+  ctx.save();
+  ctx.fillStyle = "rgba(148,163,184,0.28)";
+  ctx.strokeStyle = "rgba(203,213,225,0.7)";
+  ctx.lineWidth = 1.5;
+  ctx.font = "11px system-ui, sans-serif";
+  for (const o of obstacles) {
+    ctx.beginPath();
+    o.points.forEach((p, i) => {
+      const c = toCanvas(p);
+      if (i === 0) ctx.moveTo(c.x, c.y);
+      else ctx.lineTo(c.x, c.y);
+    });
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    if (o.label) {
+      const c = toCanvas(o.points[0]);
+      ctx.fillStyle = "rgba(226,232,240,0.75)";
+      ctx.fillText(o.label, c.x + 4, c.y - 4);
+      ctx.fillStyle = "rgba(148,163,184,0.28)";
+    }
+  }
+  ctx.restore();
+}
+
+const ZONE_COLORS = {
+  no_go: "239,68,68",
+  slow: "234,179,8",
+  dock: "56,189,248"
+};
+
+function tracePolygon(ctx, points, toCanvas) {
+  ctx.beginPath();
+  points.forEach((p, i) => {
+    const c = toCanvas(p);
+    if (i === 0) ctx.moveTo(c.x, c.y);
+    else ctx.lineTo(c.x, c.y);
+  });
+}
+
+/** Zones (shared/zones.js) as tinted polygons, dashed for ones not saved yet, with their names. */
+export function drawZones(ctx, zones, toCanvas) {
+  if (!zones?.length) return;
+  ctx.save();
+  ctx.lineWidth = 1.5;
+  ctx.font = "11px system-ui, sans-serif";
+  for (const z of zones) {
+    const rgb = ZONE_COLORS[z.kind] || "148,163,184";
+    tracePolygon(ctx, z.points, toCanvas);
+    ctx.closePath();
+    ctx.fillStyle = `rgba(${rgb},0.12)`;
+    ctx.strokeStyle = `rgba(${rgb},0.8)`;
+    ctx.setLineDash(z.draft ? [5, 4] : []);
+    ctx.fill();
+    ctx.stroke();
+    const c = toCanvas(z.points[0]);
+    ctx.fillStyle = `rgba(${rgb},0.95)`;
+    ctx.fillText(z.speed_max != null ? `${z.name} ≤${z.speed_max} m/s` : z.name, c.x + 4, c.y + 12);
+  }
+  ctx.restore();
+}
+
+/** The zone being drawn: its points so far, joined. */
+export function drawZoneSketch(ctx, points, toCanvas) {
+  if (!points?.length) return;
+  ctx.save();
+  ctx.strokeStyle = "rgba(255,255,255,0.9)";
+  ctx.fillStyle = "rgba(255,255,255,0.9)";
+  ctx.setLineDash([4, 3]);
+  tracePolygon(ctx, points, toCanvas);
+  ctx.stroke();
+  for (const p of points) {
+    const c = toCanvas(p);
+    ctx.fillRect(c.x - 2.5, c.y - 2.5, 5, 5);
+  }
+  ctx.restore();
+}
+
+/**
+ * The mission: planned path dashed, each waypoint and the goal as a circle of
+ * the goal tolerance, green once reached (from evaluateMission()'s targets).
+ */
+export function drawMission(ctx, mission, result, view) {
+  if (!mission) return;
+  const toCanvas = (p) => ({ x: view.tx + p.x * view.k, y: view.ty - p.y * view.k });
+  ctx.save();
+  ctx.lineWidth = 1.5;
+  ctx.font = "11px system-ui, sans-serif";
+  if (mission.planned_path) {
+    ctx.strokeStyle = "rgba(192,132,252,0.7)";
+    ctx.setLineDash([6, 4]);
+    tracePolygon(ctx, mission.planned_path, toCanvas);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+  const targets = mission.waypoints.concat([mission.goal]);
+  targets.forEach((p, i) => {
+    const goal = i === targets.length - 1;
+    const rgb = result?.targets[i]?.reached ? "34,197,94" : "226,232,240";
+    const c = toCanvas(p);
+    ctx.beginPath();
+    ctx.arc(c.x, c.y, Math.max(4, mission.tolerance.xy * view.k), 0, Math.PI * 2);
+    ctx.fillStyle = `rgba(${rgb},0.12)`;
+    ctx.strokeStyle = `rgba(${rgb},0.85)`;
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = `rgba(${rgb},0.95)`;
+    ctx.fillText(goal ? "goal" : `wp ${i + 1}`, c.x + 6, c.y - 6);
+  });
+  ctx.restore();
+}
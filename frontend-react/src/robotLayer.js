@@ -0,0 +1,79 @@
+/* -------------------------------------------------------
+   Robot marker at the playhead: footprint oriented by yaw
+   (see robotFootprint in shared/maps.js), optional heading
+   arrow and velocity vector.
+
+   `view` is the world → canvas transform ({ k, tx, ty })
+   the paths use; `pose` comes from poseAt().
+------------------------------------------------------- */
+
+function arrow(ctx, x0, y0, x1, y1, head) {
+  const a = Math.atan2(y1 - y0, x1 - x0);
+  ctx.beginPath();
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x1, y1);
+  ctx.moveTo(x1 - head * Math.cos(a - 0.45), y1 - head * Math.sin(a - 0.45));
+  ctx.lineTo(x1, y1);
+  ctx.lineTo(x1 - head * Math.cos(a + 0.45), y1 - head * Math.sin(a + 0.45));
+  ctx.stroke();
+}
+
+// Footprint outline in canvas px; yaw is counter-clockwise in the world, so y flips.
+function footprintPath(ctx, pose, footprint, view) {
+  const c = { x: view.tx + pose.x * view.k, y: view.ty - pose.y * view.k };
+  ctx.beginPath();
+  if (footprint?.polygon) {
+    const yaw = pose.yaw ?? 0;
+    const cos = Math.cos(yaw);
+    const sin = Math.sin(yaw);
+    footprint.polygon.forEach((p, i) => {
+      const wx = pose.x + p.x * cos - p.y * sin;
+      const wy = pose.y + p.x * sin + p.y * cos;
+      const cx = view.tx + wx * view.k;
+      const cy = view.ty - wy * view.k;
+      if (i === 0) ctx.moveTo(cx, cy);
+      else ctx.lineTo(cx, cy);
+    });
+    ctx.closePath();
+    const reach = Math.max(...footprint.polygon.map((p) => Math.hypot(p.x, p.y)));
+    return { c, reachPx: reach * view.k };
+  }
+  // A radius, or the old fixed dot when the run doesn't say how big the robot is.
+  const r = footprint?.radius ? Math.max(3, footprint.radius * view.k) : 5;
+  ctx.arc(c.x, c.y, r, 0, Math.PI * 2);
+  return { c, reachPx: r };
+}
+
+export function drawRobot(ctx, pose, footprint, view, { color, heading = true, velocity = false } = {}) {
+  if (!pose) return;
+  ctx.save();
+
+  const { c, reachPx } = footprintPath(ctx, pose, footprint, view);
+  ctx.fillStyle = color;
+  ctx.globalAlpha = footprint ? 0.35 : 0.9;
+  ctx.fill();
+  ctx.globalAlpha = 1;
+  ctx.strokeStyle = footprint ? color : "rgba(0,0,0,0.35)";
+  ctx.lineWidth = 2;
+  ctx.stroke();
+
+  if (heading && pose.yaw != null) {
+    const len = Math.max(18, reachPx * 1.6);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    // Dashed when the heading is only the direction of travel (no yaw logged).
+    if (pose.yaw_estimated) ctx.setLineDash([4, 3]);
+    arrow(ctx, c.x, c.y, c.x + len * Math.cos(pose.yaw), c.y - len * Math.sin(pose.yaw), 6);
+    ctx.setLineDash([]);
+  }
+
+  // Velocity vector: where the robot would be in one second at its current speed.
+  if (velocity && pose.v && pose.yaw != null) {
+    const len = pose.v * view.k;
+    ctx.strokeStyle = "rgba(35,197,94,0.95)";
+    ctx.lineWidth = 2;
+    arrow(ctx, c.x, c.y, c.x + len * Math.cos(pose.yaw), c.y - len * Math.sin(pose.yaw), 7);
+  }
+
+  ctx.restore();
+}
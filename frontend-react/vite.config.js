@@ -5,7 +5,12 @@ export default defineConfig({
   plugins: [react()],
   server: {
     proxy: {
-      "/api": "http://localhost:8000"
+      // ws: live run watch sockets live under /api/live
+      "/api": { target: "http://localhost:8000", ws: true }
+    },
+    // Analysis code shared with the backend lives in ../shared
+    fs: {
+      allow: [".."]
     }
   }
 });
@@ -0,0 +1,78 @@
+import { COUNT_KEYS } from "./scenarios.js";
+import { describe, runMetrics } from "./stats.js";
+
+/* -------------------------------------------------------
+   Per-scenario baselines: one run, or a group of runs
+   (their mean), that later runs are checked against.
+   A run regresses when its score, any event count or its
+   duration is worse than the baseline beyond tolerance.
+------------------------------------------------------- */
+
+// Score and counts in absolute units; duration in percent of the baseline's.
+export const DEFAULT_TOLERANCE = { score: 0, count: 0, duration_pct: 10 };
+
+export class BaselineError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BaselineError";
+    this.status = 400;
+  }
+}
+
+/** Checks a baseline from a request body: { run_ids, label?, tolerance? }. */
+export function normalizeBaseline(body, scenarioKey) {
+  const ids = Array.isArray(body?.run_ids) ? body.run_ids.map(String).filter(Boolean) : [];
+  if (!ids.length) throw new BaselineError("run_ids must list at least one run.");
+
+  const tolerance = { ...DEFAULT_TOLERANCE };
+  for (const k of Object.keys(DEFAULT_TOLERANCE)) {
+    const raw = body?.tolerance?.[k];
+    if (raw == null || raw === "") continue;
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < 0) throw new BaselineError(`tolerance.${k} must be a number ≥ 0.`);
+    tolerance[k] = n;
+  }
+
+  return {
+    scenario: scenarioKey,
+    run_ids: [...new Set(ids)],
+    label: String(body?.label || (ids.length === 1 ? ids[0] : `${ids.length} runs`)).slice(0, 80),
+    tolerance,
+    set_at: new Date().toISOString()
+  };
+}
+
+/** Mean metrics (see runMetrics) of the baseline runs under a scenario, with n. */
+export function baselineReference(runs, scenario) {
+  const metrics = runs.map((r) => runMetrics(r, scenario));
+  const ref = { n: runs.length };
+  for (const k of ["score", ...COUNT_KEYS, "duration"]) ref[k] = describe(metrics.map((m) => m[k])).mean;
+  return ref;
+}
+
+/**
+ * Compares one run's metrics against a reference. Returns { regression,
+ * reasons, deltas } where deltas are run − baseline and reasons name each
+ * metric that got worse beyond tolerance.
+ */
+export function checkRegression(metrics, ref, tolerance = DEFAULT_TOLERANCE) {
+  const tol = { ...DEFAULT_TOLERANCE, ...tolerance };
+  const deltas = {};
+  const reasons = [];
+  const round = (v) => Math.round(v * 100) / 100;
+
+  deltas.score = metrics.score - ref.score;
+  if (deltas.score > tol.score) reasons.push(`score ${round(ref.score)} → ${metrics.score} (tolerance ${tol.score})`);
+
+  for (const k of COUNT_KEYS) {
+    deltas[k] = (metrics[k] || 0) - (ref[k] || 0);
+    if (deltas[k] > tol.count) reasons.push(`${k} ${round(ref[k] || 0)} → ${metrics[k] || 0}`);
+  }
+
+  deltas.duration = metrics.duration - ref.duration;
+  if (ref.duration > 0 && (deltas.duration / ref.duration) * 100 > tol.duration_pct) {
+    reasons.push(`duration ${round(ref.duration)}s → ${round(metrics.duration)}s (tolerance ${tol.duration_pct}%)`);
+  }
+
+  return { regression: reasons.length > 0, reasons, deltas };
+}
@@ -0,0 +1,249 @@
+import {
+  medianSpacing,
+  pathLength,
+  runEvents,
+  runFrames,
+  runTimeMax,
+  samples,
+  speeds,
+  wrapAngle
+} from "./frames.js";
+
+/* -------------------------------------------------------
+   Event derivation: recompute events from the frame stream
+   instead of trusting the run's own `events` / `stats`.
+
+   Every detector is threshold-driven; scenarios override
+   any subset via `scenario.derive`.
+------------------------------------------------------- */
+
+export const DEFAULT_DERIVE = {
+  // Displacement from where the robot stopped stays under pos_delta for min_duration_s.
+  stuck: { pos_delta: 0.01, min_duration_s: 2 },
+  // Heading rate keeps flipping sign: min_reversals flips inside window_s, ignoring |rate| < min_yaw_rate.
+  oscillation: { window_s: 4, min_reversals: 3, min_yaw_rate: 0.2 },
+  // Turned through min_yaw_change rad within window_s while moving less than max_pos_delta.
+  spin: { window_s: 4, min_yaw_change: Math.PI, max_pos_delta: 0.1 },
+  // Speed above max_speed, or |acceleration| above max_accel.
+  speed_spike: { max_speed: 1.5, max_accel: 2.5 }
+};
+
+export function resolveDeriveConfig(overrides) {
+  const out = {};
+  for (const [k, base] of Object.entries(DEFAULT_DERIVE)) {
+    const o = overrides?.[k];
+    out[k] = o === false ? false : { ...base, ...(o || {}) };
+  }
+  return out;
+}
+
+const r2 = (n) => Math.round(n * 100) / 100;
+
+function detectStuck(s, cfg) {
+  const out = [];
+  let i = 0;
+  while (i < s.length) {
+    let j = i;
+    while (j + 1 < s.length && Math.hypot(s[j + 1].x - s[i].x, s[j + 1].y - s[i].y) < cfg.pos_delta) j++;
+    const dur = s[j].t - s[i].t;
+    if (dur >= cfg.min_duration_s) {
+      out.push({
+        t: r2(s[i].t + cfg.min_duration_s),
+        type: "stuck",
+        detail: `pos_delta<${cfg.pos_delta} for ${r2(dur)}s`,
+        t_start: s[i].t,
+        t_end: s[j].t
+      });
+    }
+    i = j > i ? j : i + 1;
+  }
+  return out;
+}
+
+function yawRates(s) {
+  const out = [];
+  for (let i = 1; i < s.length; i++) {
+    const dt = s[i].t - s[i - 1].t;
+    if (dt <= 0 || s[i].yaw == null || s[i - 1].yaw == null) continue;
+    out.push({ t: s[i].t, rate: wrapAngle(s[i].yaw - s[i - 1].yaw) / dt });
+  }
+  return out;
+}
+
+function detectOscillation(s, cfg) {
+  const out = [];
+  const rates = yawRates(s).filter((r) => Math.abs(r.rate) >= cfg.min_yaw_rate);
+  const flips = [];
+  for (let k = 1; k < rates.length; k++) {
+    if (Math.sign(rates[k].rate) !== Math.sign(rates[k - 1].rate)) flips.push(rates[k].t);
+  }
+
+  let cooldownUntil = -Infinity;
+  for (let k = 0; k < flips.length; k++) {
+    const t = flips[k];
+    if (t < cooldownUntil) continue;
+    let n = 0;
+    for (let m = k; m >= 0 && t - flips[m] <= cfg.window_s; m--) n++;
+    if (n >= cfg.min_reversals) {
+      out.push({
+        t: r2(t),
+        type: "oscillation",
+        detail: `${n} heading reversals in ${cfg.window_s}s`,
+        t_start: flips[k - n + 1],
+        t_end: t
+      });
+      cooldownUntil = t + cfg.window_s;
+    }
+  }
+  return out;
+}
+
+function detectSpin(s, cfg) {
+  const out = [];
+  let i = 0;
+  while (i < s.length - 1) {
+    if (s[i].yaw == null) {
+      i++;
+      continue;
+    }
+    let turned = 0;
+    let maxDisp = 0;
+    let hit = -1;
+    for (let j = i + 1; j < s.length && s[j].t - s[i].t <= cfg.window_s; j++) {
+      if (s[j].yaw == null || s[j - 1].yaw == null) break;
+      turned += Math.abs(wrapAngle(s[j].yaw - s[j - 1].yaw));
+      maxDisp = Math.max(maxDisp, Math.hypot(s[j].x - s[i].x, s[j].y - s[i].y));
+      if (maxDisp >= cfg.max_pos_delta) break;
+      if (turned >= cfg.min_yaw_change) {
+        hit = j;
+        break;
+      }
+    }
+    if (hit !== -1) {
+      out.push({
+        t: r2(s[hit].t),
+        type: "spin_in_place",
+        detail: `turned ${r2(turned)} rad within ${r2(maxDisp)}m`,
+        t_start: s[i].t,
+        t_end: s[hit].t
+      });
+      i = hit;
+    } else i++;
+  }
+  return out;
+}
+
+function detectSpeedSpikes(s, cfg) {
+  const out = [];
+  const v = speeds(s);
+  let over = false;
+  let accelOver = false;
+
+  for (let i = 0; i < s.length; i++) {
+    const fast = v[i] > cfg.max_speed;
+    if (fast && !over) {
+      out.push({ t: r2(s[i].t), type: "speed_spike", detail: `v=${r2(v[i])}>${cfg.max_speed} m/s` });
+    }
+    over = fast;
+
+    if (i === 0) continue;
+    const dt = s[i].t - s[i - 1].t;
+    const a = dt > 0 ? (v[i] - v[i - 1]) / dt : 0;
+    const hard = Math.abs(a) > cfg.max_accel;
+    if (hard && !accelOver) {
+      out.push({ t: r2(s[i].t), type: "speed_spike", detail: `a=${r2(a)} m/s² (|a|>${cfg.max_accel})` });
+    }
+    accelOver = hard;
+  }
+  return out;
+}
+
+/**
+ * Derives events from frames. `overrides` is a scenario's `derive` block;
+ * set a detector to `false` to disable it.
+ */
+export function deriveEvents(run, overrides) {
+  const cfg = resolveDeriveConfig(overrides);
+  const s = samples(runFrames(run));
+  if (s.length < 2) return [];
+
+  const out = [];
+  if (cfg.stuck) out.push(...detectStuck(s, cfg.stuck));
+  if (cfg.oscillation) out.push(...detectOscillation(s, cfg.oscillation));
+  if (cfg.spin) out.push(...detectSpin(s, cfg.spin));
+  if (cfg.speed_spike) out.push(...detectSpeedSpikes(s, cfg.speed_spike));
+  return out.sort((a, b) => a.t - b.t).map((e) => ({ ...e, derived: true }));
+}
+
+/* -------------------------------------------------------
+   Consistency checks: recorded events vs derived events,
+   and the `stats` block vs both.
+------------------------------------------------------- */
+
+const DERIVABLE_TYPES = ["stuck", "oscillation", "spin_in_place", "speed_spike"];
+
+const STAT_COUNT_FIELDS = {
+  near_collision_count: "near_collision",
+  collision_count: "collision",
+  stuck_count: "stuck",
+  replan_count: "replan"
+};
+
+export function findMismatches(run, derived) {
+  const s = samples(runFrames(run));
+  const recorded = runEvents(run)
+    .map((e) => ({ t: Number(e?.t), type: String(e?.type || "") }))
+    .filter((e) => Number.isFinite(e.t) && e.type);
+  const tolerance = Math.max(2, 1.5 * medianSpacing(s));
+  const out = [];
+
+  // Only types the engine can derive are cross-checked; near_collision needs sensor data.
+  for (const type of DERIVABLE_TYPES) {
+    const rec = recorded.filter((e) => e.type === type);
+    const der = derived.filter((e) => e.type === type);
+    if (!rec.length && type !== "stuck") continue;
+
+    // A recorded event matches a derived one anywhere inside its detected interval.
+    const near = (d, t) =>
+      d.t_start != null ? t >= d.t_start - tolerance && t <= d.t_end + tolerance : Math.abs(d.t - t) <= tolerance;
+    const used = new Set();
+    for (const e of rec) {
+      const k = der.findIndex((d, idx) => !used.has(idx) && near(d, e.t));
+      if (k === -1) {
+        out.push({ kind: "recorded_not_derived", type, t: e.t, detail: `recorded ${type} at ${e.t}s not seen in frames` });
+      } else used.add(k);
+    }
+    der.forEach((d, idx) => {
+      if (!used.has(idx)) {
+        out.push({ kind: "derived_not_recorded", type, t: d.t, detail: `${type} in frames at ${d.t}s missing from events` });
+      }
+    });
+  }
+
+  const stats = run?.stats || {};
+  for (const [field, type] of Object.entries(STAT_COUNT_FIELDS)) {
+    if (stats[field] == null) continue;
+    const n = recorded.filter((e) => e.type === type).length;
+    if (Number(stats[field]) !== n) {
+      out.push({ kind: "stats_vs_events", type, detail: `stats.${field}=${stats[field]} but events has ${n}` });
+    }
+  }
+
+  if (stats.duration_s != null && s.length) {
+    const lastT = runTimeMax(run);
+    if (Math.abs(Number(stats.duration_s) - lastT) > Math.max(tolerance, 0.05 * lastT)) {
+      out.push({ kind: "stats_vs_frames", type: "duration", detail: `stats.duration_s=${stats.duration_s} but frames end at ${lastT}s` });
+    }
+  }
+  // The polyline through samples is a lower bound on the true path, so only a
+  // shorter stat is a hard contradiction; a much longer one is merely implausible.
+  if (stats.distance_m != null && s.length > 1) {
+    const d = pathLength(runFrames(run));
+    const claimed = Number(stats.distance_m);
+    if (claimed < 0.9 * d - 0.1 || claimed > 1.5 * d + 0.5) {
+      out.push({ kind: "stats_vs_frames", type: "distance", detail: `stats.distance_m=${stats.distance_m} but frame path is ${r2(d)}m` });
+    }
+  }
+
+  return out.sort((a, b) => (a.t ?? -1) - (b.t ?? -1));
+}
@@ -0,0 +1,210 @@
+import { medianSpacing, runEvents, runFrames, samples } from "./frames.js";
+
+/* -------------------------------------------------------
+   Fleet runs: several robots in one run. Each agent has
+
+     { id, name?, color?, meta?: { robot, footprint,
+       robot_radius }, frames, events?, stats?, mission? }
+
+   Top-level events may name their robot with `agent: id`;
+   ones without belong to the fleet as a whole.
+
+   agentRun() is one robot seen as a single-robot run, so
+   everything written for one robot (charts, derived
+   events, missions, rules) works per agent unchanged.
+   withFleetEvents() adds a near_collision for each time
+   two robots come closer than min_gap_m, footprints as
+   their bounding circles; the event names both robots in
+   `agents` and counts once for the fleet, once for each.
+------------------------------------------------------- */
+
+export const DEFAULT_AGENT_RADIUS_M = 0.3;
+// Clearance between two robots' bounding circles below which they nearly collide.
+export const NEAR_GAP_M = 0.5;
+
+const r2 = (n) => Math.round(n * 100) / 100;
+
+/** Whether the run has agents. */
+export function isFleet(run) {
+  return Array.isArray(run?.agents) && run.agents.length > 0;
+}
+
+/**
+ * The run's agents as [{ id, name, color, meta, frames, events, stats,
+ * mission }], ids as strings; [] for single-robot runs. `color` is null
+ * unless the run sets one.
+ */
+export function runAgents(run) {
+  if (!isFleet(run)) return [];
+  return run.agents
+    .filter((a) => a && typeof a === "object")
+    .map((a, i) => {
+      const id = a.id != null && a.id !== "" ? String(a.id) : `agent_${i + 1}`;
+      return {
+        id,
+        name: String(a.name || id).slice(0, 80),
+        color: typeof a.color === "string" && a.color ? a.color : null,
+        meta: a.meta && typeof a.meta === "object" ? a.meta : {},
+        frames: runFrames(a),
+        events: runEvents(a),
+        stats: a.stats && typeof a.stats === "object" ? a.stats : null,
+        mission: a.mission
+      };
+    });
+}
+
+// Whether a top-level event is about agent `id`: its own (`agent`), or shared (`agents`).
+function concerns(e, id, shared) {
+  if (e?.agent != null) return String(e.agent) === id;
+  return shared && Array.isArray(e?.agents) && e.agents.map(String).includes(id);
+}
+
+/**
+ * Agent `id` as a single-robot run: its frames, meta (over the run's), stats
+ * and mission, and its own events plus the top-level ones naming it. Without
+ * `shared`, events between robots are left out. Null for an unknown id;
+ * a single-robot run comes back as it is.
+ */
+export function agentRun(run, id, { shared = true } = {}) {
+  if (!isFleet(run)) return run;
+  const agent = runAgents(run).find((a) => a.id === String(id));
+  if (!agent) return null;
+  const events = agent.events
+    .concat(runEvents(run).filter((e) => concerns(e, agent.id, shared)))
+    .sort((a, b) => Number(a.t) - Number(b.t));
+  const { agents: _agents, ...rest } = run;
+  return {
+    ...rest,
+    run_id: run.run_id != null ? `${run.run_id}/${agent.id}` : agent.id,
+    meta: { ...(run.meta || {}), ...agent.meta, agent: agent.id },
+    frames: agent.frames,
+    events,
+    stats: agent.stats || {},
+    mission: agent.mission
+  };
+}
+
+/**
+ * Every event of the run, each agent's tagged with `agent`, in time order.
+ * For a single-robot run, just its events.
+ */
+export function fleetEvents(run) {
+  if (!isFleet(run)) return runEvents(run);
+  const own = runAgents(run).flatMap((a) => a.events.map((e) => ({ ...e, agent: a.id })));
+  return own.concat(runEvents(run)).sort((a, b) => Number(a.t) - Number(b.t));
+}
+
+// Bounding radius of a footprint polygon about the robot's reference point.
+function agentRadius(meta) {
+  const r = Number(meta?.robot_radius);
+  if (r > 0) return r;
+  const pts = Array.isArray(meta?.footprint) ? meta.footprint : [];
+  let max = 0;
+  for (const p of pts) {
+    const x = Number(Array.isArray(p) ? p[0] : p?.x);
+    const y = Number(Array.isArray(p) ? p[1] : p?.y);
+    if (Number.isFinite(x) && Number.isFinite(y)) max = Math.max(max, Math.hypot(x, y));
+  }
+  return max > 0 ? max : DEFAULT_AGENT_RADIUS_M;
+}
+
+// Position at time t by linear interpolation, with cursor.i moved forward to
+// the last sample at or before t; times must not go backwards between calls.
+function positionAt(s, cursor, t) {
+  while (cursor.i + 1 < s.length && s[cursor.i + 1].t <= t) cursor.i++;
+  const a = s[cursor.i];
+  const b = s[Math.min(cursor.i + 1, s.length - 1)];
+  const u = b.t > a.t ? Math.min(1, Math.max(0, (t - a.t) / (b.t - a.t))) : 0;
+  return { x: a.x + (b.x - a.x) * u, y: a.y + (b.y - a.y) * u };
+}
+
+/**
+ * Near-collisions between agents: one event per pair and episode of
+ * clearance under min_gap_m, at its start, with t_start/t_end, both ids in
+ * `agents` and the smallest clearance in `gap_m`. Poses are compared on a
+ * common clock at the agents' finest frame spacing, in one pass: only each
+ * pair's open episode is kept, not the poses.
+ */
+export function interAgentEvents(run, { min_gap_m = NEAR_GAP_M } = {}) {
+  const agents = runAgents(run)
+    .map((a) => ({ ...a, s: samples(a.frames), r: agentRadius(a.meta) }))
+    .filter((a) => a.s.length);
+  const limit = Number(min_gap_m);
+  if (agents.length < 2 || !Number.isFinite(limit)) return [];
+
+  const t0 = Math.min(...agents.map((a) => a.s[0].t));
+  const t1 = Math.max(...agents.map((a) => a.s[a.s.length - 1].t));
+  const spacing = agents.map((a) => medianSpacing(a.s)).filter((d) => d > 0);
+  const step = Math.max(0.05, spacing.length ? Math.min(...spacing) : 0.1);
+  const n = Math.floor((t1 - t0) / step) + 1;
+
+  const cursors = agents.map(() => ({ i: 0 }));
+  // Open episode per pair, indexed i * agents.length + j.
+  const open = new Array(agents.length * agents.length).fill(null);
+  const out = [];
+  const close = (i, j) => {
+    const a = agents[i];
+    const b = agents[j];
+    const cur = open[i * agents.length + j];
+    out.push({
+      pair: i * agents.length + j,
+      t: cur.t_start,
+      type: "near_collision",
+      detail:
+        cur.gap_m < 0
+          ? `${a.name} and ${b.name} overlap by ${-cur.gap_m} m`
+          : `${a.name} and ${b.name} ${cur.gap_m} m apart`,
+      agents: [a.id, b.id],
+      gap_m: cur.gap_m,
+      t_start: cur.t_start,
+      t_end: cur.t_end
+    });
+    open[i * agents.length + j] = null;
+  };
+
+  for (let k = 0; k < n; k++) {
+    const t = r2(t0 + k * step);
+    // Each agent's position; null before its first and after its last frame.
+    const pos = agents.map((a, i) =>
+      t >= a.s[0].t && t <= a.s[a.s.length - 1].t ? positionAt(a.s, cursors[i], t) : null
+    );
+    for (let i = 0; i < agents.length; i++) {
+      for (let j = i + 1; j < agents.length; j++) {
+        const pa = pos[i];
+        const pb = pos[j];
+        const gap = pa && pb ? Math.hypot(pa.x - pb.x, pa.y - pb.y) - agents[i].r - agents[j].r : Infinity;
+        const cur = open[i * agents.length + j];
+        if (gap < limit) {
+          if (cur) {
+            cur.t_end = t;
+            cur.gap_m = Math.min(cur.gap_m, r2(gap));
+          } else {
+            open[i * agents.length + j] = { t_start: t, t_end: t, gap_m: r2(gap) };
+          }
+        } else if (cur) {
+          close(i, j);
+        }
+      }
+    }
+  }
+  for (let i = 0; i < agents.length; i++) {
+    for (let j = i + 1; j < agents.length; j++) if (open[i * agents.length + j]) close(i, j);
+  }
+  // Episodes close in no particular order; ones starting together keep the pairs' order.
+  return out
+    .sort((x, y) => x.t - y.t || x.pair - y.pair)
+    .map(({ pair: _pair, ...e }) => ({ ...e, inter_agent: true, derived: true }));
+}
+
+/**
+ * The run with its inter-agent events merged into the top-level `events`,
+ * replacing ones from an earlier call. `options` are interAgentEvents()'s;
+ * scenarios can set them as derive.inter_agent. Single-robot runs come back
+ * unchanged.
+ */
+export function withFleetEvents(run, options) {
+  if (!isFleet(run)) return run;
+  const own = runEvents(run).filter((e) => !(e?.derived && e.inter_agent));
+  const events = own.concat(interAgentEvents(run, options || {})).sort((a, b) => Number(a.t) - Number(b.t));
+  return { ...run, events };
+}
@@ -0,0 +1,141 @@
+/* -------------------------------------------------------
+   Frame helpers shared by the backend, CLI and React UI
+------------------------------------------------------- */
+
+export function extractXY(frame) {
+  if (!frame) return null;
+  if (typeof frame.x === "number" && typeof frame.y === "number") return { x: frame.x, y: frame.y };
+  if (frame.pos && typeof frame.pos.x === "number" && typeof frame.pos.y === "number")
+    return { x: frame.pos.x, y: frame.pos.y };
+  if (Array.isArray(frame.p) && frame.p.length >= 2 && typeof frame.p[0] === "number")
+    return { x: frame.p[0], y: frame.p[1] };
+  return null;
+}
+
+export function runFrames(run) {
+  return Array.isArray(run?.frames) ? run.frames : [];
+}
+
+export function runEvents(run) {
+  return Array.isArray(run?.events) ? run.events : [];
+}
+
+/** Time of the last frame; for a fleet run without top-level frames, of any agent's. */
+export function runTimeMax(run) {
+  const frames = runFrames(run);
+  if (!frames.length && Array.isArray(run?.agents)) {
+    return run.agents.reduce((m, a) => Math.max(m, runTimeMax(a)), 0);
+  }
+  if (!frames.length) return 0;
+  const lastT = Number(frames[frames.length - 1]?.t);
+  return Number.isFinite(lastT) ? lastT : 0;
+}
+
+/**
+ * Frames reduced to the fields analysis needs, in time order, skipping
+ * anything without a finite t and position. `yaw`/`v` are null when absent.
+ */
+export function samples(frames) {
+  const out = [];
+  for (const f of frames || []) {
+    const t = Number(f?.t);
+    const p = extractXY(f);
+    if (!Number.isFinite(t) || !p || !Number.isFinite(p.x) || !Number.isFinite(p.y)) continue;
+    const yaw = Number(f.yaw);
+    const v = Number(f.v);
+    out.push({
+      t,
+      x: p.x,
+      y: p.y,
+      yaw: f.yaw != null && Number.isFinite(yaw) ? yaw : null,
+      v: f.v != null && Number.isFinite(v) ? v : null
+    });
+  }
+  out.sort((a, b) => a.t - b.t);
+  return out;
+}
+
+export function pathLength(frames) {
+  const s = samples(frames);
+  let d = 0;
+  for (let i = 1; i < s.length; i++) d += Math.hypot(s[i].x - s[i - 1].x, s[i].y - s[i - 1].y);
+  return d;
+}
+
+export function wrapAngle(a) {
+  return Math.atan2(Math.sin(a), Math.cos(a));
+}
+
+/** Speed per sample: |v| where logged, else from the displacement to the neighbouring sample. */
+export function speeds(s) {
+  return s.map((f, i) => {
+    if (f.v != null) return Math.abs(f.v);
+    const a = s[i - 1] || f;
+    const b = s[i - 1] ? f : s[i + 1] || f;
+    const dt = b.t - a.t;
+    return dt > 0 ? Math.hypot(b.x - a.x, b.y - a.y) / dt : 0;
+  });
+}
+
+export function medianSpacing(s) {
+  if (s.length < 2) return 0;
+  const d = [];
+  for (let i = 1; i < s.length; i++) d.push(s[i].t - s[i - 1].t);
+  d.sort((a, b) => a - b);
+  return d[Math.floor(d.length / 2)];
+}
+
+// Direction of travel from segment i onwards (or the last moving segment before it).
+function travelHeading(s, i) {
+  for (let j = Math.max(0, i); j < s.length - 1; j++) {
+    const dx = s[j + 1].x - s[j].x;
+    const dy = s[j + 1].y - s[j].y;
+    if (Math.hypot(dx, dy) > 1e-6) return Math.atan2(dy, dx);
+  }
+  for (let j = Math.min(i, s.length - 1) - 1; j >= 0; j--) {
+    const dx = s[j + 1].x - s[j].x;
+    const dy = s[j + 1].y - s[j].y;
+    if (Math.hypot(dx, dy) > 1e-6) return Math.atan2(dy, dx);
+  }
+  return null;
+}
+
+function lerpOpt(a, b, u) {
+  if (a != null && b != null) return a + (b - a) * u;
+  return a ?? b;
+}
+
+/**
+ * Pose at time t from samples(): position and speed linearly interpolated
+ * between the two surrounding samples, yaw along the shorter arc (2-D slerp).
+ * Without logged yaw the heading is the direction of travel and
+ * `yaw_estimated` is set. Clamped to the first/last sample; null when empty.
+ */
+export function poseAt(s, t) {
+  if (!s?.length) return null;
+
+  let lo = 0;
+  let hi = 0;
+  let u = 0;
+  if (t >= s[s.length - 1].t) {
+    lo = hi = s.length - 1;
+  } else if (t > s[0].t) {
+    hi = s.length - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (s[mid].t <= t) lo = mid;
+      else hi = mid;
+    }
+    u = s[hi].t > s[lo].t ? (t - s[lo].t) / (s[hi].t - s[lo].t) : 0;
+  }
+  const a = s[lo];
+  const b = s[hi];
+
+  let yaw = a.yaw != null && b.yaw != null ? wrapAngle(a.yaw + wrapAngle(b.yaw - a.yaw) * u) : a.yaw ?? b.yaw;
+  let estimated = false;
+  if (yaw == null) {
+    yaw = travelHeading(s, lo === hi ? lo - 1 : lo);
+    estimated = yaw != null;
+  }
+  return { x: a.x + (b.x - a.x) * u, y: a.y + (b.y - a.y) * u, yaw, v: lerpOpt(a.v, b.v, u), yaw_estimated: estimated };
+}
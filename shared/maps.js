@@ -0,0 +1,91 @@
+import { normalizeZones } from "./zones.js";
+
+/* -------------------------------------------------------
+   Maps a run can be replayed over.
+
+   A run references its map with `map`:
+     "warehouse_a"                           stored map id
+     { id?, obstacles?: [polygon, ...],      stored map and/or inline polygons
+       zones? }                              and zones (shared/zones.js)
+
+   A polygon is [[x, y], ...] or { points: [[x, y], ...], label? },
+   in the same world frame (metres) as the frames.
+
+   Stored maps (see /api/maps) may carry an occupancy grid:
+   { resolution, origin: [x, y, yaw], width, height } plus
+   width*height bytes in image row order (row 0 = top), each
+   0 (free) .. 100 (occupied) or 255 (unknown), as in
+   nav_msgs/OccupancyGrid with -1 stored as 255.
+------------------------------------------------------- */
+
+export const OCC_UNKNOWN = 255;
+
+function toPoint(p) {
+  if (Array.isArray(p) && p.length >= 2) return { x: Number(p[0]), y: Number(p[1]) };
+  if (p && typeof p === "object") return { x: Number(p.x), y: Number(p.y) };
+  return null;
+}
+
+/** Obstacles as [{ points: [{ x, y }], label }], dropping anything with fewer than 3 usable points. */
+export function normalizeObstacles(list) {
+  const out = [];
+  for (const item of Array.isArray(list) ? list : []) {
+    const raw = Array.isArray(item) ? item : item?.points;
+    const points = (Array.isArray(raw) ? raw : [])
+      .map(toPoint)
+      .filter((p) => p && Number.isFinite(p.x) && Number.isFinite(p.y));
+    if (points.length < 3) continue;
+    out.push({ points, label: typeof item?.label === "string" ? item.label : "" });
+  }
+  return out;
+}
+
+// Inline zones that don't check out are ignored here; upload validation reports them.
+function safeZones(list) {
+  try {
+    return normalizeZones(list);
+  } catch {
+    return [];
+  }
+}
+
+/** The run's map reference as { id, obstacles, zones }; id is null for inline-only or no map. */
+export function runMapRef(run) {
+  const m = run?.map;
+  if (typeof m === "string") return { id: m || null, obstacles: [], zones: [] };
+  if (!m || typeof m !== "object") return { id: null, obstacles: [], zones: [] };
+  return {
+    id: typeof m.id === "string" && m.id ? m.id : null,
+    obstacles: normalizeObstacles(m.obstacles),
+    zones: safeZones(m.zones)
+  };
+}
+
+/**
+ * Robot outline from run meta, in the robot frame (x forward, metres):
+ * `meta.footprint` [[x, y], ...] as { polygon: [{ x, y }] }, else
+ * `meta.robot_radius` as { radius }, else null.
+ */
+export function robotFootprint(meta) {
+  const [poly] = normalizeObstacles([meta?.footprint]);
+  if (poly) return { polygon: poly.points };
+  const r = Number(meta?.robot_radius);
+  return r > 0 ? { radius: r } : null;
+}
+
+/** World-frame bounding box of polygon obstacles, or null. */
+export function obstacleBounds(obstacles) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const o of obstacles || []) {
+    for (const p of o.points) {
+      minX = Math.min(minX, p.x);
+      minY = Math.min(minY, p.y);
+      maxX = Math.max(maxX, p.x);
+      maxY = Math.max(maxY, p.y);
+    }
+  }
+  return Number.isFinite(minX) ? { minX, minY, maxX, maxY } : null;
+}
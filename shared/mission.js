@@ -0,0 +1,275 @@
+import { runEvents, runFrames, samples, wrapAngle } from "./frames.js";
+
+/* -------------------------------------------------------
+   Missions: what a run was supposed to achieve. A run may
+   carry
+
+     mission: {
+       start?:        [x, y, yaw?] | { x, y, yaw? },
+       waypoints?:    [pose, ...],     visited in order
+       goal:          pose,            (else the last waypoint)
+       tolerance?:    { xy: 0.5, yaw?: rad } | metres,
+       timeout_s?:    seconds from the first frame,
+       planned_path?: [[x, y], ...],
+       detour_m?:     1
+     }
+
+   evaluateMission() says whether the goal was reached in
+   time, when each waypoint was, and how the path driven
+   compares with the planned one (or, without one, the
+   straight lines start → waypoints → goal). A stretch
+   more than detour_m off that reference is a detour.
+
+   withMission() turns that into events: waypoint_reached
+   and goal_reached, plus the violations goal_missed and
+   detour, which scenarios weigh as the missed and detour
+   counts. Without a mission nothing changes, so a run
+   that never moves still passes unless it has one.
+------------------------------------------------------- */
+
+export const MISSION_EVENT_TYPES = ["waypoint_reached", "goal_reached", "goal_missed", "detour"];
+// Numbers of evaluateMission() that scenario rules can bound: mission(<name>).
+export const MISSION_METRICS = ["time_to_goal", "efficiency", "detour_m", "path_m", "waypoints_reached"];
+
+const DEFAULT_TOLERANCE_M = 0.5;
+const DEFAULT_DETOUR_M = 1;
+
+export class MissionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "MissionError";
+    this.status = 400;
+  }
+}
+
+const r2 = (n) => Math.round(n * 100) / 100;
+
+function toPose(p, what) {
+  let pose = null;
+  if (Array.isArray(p) && p.length >= 2) pose = { x: Number(p[0]), y: Number(p[1]), yaw: p[2] };
+  else if (p && typeof p === "object") pose = { x: Number(p.x), y: Number(p.y), yaw: p.yaw };
+  if (!pose || !Number.isFinite(pose.x) || !Number.isFinite(pose.y)) {
+    throw new MissionError(`${what} must be [x, y] or { x, y }.`);
+  }
+  const yaw = pose.yaw == null ? null : Number(pose.yaw);
+  if (yaw != null && !Number.isFinite(yaw)) throw new MissionError(`${what}: yaw must be a number.`);
+  return { x: pose.x, y: pose.y, yaw };
+}
+
+function optionalNumber(raw, what) {
+  if (raw == null || raw === "") return null;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n <= 0) throw new MissionError(`${what} must be a number > 0.`);
+  return n;
+}
+
+/**
+ * Checks a run's `mission` and returns { start, waypoints, goal, tolerance:
+ * { xy, yaw }, timeout_s, planned_path, detour_m }, or null without one.
+ * `waypoints` excludes the goal. Throws MissionError.
+ */
+export function normalizeMission(input) {
+  if (input == null) return null;
+  if (typeof input !== "object" || Array.isArray(input)) throw new MissionError("mission must be an object.");
+
+  const list = input.waypoints == null ? [] : input.waypoints;
+  if (!Array.isArray(list)) throw new MissionError("mission.waypoints must be a list.");
+  const waypoints = list.map((p, i) => toPose(p, `mission.waypoints[${i}]`));
+  const goal = input.goal != null ? toPose(input.goal, "mission.goal") : waypoints.pop();
+  if (!goal) throw new MissionError("mission needs a goal (or waypoints).");
+
+  const tol = typeof input.tolerance === "object" && input.tolerance ? input.tolerance : { xy: input.tolerance };
+  const tolerance = {
+    xy: optionalNumber(tol.xy, "mission.tolerance.xy") ?? DEFAULT_TOLERANCE_M,
+    yaw: optionalNumber(tol.yaw, "mission.tolerance.yaw")
+  };
+
+  let planned_path = null;
+  if (input.planned_path != null) {
+    if (!Array.isArray(input.planned_path)) throw new MissionError("mission.planned_path must be a list.");
+    planned_path = input.planned_path.map((p, i) => {
+      const { x, y } = toPose(p, `mission.planned_path[${i}]`);
+      return { x, y };
+    });
+    if (planned_path.length < 2) throw new MissionError("mission.planned_path needs at least 2 points.");
+  }
+
+  return {
+    start: input.start != null ? toPose(input.start, "mission.start") : null,
+    waypoints,
+    goal,
+    tolerance,
+    timeout_s: optionalNumber(input.timeout_s, "mission.timeout_s"),
+    planned_path,
+    detour_m: optionalNumber(input.detour_m, "mission.detour_m") ?? DEFAULT_DETOUR_M
+  };
+}
+
+/** The run's mission, normalized; null when it has none or it is malformed (checkRun warns). */
+export function runMission(run) {
+  try {
+    return normalizeMission(run?.mission);
+  } catch (err) {
+    if (!(err instanceof MissionError)) throw err;
+    return null;
+  }
+}
+
+function within(f, target, tol) {
+  if (Math.hypot(f.x - target.x, f.y - target.y) > tol.xy) return false;
+  if (tol.yaw == null || target.yaw == null || f.yaw == null) return true;
+  return Math.abs(wrapAngle(f.yaw - target.yaw)) <= tol.yaw;
+}
+
+function polylineLength(pts) {
+  let d = 0;
+  for (let i = 1; i < pts.length; i++) d += Math.hypot(pts[i].x - pts[i - 1].x, pts[i].y - pts[i - 1].y);
+  return d;
+}
+
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  const u = len2 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+  return Math.hypot(p.x - (a.x + u * dx), p.y - (a.y + u * dy));
+}
+
+function distanceToPolyline(p, pts) {
+  let d = Infinity;
+  for (let i = 1; i < pts.length; i++) d = Math.min(d, distanceToSegment(p, pts[i - 1], pts[i]));
+  return d;
+}
+
+/**
+ * How a run did on its mission, or null without one:
+ * { success, reached, timed_out, timeout_s, t0, end_t, time_to_goal_s,
+ *   closest_m, closest_t,
+ *   targets: [{ label, x, y, t, reached }], path_m, reference_m, reference,
+ *   efficiency, detour_m, detours: [{ t_start, t_end, max_off_m }] }.
+ * Times to waypoints are seconds from the first frame; the path counts up to
+ * the goal (or the end of the run).
+ */
+export function evaluateMission(run) {
+  const mission = runMission(run);
+  const s = samples(runFrames(run));
+  if (!mission || !s.length) return null;
+
+  const t0 = s[0].t;
+  const tol = mission.tolerance;
+  const targets = mission.waypoints
+    .map((p, i) => ({ ...p, label: `waypoint ${i + 1}` }))
+    .concat([{ ...mission.goal, label: "goal" }]);
+
+  // Targets in order; one sample can reach several that overlap.
+  const hits = [];
+  for (const f of s) {
+    while (hits.length < targets.length && within(f, targets[hits.length], tol)) hits.push(f.t);
+    if (hits.length === targets.length) break;
+  }
+  const reached = hits.length === targets.length;
+  const goalT = reached ? hits[hits.length - 1] : null;
+  const timeout = mission.timeout_s;
+  const timed_out = timeout != null && (reached ? goalT - t0 > timeout : s[s.length - 1].t - t0 > timeout);
+
+  let closest = { d: 0, t: goalT };
+  if (!reached) {
+    closest = { d: Infinity, t: t0 };
+    for (const f of s) {
+      const d = Math.hypot(f.x - mission.goal.x, f.y - mission.goal.y);
+      if (d < closest.d) closest = { d, t: f.t };
+    }
+  }
+
+  const driven = s.filter((f) => goalT == null || f.t <= goalT);
+  const start = mission.start || s[0];
+  const referencePts = mission.planned_path || [start, ...targets];
+  const path_m = polylineLength(driven);
+  const reference_m = polylineLength(referencePts);
+
+  // Stretches more than detour_m off the reference.
+  const detours = [];
+  let cur = null;
+  for (const f of driven) {
+    const off = distanceToPolyline(f, referencePts);
+    if (off > mission.detour_m) {
+      if (!cur) cur = { t_start: f.t, t_end: f.t, max_off_m: off };
+      cur.t_end = f.t;
+      cur.max_off_m = Math.max(cur.max_off_m, off);
+    } else if (cur) {
+      detours.push(cur);
+      cur = null;
+    }
+  }
+  if (cur) detours.push(cur);
+
+  return {
+    success: reached && !timed_out,
+    reached,
+    timed_out,
+    timeout_s: timeout,
+    t0,
+    time_to_goal_s: reached ? r2(goalT - t0) : null,
+    end_t: s[s.length - 1].t,
+    closest_m: r2(closest.d),
+    closest_t: closest.t,
+    targets: targets.map((p, i) => ({ label: p.label, x: p.x, y: p.y, t: hits[i] ?? null, reached: i < hits.length })),
+    path_m: r2(path_m),
+    reference_m: r2(reference_m),
+    reference: mission.planned_path ? "planned" : "straight",
+    efficiency: path_m > 0 ? r2(Math.min(1, reference_m / path_m)) : null,
+    detour_m: r2(Math.max(0, path_m - reference_m)),
+    detours: detours.map((d) => ({ t_start: d.t_start, t_end: d.t_end, max_off_m: r2(d.max_off_m) }))
+  };
+}
+
+/** A mission number by name (see MISSION_METRICS), or null. */
+export function missionMetric(result, name) {
+  if (!result) return null;
+  if (name === "time_to_goal") return result.time_to_goal_s;
+  if (name === "waypoints_reached") return result.targets.filter((p) => p.reached).length;
+  return result[name] ?? null;
+}
+
+/** Mission events for a run (see the header), in time order. */
+export function missionEvents(run) {
+  const res = evaluateMission(run);
+  if (!res) return [];
+  const out = [];
+  const ref = res.reference === "planned" ? "the planned path" : "the straight route";
+
+  res.targets.forEach((p) => {
+    if (!p.reached) return;
+    const type = p.label === "goal" ? "goal_reached" : "waypoint_reached";
+    out.push({ t: p.t, type, detail: `${p.label} after ${r2(p.t - res.t0)}s` });
+  });
+  if (!res.success) {
+    const end = res.timeout_s != null && res.timed_out ? r2(res.t0 + res.timeout_s) : null;
+    const detail = res.reached
+      ? `goal reached after ${res.time_to_goal_s}s, over the ${res.timeout_s}s timeout`
+      : `goal not reached${end != null ? ` within ${res.timeout_s}s` : ""}; closest ${res.closest_m} m ` +
+        `at t=${r2(res.closest_t)}s`;
+    out.push({ t: end ?? res.end_t, type: "goal_missed", detail });
+  }
+  for (const d of res.detours) {
+    out.push({
+      t: d.t_start,
+      type: "detour",
+      detail: `up to ${d.max_off_m} m off ${ref}`,
+      t_start: d.t_start,
+      t_end: d.t_end
+    });
+  }
+  return out.sort((a, b) => a.t - b.t).map((e) => ({ ...e, mission: true, derived: true }));
+}
+
+/**
+ * The run with its mission events merged into `events`, replacing ones from
+ * an earlier call. Runs without a (valid) mission come back unchanged.
+ */
+export function withMission(run) {
+  if (!runMission(run)) return run;
+  const own = runEvents(run).filter((e) => !(e?.derived && e.mission));
+  const events = own.concat(missionEvents(run)).sort((a, b) => Number(a.t) - Number(b.t));
+  return { ...run, events };
+}
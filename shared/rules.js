@@ -0,0 +1,238 @@
+import { deriveEvents } from "./deriveEvents.js";
+import { runEvents } from "./frames.js";
+import { MISSION_METRICS, evaluateMission, missionMetric } from "./mission.js";
+import { runSignals } from "./signals.js";
+
+/* -------------------------------------------------------
+   Scenario rules: constraints over frames and events that
+   can WARN or FAIL a run on their own. One rule per line:
+
+     max(speed) <= 1.2
+     mean(abs(yaw_rate)) < 0.8 => WARN
+     count(near_collision, 10s) <= 2
+     duration(stuck) <= 5s => FAIL
+     mission(efficiency) >= 0.7
+
+   max/min/mean take a signal from shared/signals.js
+   (speed, yaw_rate, accel, jerk or a numeric frame field),
+   optionally wrapped in abs(). count() counts events of a
+   type, in the busiest window of the given length if one
+   is given. duration() is the longest event of a type
+   (t_start..t_end). mission() is a number from the run's
+   mission (mission.js): time_to_goal, efficiency,
+   detour_m, path_m or waypoints_reached. A broken rule is
+   FAIL unless it says "=> WARN".
+------------------------------------------------------- */
+
+export const RULE_SEVERITIES = ["WARN", "FAIL"];
+const OPS = {
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "==": (a, b) => a === b
+};
+const UPPER = new Set(["<", "<="]);
+const LOWER = new Set([">", ">="]);
+
+export class RuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RuleError";
+    this.status = 400;
+  }
+}
+
+const NAME = "[A-Za-z_][A-Za-z0-9_]*";
+const NUM = "-?\\d+(?:\\.\\d+)?";
+const RULE_RE = new RegExp(
+  `^(?:(max|min|mean)\\(\\s*(?:abs\\(\\s*(${NAME})\\s*\\)|(${NAME}))\\s*\\)` +
+    `|count\\(\\s*(${NAME})\\s*(?:,\\s*(${NUM})\\s*s?\\s*)?\\)` +
+    `|duration\\(\\s*(${NAME})\\s*\\)` +
+    `|mission\\(\\s*(${NAME})\\s*\\))` +
+    `\\s*(<=|>=|==|<|>)\\s*(${NUM})\\s*(?:s\\b)?\\s*(?:=>\\s*(WARN|FAIL))?$`,
+  "i"
+);
+
+/** Parses one rule line into { kind, expr, severity, ... }; throws RuleError. */
+export function parseRule(text) {
+  const src = String(text ?? "").trim();
+  const m = RULE_RE.exec(src);
+  if (!m) throw new RuleError(`Can't read rule '${src}'.`);
+  const [, fn, absSignal, signal, countEvent, window, durEvent, metric, op, value, severity] = m;
+
+  let rule;
+  if (fn) rule = { kind: "signal", fn: fn.toLowerCase(), signal: absSignal || signal, abs: Boolean(absSignal) };
+  else if (countEvent) rule = { kind: "count", event: countEvent, window_s: window != null ? Number(window) : null };
+  else if (durEvent) rule = { kind: "duration", event: durEvent };
+  else rule = { kind: "mission", metric };
+  if (metric && !MISSION_METRICS.includes(metric)) {
+    throw new RuleError(`mission() takes one of ${MISSION_METRICS.join(", ")} in '${src}'.`);
+  }
+  if (rule.window_s != null && !(rule.window_s > 0)) throw new RuleError(`Window must be > 0 in '${src}'.`);
+  // The busiest window only bounds counts from above.
+  if (rule.window_s != null && !UPPER.has(op)) throw new RuleError(`Windowed counts take < or <= in '${src}'.`);
+
+  rule.op = op;
+  rule.value = Number(value);
+  rule.severity = (severity || "FAIL").toUpperCase();
+  rule.expr = formatRule(rule);
+  return rule;
+}
+
+/** Canonical text of a parsed rule, without the severity. */
+export function formatRule(rule) {
+  let lhs;
+  if (rule.kind === "signal") lhs = `${rule.fn}(${rule.abs ? `abs(${rule.signal})` : rule.signal})`;
+  else if (rule.kind === "count") lhs = `count(${rule.event}${rule.window_s != null ? `, ${rule.window_s}s` : ""})`;
+  else if (rule.kind === "duration") lhs = `duration(${rule.event})`;
+  else lhs = `mission(${rule.metric})`;
+  return `${lhs} ${rule.op} ${rule.value}`;
+}
+
+/**
+ * Checks a scenario's `rules` (strings, or { expr, severity } as stored) and
+ * returns them as stored: [{ expr, severity }]. Blank lines are dropped.
+ */
+export function normalizeRules(list) {
+  if (list == null) return [];
+  if (!Array.isArray(list)) throw new RuleError("rules must be a list.");
+  const out = [];
+  list.forEach((item, i) => {
+    const text = typeof item === "string" ? item : item?.severity ? `${item.expr} => ${item.severity}` : item?.expr;
+    if (!String(text ?? "").trim()) return;
+    try {
+      const r = parseRule(text);
+      out.push({ expr: r.expr, severity: r.severity });
+    } catch (err) {
+      throw new RuleError(`rules[${i}]: ${err.message}`);
+    }
+  });
+  return out;
+}
+
+const r2 = (n) => Math.round(n * 100) / 100;
+
+// Recorded events of a type passing `keep`; when there are none, the detectors' (derived) ones.
+function eventsOf(run, type, derived, keep = () => true) {
+  const recorded = runEvents(run).filter((e) => e?.type === type && Number.isFinite(Number(e.t)) && keep(e));
+  return recorded.length ? recorded : derived().filter((e) => e.type === type && keep(e));
+}
+
+// Start and end of an event that spans time, else null.
+function span(e) {
+  const start = Number(e.t_start ?? e.t);
+  const end = e.t_end != null ? Number(e.t_end) : e.duration_s != null ? start + Number(e.duration_s) : null;
+  if (end == null || !Number.isFinite(start) || !Number.isFinite(end)) return null;
+  return { t: start, t_end: end, d: end - start };
+}
+
+function evalSignal(rule, signals) {
+  const series = signals[rule.signal];
+  const pts = [];
+  for (let i = 0; i < (series?.t.length || 0); i++) {
+    const y = series.y[i];
+    if (y != null) pts.push({ t: series.t[i], y: rule.abs ? Math.abs(y) : y });
+  }
+  if (!pts.length) return { value: null };
+
+  // reduce, not Math.max(...ys): long runs have more samples than a call takes arguments.
+  const ys = pts.map((p) => p.y);
+  let value;
+  if (rule.fn === "max") value = ys.reduce((m, y) => (y > m ? y : m), -Infinity);
+  else if (rule.fn === "min") value = ys.reduce((m, y) => (y < m ? y : m), Infinity);
+  else value = ys.reduce((s, y) => s + y, 0) / ys.length;
+
+  const bounded = (rule.fn === "max" && UPPER.has(rule.op)) || (rule.fn === "min" && LOWER.has(rule.op));
+  if (!bounded || OPS[rule.op](value, rule.value)) return { value };
+
+  // The first stretch of samples that breaks the bound on its own.
+  const i = pts.findIndex((p) => !OPS[rule.op](p.y, rule.value));
+  let j = i;
+  while (j + 1 < pts.length && !OPS[rule.op](pts[j + 1].y, rule.value)) j++;
+  return { value, t: pts[i].t, t_end: pts[j].t };
+}
+
+function evalCount(rule, events) {
+  const ts = events.map((e) => Number(e.t)).sort((a, b) => a - b);
+  if (rule.window_s == null) {
+    if (!UPPER.has(rule.op) || OPS[rule.op](ts.length, rule.value)) return { value: ts.length };
+    // The event that took the count over the bound: count floor(v) + 1 breaks <= v, ceil(v) breaks < v.
+    const k = rule.op === "<=" ? Math.floor(rule.value) : Math.ceil(rule.value) - 1;
+    return { value: ts.length, t: ts[Math.max(0, k)] };
+  }
+  let best = { value: 0 };
+  for (let i = 0; i < ts.length; i++) {
+    let j = i;
+    while (j + 1 < ts.length && ts[j + 1] <= ts[i] + rule.window_s) j++;
+    const n = j - i + 1;
+    if (n > best.value) best = { value: n, t: ts[i], t_end: ts[j] };
+    if (!OPS[rule.op](n, rule.value)) return { value: n, t: ts[i], t_end: ts[j] };
+  }
+  return best;
+}
+
+function evalDuration(rule, events) {
+  const spans = events.map(span);
+  const value = spans.reduce((m, s) => Math.max(m, s.d), 0);
+  const bad = spans.find((s) => !OPS[rule.op](s.d, rule.value));
+  return bad ? { value, t: bad.t, t_end: bad.t_end } : { value };
+}
+
+/**
+ * Evaluates a scenario's rules against a run. Returns one result per rule:
+ * { expr, severity, ok, value, t?, t_end?, message }. ok is null when the
+ * run has no data for the rule (e.g. a frame field it never logs).
+ */
+export function evaluateRules(run, scenario) {
+  const rules = normalizeRules(scenario?.rules).map((r) => parseRule(`${r.expr} => ${r.severity}`));
+  if (!rules.length) return [];
+
+  // These are only computed if some rule needs them.
+  let signals = null;
+  let mission;
+  let derived = null;
+  const derivedEvents = () => {
+    if (!derived) derived = deriveEvents(run, scenario?.derive);
+    return derived;
+  };
+
+  return rules.map((rule) => {
+    let res;
+    if (rule.kind === "signal") {
+      if (!signals) signals = runSignals(run);
+      res = evalSignal(rule, signals);
+    } else if (rule.kind === "count") {
+      res = evalCount(rule, eventsOf(run, rule.event, derivedEvents));
+    } else if (rule.kind === "mission") {
+      if (mission === undefined) mission = evaluateMission(run);
+      res = { value: missionMetric(mission, rule.metric) };
+    } else {
+      // Recorded events rarely carry their extent; then the detectors measure it.
+      res = evalDuration(rule, eventsOf(run, rule.event, derivedEvents, (e) => span(e) != null));
+    }
+
+    const ok = res.value == null ? null : OPS[rule.op](res.value, rule.value);
+    const out = { expr: rule.expr, severity: rule.severity, ok, value: res.value == null ? null : r2(res.value) };
+    if (ok === false && res.t != null) {
+      out.t = r2(res.t);
+      if (res.t_end != null && res.t_end !== res.t) out.t_end = r2(res.t_end);
+    }
+
+    const what = rule.kind === "count" && rule.window_s != null ? (ok ? "busiest window " : "window ") : "";
+    const when = out.t == null ? "" : out.t_end != null ? ` at ${out.t}–${out.t_end}s` : ` at ${out.t}s`;
+    if (ok == null) out.message = `${rule.expr}: no data`;
+    else out.message = `${rule.expr}: ${what}${out.value}${ok ? "" : ` → ${rule.severity}${when}`}`;
+    return out;
+  });
+}
+
+const STATUS_RANK = { PASS: 0, WARN: 1, FAIL: 2 };
+
+/** Folds rule results into a scoreCounts() result: the worse status wins. */
+export function applyRules(result, rules) {
+  const violations = rules.filter((r) => r.ok === false);
+  let status = result.status;
+  for (const v of violations) if (STATUS_RANK[v.severity] > STATUS_RANK[status]) status = v.severity;
+  return { ...result, status, rules, violations };
+}
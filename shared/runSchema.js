@@ -0,0 +1,184 @@
+/* -------------------------------------------------------
+   SimTrace run file format, as JSON Schema (draft-07).
+
+   Bump RUN_SCHEMA_VERSION on any change; runs may declare
+   the version they were written against in `schema_version`.
+------------------------------------------------------- */
+
+export const RUN_SCHEMA_VERSION = "1.6";
+
+const nullableNumber = { type: ["number", "null"] };
+const count = { type: "integer", minimum: 0 };
+const polygon = {
+  type: "array",
+  minItems: 3,
+  items: { type: "array", minItems: 2, items: { type: "number" } }
+};
+
+// [x, y], [x, y, yaw] or { x, y, yaw? }.
+const pose = {
+  anyOf: [
+    { type: "array", minItems: 2, maxItems: 3, items: { type: "number" } },
+    {
+      type: "object",
+      required: ["x", "y"],
+      properties: { x: { type: "number" }, y: { type: "number" }, yaw: { type: "number" } }
+    }
+  ]
+};
+
+// What a run (or agent) should achieve: start, waypoints, goal, tolerance,
+// timeout, planned path (see shared/mission.js). Since 1.5.
+const mission = {
+  type: "object",
+  properties: {
+    start: pose,
+    waypoints: { type: "array", items: pose },
+    goal: pose,
+    tolerance: {
+      anyOf: [
+        { type: "number", exclusiveMinimum: 0 },
+        {
+          type: "object",
+          properties: {
+            xy: { type: "number", exclusiveMinimum: 0 },
+            yaw: { type: "number", exclusiveMinimum: 0 }
+          }
+        }
+      ]
+    },
+    timeout_s: { type: "number", exclusiveMinimum: 0 },
+    planned_path: { type: "array", minItems: 2, items: pose },
+    detour_m: { type: "number", exclusiveMinimum: 0 }
+  }
+};
+
+const events = {
+  type: "array",
+  items: {
+    type: "object",
+    required: ["t", "type"],
+    properties: {
+      t: { type: "number" },
+      type: { type: "string", minLength: 1 },
+      detail: { type: "string" }
+    }
+  }
+};
+
+const frames = {
+  type: "array",
+  minItems: 1,
+  items: {
+    type: "object",
+    required: ["t"],
+    properties: {
+      t: { type: "number" },
+      x: nullableNumber,
+      y: nullableNumber,
+      yaw: nullableNumber,
+      v: nullableNumber,
+      pos: {
+        type: "object",
+        required: ["x", "y"],
+        properties: { x: nullableNumber, y: nullableNumber }
+      },
+      p: { type: "array", minItems: 2, items: nullableNumber }
+    },
+    // Same three position shapes extractXY() accepts.
+    anyOf: [{ required: ["x", "y"] }, { required: ["pos"] }, { required: ["p"] }]
+  }
+};
+
+export const RUN_SCHEMA = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  $id: "simtrace/run/1.6",
+  title: "SimTrace run",
+  type: "object",
+  anyOf: [{ required: ["frames"] }, { required: ["agents"] }],
+  properties: {
+    schema_version: { type: "string" },
+    run_id: { type: ["string", "number"] },
+    started_at: { type: "number" },
+    dt: { type: "number", exclusiveMinimum: 0 },
+    meta: {
+      type: "object",
+      properties: {
+        sim: { type: ["string", "null"] },
+        world: { type: ["string", "null"] },
+        robot: { type: ["string", "null"] },
+        controller: { type: ["string", "null"] },
+        // Robot outline in the robot frame (x forward), or a radius. Since 1.2.
+        footprint: polygon,
+        robot_radius: { type: "number", exclusiveMinimum: 0 },
+        // Seed groups (see shared/stats.js): an explicit group name, or the seed
+        // of one of several runs of the same configuration. Since 1.3.
+        group: { type: ["string", "null"] },
+        seed: { type: ["integer", "string", "null"] }
+      }
+    },
+    // Stored map id, or { id?, obstacles? } (see shared/maps.js). Since 1.1.
+    map: {
+      anyOf: [
+        { type: "string", minLength: 1 },
+        {
+          type: "object",
+          properties: {
+            id: { type: "string", minLength: 1 },
+            obstacles: {
+              type: "array",
+              items: {
+                anyOf: [
+                  polygon,
+                  { type: "object", required: ["points"], properties: { points: polygon, label: { type: "string" } } }
+                ]
+              }
+            },
+            // Zones, as a list or a GeoJSON FeatureCollection (see shared/zones.js). Since 1.4.
+            zones: { type: ["array", "object"] }
+          }
+        }
+      ]
+    },
+    mission,
+    stats: {
+      type: "object",
+      properties: {
+        duration_s: { type: "number", minimum: 0 },
+        distance_m: { type: "number", minimum: 0 },
+        near_collision_count: count,
+        collision_count: count,
+        stuck_count: count,
+        replan_count: count
+      }
+    },
+    events,
+    frames,
+    // Several robots in one run, each with its own frames (see shared/fleet.js);
+    // top-level `frames` may then be left out. Since 1.6.
+    agents: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["id", "frames"],
+        properties: {
+          id: { type: ["string", "number"] },
+          name: { type: "string" },
+          color: { type: "string" },
+          meta: {
+            type: "object",
+            properties: {
+              robot: { type: ["string", "null"] },
+              footprint: polygon,
+              robot_radius: { type: "number", exclusiveMinimum: 0 }
+            }
+          },
+          frames,
+          events,
+          mission
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,238 @@
+import { agentRun, isFleet, runAgents, withFleetEvents } from "./fleet.js";
+import { runEvents } from "./frames.js";
+import { withMission } from "./mission.js";
+import { applyRules, evaluateRules, normalizeRules } from "./rules.js";
+
+/* -------------------------------------------------------
+   Scenario policies: weights -> score, thresholds on the
+   score, hard per-count limits, and rules over frames and
+   events (rules.js). One definition shared
+   by the backend (/api/scenarios, /api/diagnose), the CLI
+   and both frontends.
+------------------------------------------------------- */
+
+export const COUNT_KEYS = ["near", "collision", "stuck", "replan", "no_go", "speeding", "dwell", "missed", "detour"];
+// Event type behind each count. no_go, speeding and dwell come from zones (zones.js),
+// missed and detour from the run's mission (mission.js).
+export const COUNT_TYPES = {
+  near: "near_collision",
+  collision: "collision",
+  stuck: "stuck",
+  replan: "replan",
+  no_go: "no_go_entry",
+  speeding: "speed_limit",
+  dwell: "dwell_limit",
+  missed: "goal_missed",
+  detour: "detour"
+};
+
+export const DEFAULT_SCENARIOS = {
+  warehouse: {
+    key: "warehouse",
+    name: "Warehouse robot",
+    blurb: "Strict indoor policy: tight aisles, low tolerance for near-collisions and deadlocks.",
+    weights: { near: 3, collision: 8, stuck: 6, replan: 1, no_go: 8, speeding: 2, dwell: 1, missed: 10, detour: 2 },
+    thresholds: { pass: 6, warn: 14 }, // score <= pass => PASS, <= warn => WARN, else FAIL
+    // count > limit => FAIL; null = no limit
+    limits: {
+      near: 1,
+      collision: 0,
+      stuck: 0,
+      replan: null,
+      no_go: 0,
+      speeding: null,
+      dwell: null,
+      missed: 0,
+      detour: null
+    },
+    derive: { stuck: { min_duration_s: 2 }, speed_spike: { max_speed: 1.2, max_accel: 2 } }
+  },
+  delivery: {
+    key: "delivery",
+    name: "Delivery bot (ground)",
+    blurb: "Moderate policy: sidewalks + obstacles; some pauses are okay, but repeated issues are not.",
+    weights: { near: 2, collision: 6, stuck: 4, replan: 1, no_go: 6, speeding: 3, dwell: 1, missed: 10, detour: 1 },
+    thresholds: { pass: 8, warn: 18 },
+    limits: {
+      near: 2,
+      collision: 0,
+      stuck: 1,
+      replan: null,
+      no_go: 0,
+      speeding: 2,
+      dwell: null,
+      missed: 0,
+      detour: null
+    },
+    derive: { stuck: { min_duration_s: 3 }, speed_spike: { max_speed: 2 } }
+  },
+  sar: {
+    key: "sar",
+    name: "Search & rescue",
+    blurb: "Lenient collision policy, but deadlocks matter: complex terrain; recovery is critical.",
+    weights: { near: 1, collision: 3, stuck: 7, replan: 1, no_go: 3, speeding: 1, dwell: 0, missed: 8, detour: 0 },
+    thresholds: { pass: 10, warn: 22 },
+    limits: {
+      near: 3,
+      collision: null,
+      stuck: 2,
+      replan: null,
+      no_go: null,
+      speeding: null,
+      dwell: null,
+      missed: 0,
+      detour: null
+    },
+    derive: { stuck: { min_duration_s: 2 }, oscillation: { min_reversals: 4 }, speed_spike: { max_speed: 1 } }
+  }
+};
+
+// Older policies (and the vanilla UI) spelled near-collisions out.
+const KEY_ALIASES = { near_collision: "near" };
+
+export class ScenarioError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ScenarioError";
+    this.status = 400;
+  }
+}
+
+function numberMap(src, label, { nullable = false } = {}) {
+  const out = {};
+  for (const [rawKey, raw] of Object.entries(src || {})) {
+    const k = KEY_ALIASES[rawKey] || rawKey;
+    if (!COUNT_KEYS.includes(k)) continue;
+    if (raw == null || raw === "") {
+      if (nullable) out[k] = null;
+      continue;
+    }
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < 0) throw new ScenarioError(`${label}.${k} must be a number ≥ 0.`);
+    out[k] = n;
+  }
+  return out;
+}
+
+/**
+ * Checks and fills in a scenario from a request body. Weights default to 0,
+ * limits to null (no limit). Unknown top-level fields are dropped; `derive`
+ * is passed through for deriveEvents().
+ */
+export function normalizeScenario(body, key) {
+  const weights = numberMap(body?.weights, "weights");
+  const limits = numberMap(body?.limits, "limits", { nullable: true });
+  const pass = Number(body?.thresholds?.pass);
+  const warn = Number(body?.thresholds?.warn);
+  if (!Number.isFinite(pass) || !Number.isFinite(warn)) {
+    throw new ScenarioError("thresholds.pass and thresholds.warn are required numbers.");
+  }
+  if (warn < pass) throw new ScenarioError("thresholds.warn must be ≥ thresholds.pass.");
+
+  return {
+    key,
+    name: String(body?.name || key).slice(0, 80),
+    blurb: String(body?.blurb || ""),
+    weights: Object.fromEntries(COUNT_KEYS.map((k) => [k, weights[k] ?? 0])),
+    thresholds: { pass, warn },
+    limits: Object.fromEntries(COUNT_KEYS.map((k) => [k, limits[k] ?? null])),
+    derive: body?.derive && typeof body.derive === "object" ? body.derive : {},
+    rules: normalizeRules(body?.rules),
+    updated_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Event counts used for scoring. Recorded `stats` counts (`<type>_count`)
+ * win over counting `events`, the same precedence the diagnosis summary uses.
+ * Zone counts need the zone events merged in first (zones.js withZones);
+ * mission counts need withMission(), which scoreRun() applies itself.
+ * A fleet run sums its agents' counts (missions included) and adds its own
+ * top-level events, such as near-collisions between robots (fleet.js).
+ */
+export function countEvents(run) {
+  if (isFleet(run)) {
+    const parts = runAgents(run).map((a) => countEvents(withMission(agentRun(run, a.id, { shared: false }))));
+    parts.push(countEvents({ events: runEvents(run).filter((e) => e?.agent == null) }));
+    return Object.fromEntries(COUNT_KEYS.map((k) => [k, parts.reduce((sum, c) => sum + c[k], 0)]));
+  }
+  const events = Array.isArray(run?.events) ? run.events : [];
+  const s = run?.stats || {};
+  const byType = (type) => events.filter((e) => String(e?.type || "") === type).length;
+  return Object.fromEntries(COUNT_KEYS.map((k) => [k, s[`${COUNT_TYPES[k]}_count`] ?? byType(COUNT_TYPES[k])]));
+}
+
+/** Counts from a diagnosis run summary ({ counts: { near_collision, ... } }). */
+export function summaryCounts(summary) {
+  const c = summary?.counts || {};
+  return Object.fromEntries(COUNT_KEYS.map((k) => [k, Number(c[COUNT_TYPES[k]]) || 0]));
+}
+
+/**
+ * Score counts against a scenario. A breached limit fails the run whatever
+ * the score; otherwise the score thresholds decide.
+ */
+export function scoreCounts(counts, scenario) {
+  const sc = scenario || DEFAULT_SCENARIOS.warehouse;
+  const w = sc.weights || {};
+  const score = COUNT_KEYS.reduce((sum, k) => sum + (counts[k] || 0) * (w[k] || 0), 0);
+
+  const breaches = [];
+  for (const k of COUNT_KEYS) {
+    const limit = sc.limits?.[k];
+    if (limit != null && (counts[k] || 0) > limit) breaches.push({ count: k, value: counts[k], limit });
+  }
+
+  const status = breaches.length
+    ? "FAIL"
+    : score <= sc.thresholds.pass
+    ? "PASS"
+    : score <= sc.thresholds.warn
+    ? "WARN"
+    : "FAIL";
+
+  return { score, status, blurb: sc.blurb, counts, breaches };
+}
+
+/**
+ * Scores a fleet run as a whole: the fleet's counts against the scenario and
+ * every agent's rules, named after the agent. `agents` holds each agent's own
+ * result, { id, name, color, ...scoreRun() }, near-collisions with other
+ * robots included (found with the scenario's derive.inter_agent).
+ */
+function scoreFleet(run, sc) {
+  const full = withFleetEvents(run, sc.derive?.inter_agent);
+  const agents = runAgents(full).map((a) => ({
+    id: a.id,
+    name: a.name,
+    color: a.color,
+    ...scoreRun(agentRun(full, a.id), sc)
+  }));
+  const rules = agents.flatMap((a) =>
+    a.rules.map((r) => ({ ...r, agent: a.id, expr: `${a.name}: ${r.expr}`, message: `${a.name}: ${r.message}` }))
+  );
+  return { ...applyRules(scoreCounts(countEvents(full), sc), rules), agents };
+}
+
+/**
+ * Scores a run's event counts, mission events included, then applies the
+ * scenario's rules (see rules.js). Fleet runs are scored as a whole, with
+ * each agent's result in `agents`.
+ */
+export function scoreRun(run, scenario) {
+  const sc = scenario || DEFAULT_SCENARIOS.warehouse;
+  if (isFleet(run)) return scoreFleet(run, sc);
+  const r = withMission(run);
+  return applyRules(scoreCounts(countEvents(r), sc), evaluateRules(r, sc));
+}
+
+/** Short human-readable policy line for UIs and prompts. */
+export function describePolicy(sc) {
+  const limits = COUNT_KEYS.filter((k) => sc.limits?.[k] != null).map((k) => `${k} ≤ ${sc.limits[k]}`);
+  const weights = COUNT_KEYS.map((k) => `${k}=${sc.weights?.[k] ?? 0}`);
+  return (
+    `Weights: ${weights.join(", ")} | PASS ≤ ${sc.thresholds.pass}, WARN ≤ ${sc.thresholds.warn}` +
+    (limits.length ? ` | Limits: ${limits.join(", ")}` : "") +
+    (sc.rules?.length ? ` | Rules: ${sc.rules.map((r) => `${r.expr} => ${r.severity}`).join("; ")}` : "")
+  );
+}
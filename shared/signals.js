@@ -0,0 +1,106 @@
+import { extractXY, runFrames, samples, speeds } from "./frames.js";
+
+/* -------------------------------------------------------
+   Kinematic time series for the chart panel.
+
+   Each series is { t: number[], y: (number|null)[] } so
+   signals with different sampling (extra frame fields
+   logged only sometimes) can share one chart.
+------------------------------------------------------- */
+
+export const SIGNALS = [
+  { key: "speed", label: "Speed", unit: "m/s" },
+  { key: "yaw_rate", label: "Yaw rate", unit: "rad/s" },
+  { key: "accel", label: "Acceleration", unit: "m/s²" },
+  { key: "jerk", label: "Jerk", unit: "m/s³" }
+];
+
+// Frame fields that are pose, not signals.
+const POSE_FIELDS = new Set(["t", "x", "y", "yaw", "v", "pos", "p"]);
+
+// Central differences (one-sided at the ends); null where either side is missing.
+function derivative(t, y) {
+  return y.map((_, i) => {
+    const a = i > 0 ? i - 1 : i;
+    const b = i < y.length - 1 ? i + 1 : i;
+    const dt = t[b] - t[a];
+    if (!(dt > 0) || y[a] == null || y[b] == null) return null;
+    return (y[b] - y[a]) / dt;
+  });
+}
+
+// Yaw with 2π jumps removed, so its derivative is a rate.
+function unwrap(yaws) {
+  const out = [];
+  let offset = 0;
+  let prev = null;
+  for (const yaw of yaws) {
+    if (yaw == null) {
+      out.push(null);
+      continue;
+    }
+    if (prev != null) {
+      const d = yaw - prev;
+      if (d > Math.PI) offset -= 2 * Math.PI;
+      else if (d < -Math.PI) offset += 2 * Math.PI;
+    }
+    prev = yaw;
+    out.push(yaw + offset);
+  }
+  return out;
+}
+
+/** Numeric top-level frame fields other than the pose, e.g. battery, cmd_v, cpu_load. */
+export function extraFields(run) {
+  const keys = new Set();
+  for (const f of runFrames(run)) {
+    for (const [k, v] of Object.entries(f || {})) {
+      if (!POSE_FIELDS.has(k) && typeof v === "number" && Number.isFinite(v)) keys.add(k);
+    }
+  }
+  return [...keys].sort();
+}
+
+/** { speed, yaw_rate, accel, jerk, ...extra fields } as series; see the header comment. */
+export function runSignals(run) {
+  const s = samples(runFrames(run));
+  const t = s.map((f) => f.t);
+  const speed = speeds(s);
+  const accel = derivative(t, speed);
+  const out = {
+    speed: { t, y: speed },
+    yaw_rate: { t, y: derivative(t, unwrap(s.map((f) => f.yaw))) },
+    accel: { t, y: accel },
+    jerk: { t, y: derivative(t, accel) }
+  };
+
+  const frames = runFrames(run)
+    .filter((f) => Number.isFinite(Number(f?.t)) && extractXY(f))
+    .sort((a, b) => a.t - b.t);
+  for (const key of extraFields(run)) {
+    const series = { t: [], y: [] };
+    for (const f of frames) {
+      if (typeof f[key] !== "number" || !Number.isFinite(f[key])) continue;
+      series.t.push(Number(f.t));
+      series.y.push(f[key]);
+    }
+    out[key] = series;
+  }
+  return out;
+}
+
+/** Linearly interpolated value of a series at t; null outside it or across a gap. */
+export function valueAt(series, t) {
+  const { t: ts, y } = series || {};
+  if (!ts?.length || t < ts[0] || t > ts[ts.length - 1]) return null;
+  let lo = 0;
+  let hi = ts.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (ts[mid] <= t) lo = mid;
+    else hi = mid;
+  }
+  if (y[lo] == null || y[hi] == null) return y[lo] ?? y[hi] ?? null;
+  const u = ts[hi] > ts[lo] ? (t - ts[lo]) / (ts[hi] - ts[lo]) : 0;
+  return y[lo] + (y[hi] - y[lo]) * u;
+}
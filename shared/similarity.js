@@ -0,0 +1,181 @@
+import { poseAt } from "./frames.js";
+
+/* -------------------------------------------------------
+   Geometric comparison of two trajectories (samples()).
+
+   Paths are resampled to at most MAX_POINTS points first,
+   which keeps the O(n·m) Fréchet / DTW tables small while
+   staying well under typical frame spacing.
+------------------------------------------------------- */
+
+const MAX_POINTS = 300;
+
+const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+function cumulativeLength(s) {
+  const out = [0];
+  for (let i = 1; i < s.length; i++) out.push(out[i - 1] + dist(s[i], s[i - 1]));
+  return out;
+}
+
+/** n points evenly spaced along the path, each with its interpolated t and arc fraction u. */
+export function resampleByArc(s, n = MAX_POINTS) {
+  if (s.length < 2) return s.map((p) => ({ x: p.x, y: p.y, t: p.t, u: 0 }));
+  const cum = cumulativeLength(s);
+  const total = cum[cum.length - 1];
+  if (total === 0) return [{ x: s[0].x, y: s[0].y, t: s[0].t, u: 0 }];
+
+  const out = [];
+  let j = 0;
+  for (let k = 0; k < n; k++) {
+    const target = (total * k) / (n - 1);
+    while (j < s.length - 2 && cum[j + 1] < target) j++;
+    const seg = cum[j + 1] - cum[j];
+    const w = seg > 0 ? (target - cum[j]) / seg : 0;
+    out.push({
+      x: s[j].x + (s[j + 1].x - s[j].x) * w,
+      y: s[j].y + (s[j + 1].y - s[j].y) * w,
+      t: s[j].t + (s[j + 1].t - s[j].t) * w,
+      u: k / (n - 1)
+    });
+  }
+  return out;
+}
+
+/** n points at even times over [t0, t1]. */
+function resampleByTime(s, t0, t1, n = MAX_POINTS) {
+  const out = [];
+  for (let k = 0; k < n; k++) {
+    const t = t0 + ((t1 - t0) * k) / (n - 1);
+    const p = poseAt(s, t);
+    out.push({ x: p.x, y: p.y, t });
+  }
+  return out;
+}
+
+/** Discrete Fréchet distance (Eiter & Mannila), rolling rows. */
+export function frechet(P, Q) {
+  if (!P.length || !Q.length) return null;
+  let prev = new Float64Array(Q.length);
+  let cur = new Float64Array(Q.length);
+  for (let i = 0; i < P.length; i++) {
+    for (let j = 0; j < Q.length; j++) {
+      const d = dist(P[i], Q[j]);
+      if (i === 0 && j === 0) cur[j] = d;
+      else if (i === 0) cur[j] = Math.max(cur[j - 1], d);
+      else if (j === 0) cur[j] = Math.max(prev[j], d);
+      else cur[j] = Math.max(Math.min(prev[j], prev[j - 1], cur[j - 1]), d);
+    }
+    [prev, cur] = [cur, prev];
+  }
+  return prev[Q.length - 1];
+}
+
+/** DTW: total matched distance and the mean per step of the warping path. */
+export function dtw(P, Q) {
+  if (!P.length || !Q.length) return null;
+  let prev = new Float64Array(Q.length);
+  let cur = new Float64Array(Q.length);
+  let prevSteps = new Uint32Array(Q.length);
+  let curSteps = new Uint32Array(Q.length);
+  for (let i = 0; i < P.length; i++) {
+    for (let j = 0; j < Q.length; j++) {
+      const d = dist(P[i], Q[j]);
+      let best = 0;
+      let steps = 0;
+      if (i > 0 || j > 0) {
+        best = Infinity;
+        const options = [
+          i > 0 && j > 0 ? [prev[j - 1], prevSteps[j - 1]] : null,
+          i > 0 ? [prev[j], prevSteps[j]] : null,
+          j > 0 ? [cur[j - 1], curSteps[j - 1]] : null
+        ];
+        for (const o of options) {
+          if (o && o[0] < best) [best, steps] = o;
+        }
+      }
+      cur[j] = best + d;
+      curSteps[j] = steps + 1;
+    }
+    [prev, cur] = [cur, prev];
+    [prevSteps, curSteps] = [curSteps, prevSteps];
+  }
+  const total = prev[Q.length - 1];
+  return { total, mean: total / prevSteps[Q.length - 1] };
+}
+
+// Distance from p to the polyline Q (closest point on any segment).
+function distToPolyline(p, Q) {
+  let best = Infinity;
+  for (let i = 0; i < Q.length - 1; i++) {
+    const a = Q[i];
+    const b = Q[i + 1];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    const w = len2 > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+    best = Math.min(best, Math.hypot(p.x - (a.x + dx * w), p.y - (a.y + dy * w)));
+  }
+  return Q.length === 1 ? dist(p, Q[0]) : best;
+}
+
+// Offset of each aligned B point across A's direction of travel.
+function lateral(A, B) {
+  const out = [];
+  for (let i = 0; i < A.length; i++) {
+    const a0 = A[Math.max(0, i - 1)];
+    const a1 = A[Math.min(A.length - 1, i + 1)];
+    const tx = a1.x - a0.x;
+    const ty = a1.y - a0.y;
+    const len = Math.hypot(tx, ty);
+    const dx = B[i].x - A[i].x;
+    const dy = B[i].y - A[i].y;
+    out.push(len > 0 ? Math.abs(tx * dy - ty * dx) / len : Math.hypot(dx, dy));
+  }
+  return out;
+}
+
+/**
+ * Compares primary path `a` with compare path `b` (both samples()).
+ * align: "arc" pairs points at the same fraction of path length,
+ * "time" at the same t over the runs' overlapping time span.
+ *
+ * Returns null if either path has fewer than 2 samples, else
+ * { frechet, dtw_mean, lateral: { align, mean, max }, divergence, max_divergence }
+ * where divergence is the primary path (resampled by arc length) with
+ * d = distance to the compare path, and max_divergence its largest point.
+ */
+export function compareTrajectories(a, b, { align = "arc" } = {}) {
+  if (a.length < 2 || b.length < 2) return null;
+  const A = resampleByArc(a);
+  const B = resampleByArc(b);
+
+  let pairsA = A;
+  let pairsB = B;
+  if (align === "time") {
+    const t0 = Math.max(a[0].t, b[0].t);
+    const t1 = Math.min(a[a.length - 1].t, b[b.length - 1].t);
+    if (t1 > t0) {
+      pairsA = resampleByTime(a, t0, t1);
+      pairsB = resampleByTime(b, t0, t1);
+    } else {
+      pairsA = pairsB = [];
+    }
+  }
+  const lat = lateral(pairsA, pairsB);
+
+  const divergence = A.map((p) => ({ x: p.x, y: p.y, t: p.t, d: distToPolyline(p, B) }));
+  const max_divergence = divergence.reduce((m, p) => (p.d > m.d ? p : m), divergence[0]);
+
+  return {
+    frechet: frechet(A, B),
+    dtw_mean: dtw(A, B).mean,
+    lateral: {
+      align,
+      mean: lat.length ? lat.reduce((s, d) => s + d, 0) / lat.length : null,
+      max: lat.length ? Math.max(...lat) : null
+    },
+    divergence,
+    max_divergence
+  };
+}
@@ -0,0 +1,222 @@
+import { pathLength, runFrames, runTimeMax } from "./frames.js";
+import { agentRun, isFleet, runAgents } from "./fleet.js";
+import { evaluateMission } from "./mission.js";
+import { scoreRun } from "./scenarios.js";
+
+/* -------------------------------------------------------
+   Statistics over groups of runs (seeds of one config).
+
+   Intervals are 95% Student-t intervals; group deltas use
+   Welch's t-test, which doesn't assume equal variances.
+   A single run per group still gives a delta, just no
+   interval or p-value.
+------------------------------------------------------- */
+
+export const ALPHA = 0.05;
+
+export const GROUP_METRICS = [
+  { key: "score", label: "Score", unit: "" },
+  { key: "near", label: "Near-collisions", unit: "" },
+  { key: "collision", label: "Collisions", unit: "" },
+  { key: "stuck", label: "Stuck", unit: "" },
+  { key: "replan", label: "Replans", unit: "" },
+  { key: "no_go", label: "No-go entries", unit: "" },
+  { key: "speeding", label: "Speeding", unit: "" },
+  { key: "dwell", label: "Overstays", unit: "" },
+  { key: "missed", label: "Goals missed", unit: "" },
+  { key: "detour", label: "Detours", unit: "" },
+  { key: "time_to_goal", label: "Time to goal", unit: "s" },
+  { key: "efficiency", label: "Path efficiency", unit: "" },
+  { key: "duration", label: "Duration", unit: "s" },
+  { key: "distance", label: "Distance", unit: "m" }
+];
+
+// ln Γ(x), Lanczos approximation.
+function lnGamma(x) {
+  const c = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2,
+    -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  for (const ci of c) ser += ci / ++y;
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+// Continued fraction for the incomplete beta function (Lentz).
+function betaCf(a, b, x) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 3e-12) break;
+  }
+  return h;
+}
+
+// Regularized incomplete beta I_x(a, b).
+function incBeta(a, b, x) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(lnGamma(a + b) - lnGamma(a) - lnGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2) ? (front * betaCf(a, b, x)) / a : 1 - (front * betaCf(b, a, 1 - x)) / b;
+}
+
+/** Two-sided p-value of Student's t with df degrees of freedom. */
+export function tTwoSided(t, df) {
+  return incBeta(df / 2, 0.5, df / (df + t * t));
+}
+
+/** Critical t for a two-sided interval at 1 - alpha (bisection on tTwoSided). */
+export function tCritical(df, alpha = ALPHA) {
+  let lo = 0;
+  let hi = 1000;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (tTwoSided(mid, df) > alpha) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * { n, mean, variance, sd, ci: [lo, hi] } of the finite values; variance is the
+ * sample variance. variance, sd and ci are null below two values, mean below one.
+ */
+export function describe(values) {
+  const xs = values.filter((v) => v != null && Number.isFinite(v));
+  const n = xs.length;
+  if (!n) return { n, mean: null, variance: null, sd: null, ci: null };
+  const mean = xs.reduce((s, v) => s + v, 0) / n;
+  if (n < 2) return { n, mean, variance: null, sd: null, ci: null };
+  const variance = xs.reduce((s, v) => s + (v - mean) ** 2, 0) / (n - 1);
+  const half = tCritical(n - 1) * Math.sqrt(variance / n);
+  return { n, mean, variance, sd: Math.sqrt(variance), ci: [mean - half, mean + half] };
+}
+
+/**
+ * Welch's t-test on mean(b) - mean(a). Returns { delta, se, df, t, p, ci } or
+ * null when either side has fewer than two values. With no spread at all the
+ * test is degenerate: p is 1 for equal means and 0 otherwise.
+ */
+export function welch(a, b) {
+  if (a.n < 2 || b.n < 2) return null;
+  const delta = b.mean - a.mean;
+  const va = a.variance / a.n;
+  const vb = b.variance / b.n;
+  const se = Math.sqrt(va + vb);
+  if (se === 0) return { delta, se, df: null, t: null, p: delta === 0 ? 1 : 0, ci: [delta, delta] };
+  const df = (va + vb) ** 2 / (va ** 2 / (a.n - 1) + vb ** 2 / (b.n - 1));
+  const t = delta / se;
+  const half = tCritical(df) * se;
+  return { delta, se, df, t, p: tTwoSided(t, df), ci: [delta - half, delta + half] };
+}
+
+// Time to goal and path efficiency. A fleet is done when its last robot
+// arrives (null if one never does); its efficiency is the agents' mean.
+function missionMetrics(run) {
+  if (!isFleet(run)) {
+    const m = evaluateMission(run);
+    return { time_to_goal: m?.time_to_goal_s ?? null, efficiency: m?.efficiency ?? null };
+  }
+  const ms = runAgents(run)
+    .map((a) => evaluateMission(agentRun(run, a.id)))
+    .filter(Boolean);
+  const eff = ms.map((m) => m.efficiency).filter((e) => e != null);
+  return {
+    time_to_goal: ms.length && ms.every((m) => m.reached) ? Math.max(...ms.map((m) => m.time_to_goal_s)) : null,
+    efficiency: eff.length ? eff.reduce((sum, e) => sum + e, 0) / eff.length : null
+  };
+}
+
+/**
+ * Score, event counts, duration, distance and, for runs with a mission, time
+ * to goal and path efficiency (else null) of one run under a scenario. A
+ * fleet's distance is all its robots' together.
+ */
+export function runMetrics(run, scenario) {
+  const { score, counts } = scoreRun(run, scenario);
+  const distance = run?.stats?.distance_m;
+  const driven = isFleet(run)
+    ? runAgents(run).reduce((sum, a) => sum + pathLength(a.frames), 0)
+    : pathLength(runFrames(run));
+  return {
+    score,
+    ...counts,
+    ...missionMetrics(run),
+    duration: runTimeMax(run) || 0,
+    distance: distance != null && Number.isFinite(Number(distance)) ? Number(distance) : driven
+  };
+}
+
+/**
+ * Compares run group `b` against group `a` (arrays of runs; one each is the
+ * plain two-run comparison). Each metric gets both groups' describe(), the
+ * delta of means (b - a, null if a side has no value), the Welch test when
+ * both sides have two or more runs, and `significant` (p < alpha).
+ */
+export function compareGroups(runsA, runsB, scenario, { alpha = ALPHA } = {}) {
+  const ma = runsA.map((r) => runMetrics(r, scenario));
+  const mb = runsB.map((r) => runMetrics(r, scenario));
+  const metrics = {};
+  for (const { key } of GROUP_METRICS) {
+    const a = describe(ma.map((m) => m[key]));
+    const b = describe(mb.map((m) => m[key]));
+    const test = welch(a, b);
+    metrics[key] = {
+      a,
+      b,
+      delta: a.mean != null && b.mean != null ? b.mean - a.mean : null,
+      test,
+      significant: test ? test.p < alpha : null
+    };
+  }
+  return { n: [runsA.length, runsB.length], alpha, metrics };
+}
+
+/**
+ * Which seed group a stored run belongs to, from its index meta: an explicit
+ * `meta.group`, else runs with a `meta.seed` group by configuration (sim,
+ * world, robot, controller), else the run stands alone.
+ */
+export function groupOf(entry) {
+  const meta = entry?.meta || {};
+  if (meta.group != null && meta.group !== "") return { key: `group:${meta.group}`, label: String(meta.group) };
+  if (meta.seed != null) {
+    const config = [meta.sim, meta.world, meta.robot, meta.controller];
+    const label = config.filter((v) => v != null && v !== "").join(" / ") || "unnamed config";
+    return { key: `config:${config.map((v) => v ?? "").join("/")}`, label: `${label} (seeds)` };
+  }
+  return { key: `run:${entry?.id}`, label: entry?.label || String(entry?.id) };
+}
+
+/** Index entries grouped by groupOf(): [{ key, label, ids }], largest first. */
+export function seedGroups(entries) {
+  const groups = new Map();
+  for (const e of entries) {
+    const g = groupOf(e);
+    if (!groups.has(g.key)) groups.set(g.key, { ...g, ids: [] });
+    groups.get(g.key).ids.push(e.id);
+  }
+  return [...groups.values()].sort((a, b) => b.ids.length - a.ids.length || a.label.localeCompare(b.label));
+}
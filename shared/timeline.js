@@ -0,0 +1,201 @@
+import { deriveEvents } from "./deriveEvents.js";
+import { isFleet } from "./fleet.js";
+import { pathLength, runEvents, runFrames, runTimeMax, samples, speeds } from "./frames.js";
+import { runMission, withMission } from "./mission.js";
+import { applyRules, evaluateRules } from "./rules.js";
+import { DEFAULT_SCENARIOS, countEvents, scoreCounts, scoreRun } from "./scenarios.js";
+
+/* -------------------------------------------------------
+   The scenario score over a run's duration: cumulative
+   (everything up to t) and rolling (the last window_s),
+   plus a split of the run into phases — cruise, stopped,
+   stuck, recovery, approach — each with its own verdict.
+
+   Both read counts from `events` only: a run that logs
+   counts in `stats` without the events behind them can't
+   be placed in time. Rolling windows and phases are held
+   to the whole run's thresholds, so a red stretch reads
+   "this alone would fail the run".
+------------------------------------------------------- */
+
+export const ROLLING_WINDOW_S = 10;
+export const TIMELINE_STEPS = 100;
+
+// Below this speed (m/s) the robot counts as stopped.
+const STOP_SPEED = 0.05;
+// Shorter stops are folded into the motion around them.
+const MIN_STOP_S = 1;
+// How long after a stuck the robot is recovering.
+const RECOVERY_S = 5;
+// Approach: the final stretch within this distance (m) of the mission's goal, or of where the run ends.
+const APPROACH_M = 2;
+
+const r2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * The part of a run between t0 and t1 (seconds, inclusive): its frames and
+ * the events inside it. `stats` keeps only duration and distance, so counts
+ * come from the events. The mission's events are merged in first and the
+ * mission itself dropped: a slice isn't expected to reach the goal. A fleet
+ * run is sliced agent by agent.
+ */
+export function sliceRun(run, t0, t1) {
+  const inside = (t) => Number.isFinite(t) && t >= t0 && t <= t1;
+  if (isFleet(run)) {
+    const agents = run.agents.map((a) => sliceRun(a, t0, t1));
+    return {
+      ...run,
+      agents,
+      events: runEvents(run).filter((e) => inside(Number(e?.t))),
+      stats: {
+        duration_s: r2(Math.max(0, t1 - t0)),
+        distance_m: r2(agents.reduce((d, a) => d + a.stats.distance_m, 0))
+      }
+    };
+  }
+  const full = withMission(run);
+  const frames = runFrames(full).filter((f) => inside(Number(f?.t)));
+  return {
+    ...full,
+    mission: undefined,
+    frames,
+    events: runEvents(full).filter((e) => inside(Number(e?.t))),
+    stats: { duration_s: r2(Math.max(0, t1 - t0)), distance_m: r2(pathLength(frames)) }
+  };
+}
+
+/**
+ * Score at `steps` points across the run. Each point is { t0, t1,
+ * cumulative, rolling } with { score, status } for events up to t1 and for
+ * the window_s before it. A broken rule counts from the time it breaks
+ * (rolling: while its span overlaps the window); one without a time, like a
+ * mean, only at the end.
+ */
+export function scoreTimeline(run, scenario, { steps = TIMELINE_STEPS, window_s = ROLLING_WINDOW_S } = {}) {
+  const sc = scenario || DEFAULT_SCENARIOS.warehouse;
+  const T = runTimeMax(run);
+  if (!(T > 0)) return [];
+
+  const full = withMission(run);
+  const events = runEvents(full).filter((e) => Number.isFinite(Number(e?.t)));
+  const broken = evaluateRules(full, sc).filter((r) => r.ok === false);
+  const score = (lo, hi, rules) => {
+    const { score: s, status } = applyRules(
+      scoreCounts(countEvents({ events: events.filter((e) => Number(e.t) > lo && Number(e.t) <= hi) }), sc),
+      rules
+    );
+    return { score: s, status };
+  };
+
+  const out = [];
+  for (let i = 1; i <= steps; i++) {
+    const t1 = (T * i) / steps;
+    const last = i === steps;
+    const cumulative = broken.filter((r) => (r.t != null ? r.t <= t1 : last));
+    const rolling = broken.filter((r) => r.t != null && r.t <= t1 && (r.t_end ?? r.t) > t1 - window_s);
+    out.push({
+      t0: r2((T * (i - 1)) / steps),
+      t1: r2(t1),
+      cumulative: score(-Infinity, t1, cumulative),
+      rolling: score(t1 - window_s, t1, rolling)
+    });
+  }
+  return out;
+}
+
+// Stuck spans: recorded stuck events that carry their extent, else the detector's.
+function stuckSpans(run, scenario) {
+  const spans = (list) =>
+    list
+      .filter((e) => e?.type === "stuck")
+      .map((e) => {
+        const t0 = Number(e.t_start ?? e.t);
+        return { t0, t1: e.t_end != null ? Number(e.t_end) : t0 + Number(e.duration_s) };
+      })
+      .filter((s) => Number.isFinite(s.t0) && Number.isFinite(s.t1) && s.t1 > s.t0);
+  const recorded = spans(runEvents(run));
+  return recorded.length ? recorded : spans(deriveEvents(run, scenario?.derive));
+}
+
+function phaseLabel(phase, t0, t1) {
+  if (phase !== "stuck" && phase !== "stopped") return phase;
+  const fmt = (t) => String(Math.round(t * 10) / 10);
+  return `${phase} at t=${fmt(t0)}–${fmt(t1)} s`;
+}
+
+/**
+ * Splits a run into phases: [{ phase, label, t0, t1, score, status,
+ * counts, violations }], in time order. The verdict is the scenario's score
+ * of that stretch alone (see sliceRun).
+ */
+export function segmentRun(run, scenario) {
+  const sc = scenario || DEFAULT_SCENARIOS.warehouse;
+  const s = samples(runFrames(run));
+  if (s.length < 2) return [];
+  const v = speeds(s);
+
+  const phase = v.map((sp) => (sp > STOP_SPEED ? "cruise" : "stopped"));
+  const spans = stuckSpans(run, sc);
+  // A stuck logged without its extent covers the stop it happened in.
+  for (const e of runEvents(run)) {
+    if (e?.type !== "stuck" || e.t_end != null || e.duration_s != null) continue;
+    const t = Number(e.t);
+    let a = s.findIndex((f) => f.t >= t);
+    if (a < 0 || phase[a] !== "stopped") continue;
+    let b = a;
+    while (a > 0 && phase[a - 1] === "stopped") a--;
+    while (b + 1 < s.length && phase[b + 1] === "stopped") b++;
+    spans.push({ t0: s[a].t, t1: s[b].t });
+  }
+  for (const span of spans) {
+    s.forEach((f, i) => {
+      if (f.t >= span.t0 && f.t <= span.t1) phase[i] = "stuck";
+    });
+    s.forEach((f, i) => {
+      if (phase[i] !== "stuck" && f.t > span.t1 && f.t <= span.t1 + RECOVERY_S) phase[i] = "recovery";
+    });
+  }
+
+  // Approach: from the last time the robot was APPROACH_M away from its goal (or final position).
+  const end = runMission(run)?.goal || s[s.length - 1];
+  let far = -1;
+  s.forEach((f, i) => {
+    if (Math.hypot(f.x - end.x, f.y - end.y) >= APPROACH_M) far = i;
+  });
+  if (far >= 0) {
+    for (let i = far + 1; i < s.length; i++) {
+      if (phase[i] === "cruise" || phase[i] === "stopped") phase[i] = "approach";
+    }
+  }
+
+  // Runs of equal phase; brief stops become part of the motion around them.
+  let runs = [];
+  phase.forEach((p, i) => {
+    const prev = runs[runs.length - 1];
+    if (prev && prev.phase === p) prev.j = i;
+    else runs.push({ phase: p, i, j: i });
+  });
+  runs = runs.map((r) => ({ ...r, t0: s[r.i].t, t1: s[Math.min(r.j + 1, s.length - 1)].t }));
+  const merged = [];
+  for (const r of runs) {
+    const prev = merged[merged.length - 1];
+    const brief = r.phase === "stopped" && r.t1 - r.t0 < MIN_STOP_S;
+    if (prev && (brief || prev.phase === r.phase || r.t1 <= r.t0)) prev.t1 = r.t1;
+    else merged.push({ phase: brief ? "cruise" : r.phase, t0: r.t0, t1: r.t1 });
+  }
+
+  return merged.map(({ phase: p, t0, t1 }, k) => {
+    // Half-open, so an event on a boundary counts in one phase only.
+    const res = scoreRun(sliceRun(run, t0, k === merged.length - 1 ? t1 : t1 - 1e-6), sc);
+    return {
+      phase: p,
+      label: phaseLabel(p, t0, t1),
+      t0: r2(t0),
+      t1: r2(t1),
+      score: res.score,
+      status: res.status,
+      counts: res.counts,
+      violations: res.violations
+    };
+  });
+}
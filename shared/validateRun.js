@@ -0,0 +1,145 @@
+import { extractXY, medianSpacing, runEvents, runFrames, runTimeMax, samples } from "./frames.js";
+import { findMismatches } from "./deriveEvents.js";
+import { MissionError, normalizeMission } from "./mission.js";
+import { ZoneError, normalizeZones } from "./zones.js";
+
+/* -------------------------------------------------------
+   Semantic run checks. Structural errors come from the
+   JSON Schema (runSchema.js); these are the things a
+   schema can't express. All results are warnings:
+   { path, code, message }
+------------------------------------------------------- */
+
+// Past this many issues of one kind, report a single summary line instead.
+const MAX_PER_CODE = 10;
+
+/**
+ * JSON.parse that also accepts the bare NaN / Infinity tokens Python's json
+ * module writes, turning them into null. `repaired` tells the caller it happened.
+ */
+export function parseRunText(text) {
+  try {
+    return { run: JSON.parse(text), repaired: false };
+  } catch (err) {
+    const fixed = String(text).replace(/([:[,]\s*)(-?Infinity|NaN)(?=\s*[,\]}])/g, "$1null");
+    if (fixed === text) throw err;
+    return { run: JSON.parse(fixed), repaired: true };
+  }
+}
+
+function limited(list) {
+  const byCode = new Map();
+  const out = [];
+  for (const w of list) {
+    const n = (byCode.get(w.code) || 0) + 1;
+    byCode.set(w.code, n);
+    if (n <= MAX_PER_CODE) out.push(w);
+  }
+  for (const [code, n] of byCode) {
+    if (n > MAX_PER_CODE) {
+      out.push({ path: "", code, message: `…and ${n - MAX_PER_CODE} more ${code.replace(/_/g, " ")} issue(s)` });
+    }
+  }
+  return out;
+}
+
+// Frame order and positions; `base` prefixes the paths (an agent's, in a fleet run).
+function checkFrames(frames, base) {
+  const out = [];
+  let prevT = -Infinity;
+  frames.forEach((f, i) => {
+    const t = Number(f?.t);
+    if (Number.isFinite(t) && t <= prevT) {
+      out.push({ path: `${base}/frames/${i}/t`, code: "non_monotonic_t", message: `t=${t} is not after the previous frame (t=${prevT}).` });
+    }
+    if (Number.isFinite(t)) prevT = Math.max(prevT, t);
+
+    const p = extractXY(f);
+    if (!p || !Number.isFinite(p.x) || !Number.isFinite(p.y)) {
+      out.push({ path: `${base}/frames/${i}`, code: "nan_coordinate", message: "Position is missing, null or NaN; frame is skipped in replay." });
+    }
+    if (f && "yaw" in f && !Number.isFinite(Number(f.yaw ?? NaN))) {
+      out.push({ path: `${base}/frames/${i}/yaw`, code: "nan_coordinate", message: "yaw is null or NaN." });
+    }
+  });
+  return out;
+}
+
+function checkMission(mission, path) {
+  if (mission == null) return [];
+  try {
+    normalizeMission(mission);
+    return [];
+  } catch (err) {
+    if (!(err instanceof MissionError)) throw err;
+    return [{ path, code: "bad_mission", message: `${err.message} The mission is ignored.` }];
+  }
+}
+
+export function checkRun(run) {
+  const out = [];
+  const frames = runFrames(run);
+  const events = runEvents(run);
+
+  if (run?.run_id == null || run.run_id === "") {
+    out.push({ path: "/run_id", code: "missing_run_id", message: "No run_id; the file name or label will be used." });
+  }
+
+  out.push(...checkFrames(frames, ""));
+
+  const s = samples(frames);
+  const dt = Number(run?.dt);
+  if (run?.dt != null && Number.isFinite(dt) && dt > 0 && s.length > 2) {
+    const spacing = medianSpacing(s);
+    if (spacing > 0 && Math.abs(spacing - dt) > 0.5 * dt) {
+      out.push({
+        path: "/dt",
+        code: "dt_mismatch",
+        message: `dt=${dt}s but frames are ~${Math.round(spacing * 1000) / 1000}s apart.`
+      });
+    }
+  }
+
+  const duration = runTimeMax(run);
+  const t0 = s.length ? s[0].t : 0;
+  events.forEach((e, i) => {
+    const t = Number(e?.t);
+    if (!Number.isFinite(t)) return;
+    if (t < t0 - 1e-6 || t > duration + 1e-6) {
+      out.push({
+        path: `/events/${i}/t`,
+        code: "event_out_of_range",
+        message: `Event at t=${t}s is outside the run (${t0}–${duration}s).`
+      });
+    }
+  });
+
+  if (run?.map && typeof run.map === "object" && run.map.zones != null) {
+    try {
+      normalizeZones(run.map.zones);
+    } catch (err) {
+      if (!(err instanceof ZoneError)) throw err;
+      out.push({ path: "/map/zones", code: "bad_zone", message: `${err.message} Zones are ignored.` });
+    }
+  }
+
+  out.push(...checkMission(run?.mission, "/mission"));
+
+  const ids = new Set();
+  (Array.isArray(run?.agents) ? run.agents : []).forEach((a, i) => {
+    const base = `/agents/${i}`;
+    const id = String(a?.id ?? "");
+    if (ids.has(id)) {
+      out.push({ path: `${base}/id`, code: "duplicate_agent", message: `Agent id '${id}' is used twice; events can't tell them apart.` });
+    }
+    ids.add(id);
+    out.push(...checkFrames(runFrames(a), base), ...checkMission(a?.mission, `${base}/mission`));
+  });
+
+  for (const m of findMismatches(run, [])) {
+    if (m.kind !== "stats_vs_events" && m.kind !== "stats_vs_frames") continue;
+    out.push({ path: "/stats", code: "stats_contradiction", message: m.detail });
+  }
+
+  return limited(out);
+}
@@ -0,0 +1,219 @@
+import { agentRun, isFleet, runAgents } from "./fleet.js";
+import { runEvents, runFrames, samples, speeds } from "./frames.js";
+
+/* -------------------------------------------------------
+   Zones: polygons in the world frame (metres, same as the
+   frames) that say where the robot may go and how.
+
+     no_go   entering is a violation
+     slow    driving faster than speed_max is a violation
+     dock    a docking area; only tracked unless max_dwell_s
+
+   Any zone can set max_dwell_s: staying longer is a
+   violation. Zones are given as a list
+
+     { kind, name?, points: [[x, y], ...], speed_max?, max_dwell_s? }
+
+   or GeoJSON-like: a FeatureCollection (or list) of
+   Features with a Polygon geometry (outer ring only, in
+   metres) and the same fields in `properties`.
+
+   withZones() turns frames into events: zone_enter and
+   zone_exit for every zone, and the violations no_go_entry,
+   speed_limit and dwell_limit, which scenarios weigh as
+   the no_go, speeding and dwell counts. Only the robot's
+   reference point is tested, not its footprint.
+------------------------------------------------------- */
+
+export const ZONE_KINDS = ["no_go", "slow", "dock"];
+export const ZONE_EVENT_TYPES = ["zone_enter", "zone_exit", "no_go_entry", "speed_limit", "dwell_limit"];
+
+export class ZoneError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ZoneError";
+    this.status = 400;
+  }
+}
+
+const r2 = (n) => Math.round(n * 100) / 100;
+
+function toPoint(p) {
+  if (Array.isArray(p) && p.length >= 2) return { x: Number(p[0]), y: Number(p[1]) };
+  if (p && typeof p === "object") return { x: Number(p.x), y: Number(p.y) };
+  return null;
+}
+
+// A GeoJSON Feature as a plain zone; anything else passes through.
+function unwrapFeature(item) {
+  if (item?.type !== "Feature") return item;
+  const geom = item.geometry;
+  if (geom?.type !== "Polygon" || !Array.isArray(geom.coordinates?.[0])) {
+    throw new ZoneError("Only Polygon features can be zones.");
+  }
+  return { ...(item.properties || {}), id: item.id ?? item.properties?.id, points: geom.coordinates[0] };
+}
+
+function optionalNumber(raw, what) {
+  if (raw == null || raw === "") return null;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n <= 0) throw new ZoneError(`${what} must be a number > 0.`);
+  return n;
+}
+
+/**
+ * Checks zones (a list, a Feature list or a FeatureCollection) and returns
+ * them as [{ id, name, kind, points: [{ x, y }], speed_max, max_dwell_s }].
+ * Throws ZoneError naming the bad zone.
+ */
+export function normalizeZones(input) {
+  if (input == null) return [];
+  const list = input?.type === "FeatureCollection" ? input.features : input;
+  if (!Array.isArray(list)) throw new ZoneError("zones must be a list or a FeatureCollection.");
+
+  const ids = new Set();
+  return list.map((raw, i) => {
+    try {
+      const z = unwrapFeature(raw);
+      const kind = String(z?.kind || "").toLowerCase().replace(/[- ]/g, "_");
+      if (!ZONE_KINDS.includes(kind)) throw new ZoneError(`kind must be one of ${ZONE_KINDS.join(", ")}.`);
+      const points = (Array.isArray(z.points) ? z.points : [])
+        .map(toPoint)
+        .filter((p) => p && Number.isFinite(p.x) && Number.isFinite(p.y));
+      // GeoJSON rings repeat the first point at the end.
+      const [first, last] = [points[0], points[points.length - 1]];
+      if (points.length > 3 && first.x === last.x && first.y === last.y) points.pop();
+      if (points.length < 3) throw new ZoneError("needs at least 3 [x, y] points.");
+
+      const speed_max = optionalNumber(z.speed_max, "speed_max");
+      if (kind === "slow" && speed_max == null) throw new ZoneError("a slow zone needs speed_max.");
+
+      let id = String(z.id ?? "").trim() || `${kind}_${i + 1}`;
+      while (ids.has(id)) id += "_";
+      ids.add(id);
+      return {
+        id,
+        name: String(z.name || z.label || id).slice(0, 80),
+        kind,
+        points,
+        speed_max,
+        max_dwell_s: optionalNumber(z.max_dwell_s, "max_dwell_s")
+      };
+    } catch (err) {
+      if (!(err instanceof ZoneError)) throw err;
+      throw new ZoneError(`zones[${i}]: ${err.message}`);
+    }
+  });
+}
+
+/** Zones as a GeoJSON FeatureCollection, for download. */
+export function zonesToGeoJSON(zones) {
+  return {
+    type: "FeatureCollection",
+    features: zones.map(({ id, points, ...props }) => {
+      const ring = points.map((p) => [p.x, p.y]);
+      return {
+        type: "Feature",
+        id,
+        properties: props,
+        geometry: { type: "Polygon", coordinates: [ring.concat([ring[0]])] }
+      };
+    })
+  };
+}
+
+/** Even-odd ray casting. */
+export function insidePolygon(p, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if (a.y > p.y !== b.y > p.y && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
+
+// Each stay inside a zone as [i, j]: the first and last sample inside.
+function stays(s, zone) {
+  const out = [];
+  let start = -1;
+  s.forEach((f, i) => {
+    const inside = insidePolygon(f, zone.points);
+    if (inside && start < 0) start = i;
+    if (!inside && start >= 0) {
+      out.push([start, i - 1]);
+      start = -1;
+    }
+  });
+  if (start >= 0) out.push([start, s.length - 1]);
+  return out;
+}
+
+/** Zone events for a run's frames (see the header), in time order. */
+export function zoneEvents(run, zones) {
+  const s = samples(runFrames(run));
+  if (!s.length || !zones?.length) return [];
+  const v = speeds(s);
+  const out = [];
+
+  for (const zone of zones) {
+    const base = { zone: zone.id };
+    const name = `${zone.name} (${zone.kind.replace("_", "-")})`;
+    for (const [i, j] of stays(s, zone)) {
+      const t0 = s[i].t;
+      const t1 = s[j].t;
+      const left = j < s.length - 1;
+      out.push({ ...base, t: t0, type: "zone_enter", detail: name });
+      if (zone.kind === "no_go") {
+        out.push({ ...base, t: t0, type: "no_go_entry", detail: `entered ${name}`, t_start: t0, t_end: t1 });
+      }
+      if (zone.max_dwell_s != null && t1 - t0 > zone.max_dwell_s) {
+        out.push({
+          ...base,
+          t: r2(t0 + zone.max_dwell_s),
+          type: "dwell_limit",
+          detail: `${r2(t1 - t0)}s in ${name} > ${zone.max_dwell_s}s`,
+          t_start: t0,
+          t_end: t1
+        });
+      }
+      if (zone.speed_max != null) {
+        // One violation per stretch over the cap.
+        for (let k = i; k <= j; k++) {
+          if (v[k] <= zone.speed_max) continue;
+          let m = k;
+          let peak = v[k];
+          while (m + 1 <= j && v[m + 1] > zone.speed_max) peak = Math.max(peak, v[++m]);
+          out.push({
+            ...base,
+            t: s[k].t,
+            type: "speed_limit",
+            detail: `${r2(peak)} m/s in ${name} > ${zone.speed_max} m/s`,
+            t_start: s[k].t,
+            t_end: s[m].t
+          });
+          k = m;
+        }
+      }
+      if (left) out.push({ ...base, t: s[j + 1].t, type: "zone_exit", detail: name });
+    }
+  }
+  return out.sort((a, b) => a.t - b.t).map((e) => ({ ...e, derived: true }));
+}
+
+/**
+ * The run with the events of `zones` merged into its `events`. Zone events
+ * from an earlier call are replaced, so this can be applied again when the
+ * zones change; zone events the run recorded itself are kept. In a fleet run
+ * each agent is checked, and its zone events are tagged with `agent`.
+ */
+export function withZones(run, zones) {
+  if (!run) return run;
+  const own = runEvents(run).filter((e) => !(e?.derived && e.zone != null));
+  if (!zones?.length && own.length === runEvents(run).length) return run;
+  const added = isFleet(run)
+    ? runAgents(run).flatMap((a) => zoneEvents(agentRun(run, a.id), zones).map((e) => ({ ...e, agent: a.id })))
+    : zoneEvents(run, zones);
+  const events = own.concat(added).sort((a, b) => Number(a.t) - Number(b.t));
+  return { ...run, events };
+}